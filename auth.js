@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const db = require("./db");
+
+// Configuration
+const SESSION_COOKIE = 'gallery_session';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as "scrypt$<salt>$<hash>", both hex encoded
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Manage tokens let anonymous uploaders edit or delete their own uploads.
+// Only the hash is stored; the token itself is shown once.
+function createManageToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+function verifyManageToken(token, hash) {
+  if (!token || !hash) return false;
+  const actual = Buffer.from(hashToken(String(token)), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Upload tokens are for scripts and screenshot tools, which have no session.
+// They are sent as "Authorization: Bearer <token>".
+function createUploadToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+function uploadTokenUser(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? db.uploadTokens.getUser(hashToken(match[1])) : null;
+}
+
+// Secret for signing unlock cookies, generated once and kept in settings
+let cachedSecret = null;
+
+function secret() {
+  if (!cachedSecret) {
+    cachedSecret = process.env.SESSION_SECRET || db.settings.get('secret');
+    if (!cachedSecret) {
+      cachedSecret = crypto.randomBytes(32).toString('hex');
+      db.settings.set('secret', cachedSecret);
+    }
+  }
+  return cachedSecret;
+}
+
+// Unlock cookies prove a password-protected item was unlocked. They are
+// bound to the item's current password hash, so changing the password
+// locks it again.
+function unlockCookieName(type, key) {
+  return `unlock_${type}_${key}`.replace(/[^\w.-]/g, '_');
+}
+
+function unlockValue(type, key, passwordHash) {
+  return crypto.createHmac('sha256', secret()).update(`${type}:${key}:${passwordHash}`).digest('hex');
+}
+
+function isUnlocked(req, type, key, passwordHash) {
+  const cookie = req.cookies[unlockCookieName(type, key)];
+  if (!cookie || !passwordHash) return false;
+  const actual = Buffer.from(cookie);
+  const expected = Buffer.from(unlockValue(type, key, passwordHash));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function grantUnlock(req, res, type, key, passwordHash) {
+  res.cookie(unlockCookieName(type, key), unlockValue(type, key, passwordHash), cookieOptions(req));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function validateCredentials(username, password) {
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return 'Usernames must be 3-32 characters: letters, numbers, "-" or "_".';
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+}
+
+function register(username, password) {
+  return db.users.create({ username, passwordHash: hashPassword(password) });
+}
+
+function authenticate(username, password) {
+  const user = db.users.getByUsername(username || '');
+  if (!user || !verifyPassword(password || '', user.passwordHash)) return null;
+  return user;
+}
+
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/'
+  };
+}
+
+function startSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL);
+  db.sessions.create(hashToken(token), user.id, expiresAt.toISOString());
+  res.cookie(SESSION_COOKIE, token, { ...cookieOptions(req), expires: expiresAt });
+}
+
+function endSession(req, res) {
+  const token = req.cookies[SESSION_COOKIE];
+  if (token) db.sessions.delete(hashToken(token));
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+}
+
+// Identifies a visitor for counting views: signed-in users by account, anyone
+// else by address and browser, hashed so neither is stored
+function visitorKey(req) {
+  if (req.user) return `user:${req.user.id}`;
+  return crypto.createHmac('sha256', secret()).update(`${req.ip}|${req.get('User-Agent') || ''}`).digest('hex');
+}
+
+// Populates req.cookies and req.user on every request
+function sessionMiddleware(req, res, next) {
+  req.cookies = parseCookies(req.headers.cookie);
+  const token = req.cookies[SESSION_COOKIE];
+  req.user = token ? db.sessions.getUser(hashToken(token)) : null;
+  next();
+}
+
+// Expired sessions are purged hourly
+setInterval(() => db.sessions.purgeExpired(), 60 * 60 * 1000).unref();
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  register,
+  authenticate,
+  startSession,
+  endSession,
+  sessionMiddleware,
+  hashToken,
+  createManageToken,
+  verifyManageToken,
+  createUploadToken,
+  uploadTokenUser,
+  isUnlocked,
+  grantUnlock,
+  visitorKey
+};
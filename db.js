@@ -0,0 +1,1932 @@
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const path = require("path");
+
+// Configuration
+const dbFile = process.env.DB_FILE || path.join(__dirname, "gallery.db");
+
+const db = new Database(dbFile);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const migrations = [
+  `
+    CREATE TABLE videos (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL DEFAULT '',
+      video TEXT NOT NULL,
+      thumbnail TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX videos_created_at ON videos (created_at);
+
+    CREATE TABLE comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      video_id TEXT NOT NULL REFERENCES videos (id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX comments_video_id ON comments (video_id);
+
+    CREATE TABLE images (
+      filename TEXT PRIMARY KEY,
+      original_name TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      uploaded_at TEXT NOT NULL
+    );
+    CREATE INDEX images_uploaded_at ON images (uploaded_at);
+
+    CREATE TABLE pastes (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      code TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX pastes_created_at ON pastes (created_at);
+
+    CREATE TABLE settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+    CREATE INDEX sessions_expires_at ON sessions (expires_at);
+
+    ALTER TABLE videos ADD COLUMN owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+    ALTER TABLE images ADD COLUMN owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+    ALTER TABLE pastes ADD COLUMN owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+    ALTER TABLE comments ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+    CREATE INDEX videos_owner_id ON videos (owner_id);
+    CREATE INDEX images_owner_id ON images (owner_id);
+    CREATE INDEX pastes_owner_id ON pastes (owner_id);
+  `,
+  `
+    ALTER TABLE videos ADD COLUMN manage_token_hash TEXT;
+    ALTER TABLE videos ADD COLUMN updated_at TEXT;
+    ALTER TABLE images ADD COLUMN manage_token_hash TEXT;
+    ALTER TABLE images ADD COLUMN updated_at TEXT;
+    ALTER TABLE pastes ADD COLUMN manage_token_hash TEXT;
+    ALTER TABLE pastes ADD COLUMN updated_at TEXT;
+    ALTER TABLE comments ADD COLUMN updated_at TEXT;
+  `,
+  `
+    ALTER TABLE pastes ADD COLUMN language TEXT NOT NULL DEFAULT 'plaintext';
+  `,
+  `
+    ALTER TABLE pastes ADD COLUMN expires_at TEXT;
+    ALTER TABLE pastes ADD COLUMN burn_after_read INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX pastes_expires_at ON pastes (expires_at);
+
+    CREATE TABLE paste_tombstones (
+      id TEXT PRIMARY KEY,
+      reason TEXT NOT NULL,
+      removed_at TEXT NOT NULL
+    );
+  `,
+  `
+    ALTER TABLE videos ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+    ALTER TABLE videos ADD COLUMN password_hash TEXT;
+    ALTER TABLE images ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+    ALTER TABLE images ADD COLUMN password_hash TEXT;
+    ALTER TABLE pastes ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+    ALTER TABLE pastes ADD COLUMN password_hash TEXT;
+    CREATE INDEX videos_video ON videos (video);
+    CREATE INDEX videos_thumbnail ON videos (thumbnail);
+  `,
+  `
+    ALTER TABLE pastes ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE pastes ADD COLUMN forked_from TEXT;
+    CREATE INDEX pastes_forked_from ON pastes (forked_from);
+
+    CREATE TABLE paste_revisions (
+      paste_id TEXT NOT NULL REFERENCES pastes (id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      code TEXT NOT NULL,
+      language TEXT NOT NULL,
+      author_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (paste_id, revision)
+    );
+    INSERT INTO paste_revisions (paste_id, revision, title, code, language, author_id, created_at)
+      SELECT id, 1, title, code, language, owner_id, COALESCE(updated_at, created_at) FROM pastes;
+  `,
+  `
+    CREATE TABLE search_docs (
+      id INTEGER PRIMARY KEY,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (type, key)
+    );
+    CREATE VIRTUAL TABLE search_index USING fts5 (title, body, tokenize = 'unicode61 remove_diacritics 2');
+
+    CREATE TRIGGER videos_search_insert AFTER INSERT ON videos BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('video', new.id, new.created_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'video' AND key = new.id), new.title, new.description);
+    END;
+    CREATE TRIGGER videos_search_update AFTER UPDATE OF title, description ON videos BEGIN
+      UPDATE search_index SET title = new.title, body = new.description
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'video' AND key = old.id);
+    END;
+    CREATE TRIGGER videos_search_delete AFTER DELETE ON videos BEGIN
+      DELETE FROM search_index WHERE rowid = (SELECT id FROM search_docs WHERE type = 'video' AND key = old.id);
+      DELETE FROM search_docs WHERE type = 'video' AND key = old.id;
+    END;
+
+    CREATE TRIGGER images_search_insert AFTER INSERT ON images BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('image', new.filename, new.uploaded_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'image' AND key = new.filename), new.original_name, '');
+    END;
+    CREATE TRIGGER images_search_update AFTER UPDATE OF original_name ON images BEGIN
+      UPDATE search_index SET title = new.original_name
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'image' AND key = old.filename);
+    END;
+    CREATE TRIGGER images_search_delete AFTER DELETE ON images BEGIN
+      DELETE FROM search_index WHERE rowid = (SELECT id FROM search_docs WHERE type = 'image' AND key = old.filename);
+      DELETE FROM search_docs WHERE type = 'image' AND key = old.filename;
+    END;
+
+    CREATE TRIGGER pastes_search_insert AFTER INSERT ON pastes BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('paste', new.id, new.created_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'paste' AND key = new.id), new.title, new.code);
+    END;
+    CREATE TRIGGER pastes_search_update AFTER UPDATE OF title, code ON pastes BEGIN
+      UPDATE search_index SET title = new.title, body = new.code
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'paste' AND key = old.id);
+    END;
+    CREATE TRIGGER pastes_search_delete AFTER DELETE ON pastes BEGIN
+      DELETE FROM search_index WHERE rowid = (SELECT id FROM search_docs WHERE type = 'paste' AND key = old.id);
+      DELETE FROM search_docs WHERE type = 'paste' AND key = old.id;
+    END;
+
+    CREATE TRIGGER comments_search_insert AFTER INSERT ON comments BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('comment', CAST(new.id AS TEXT), new.created_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(new.id AS TEXT)), new.name, new.text);
+    END;
+    CREATE TRIGGER comments_search_update AFTER UPDATE OF text ON comments BEGIN
+      UPDATE search_index SET body = new.text
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT));
+    END;
+    CREATE TRIGGER comments_search_delete AFTER DELETE ON comments BEGIN
+      DELETE FROM search_index WHERE rowid = (SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT));
+      DELETE FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT);
+    END;
+
+    INSERT INTO search_docs (type, key, created_at)
+      SELECT 'video', id, created_at FROM videos
+      UNION ALL SELECT 'image', filename, uploaded_at FROM images
+      UNION ALL SELECT 'paste', id, created_at FROM pastes
+      UNION ALL SELECT 'comment', CAST(id AS TEXT), created_at FROM comments;
+    INSERT INTO search_index (rowid, title, body)
+      SELECT search_docs.id, videos.title, videos.description FROM search_docs JOIN videos ON search_docs.type = 'video' AND videos.id = search_docs.key
+      UNION ALL SELECT search_docs.id, images.original_name, '' FROM search_docs JOIN images ON search_docs.type = 'image' AND images.filename = search_docs.key
+      UNION ALL SELECT search_docs.id, pastes.title, pastes.code FROM search_docs JOIN pastes ON search_docs.type = 'paste' AND pastes.id = search_docs.key
+      UNION ALL SELECT search_docs.id, comments.name, comments.text FROM search_docs JOIN comments ON search_docs.type = 'comment' AND CAST(comments.id AS TEXT) = search_docs.key;
+  `,
+  `
+    ALTER TABLE videos ADD COLUMN size INTEGER;
+    CREATE INDEX videos_title ON videos (title COLLATE NOCASE);
+    CREATE INDEX images_original_name ON images (original_name COLLATE NOCASE);
+    CREATE INDEX pastes_title ON pastes (title COLLATE NOCASE);
+  `,
+  `
+    ALTER TABLE images ADD COLUMN title TEXT;
+
+    CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE
+    );
+    CREATE TABLE item_tags (
+      tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      PRIMARY KEY (tag_id, type, key)
+    );
+    CREATE INDEX item_tags_item ON item_tags (type, key);
+
+    CREATE TABLE albums (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL DEFAULT '',
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL,
+      updated_at TEXT
+    );
+    CREATE INDEX albums_owner_id ON albums (owner_id);
+    CREATE TABLE album_items (
+      album_id TEXT NOT NULL REFERENCES albums (id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      added_at TEXT NOT NULL,
+      PRIMARY KEY (album_id, type, key)
+    );
+    CREATE INDEX album_items_item ON album_items (type, key);
+
+    CREATE TRIGGER videos_organize_delete AFTER DELETE ON videos BEGIN
+      DELETE FROM item_tags WHERE type = 'video' AND key = old.id;
+      DELETE FROM album_items WHERE type = 'video' AND key = old.id;
+    END;
+    CREATE TRIGGER images_organize_delete AFTER DELETE ON images BEGIN
+      DELETE FROM item_tags WHERE type = 'image' AND key = old.filename;
+      DELETE FROM album_items WHERE type = 'image' AND key = old.filename;
+    END;
+    CREATE TRIGGER pastes_organize_delete AFTER DELETE ON pastes BEGIN
+      DELETE FROM item_tags WHERE type = 'paste' AND key = old.id;
+    END;
+
+    DROP TRIGGER images_search_insert;
+    DROP TRIGGER images_search_update;
+    CREATE TRIGGER images_search_insert AFTER INSERT ON images BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('image', new.filename, new.uploaded_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'image' AND key = new.filename), COALESCE(new.title, new.original_name), new.original_name);
+    END;
+    CREATE TRIGGER images_search_update AFTER UPDATE OF title, original_name ON images BEGIN
+      UPDATE search_index SET title = COALESCE(new.title, new.original_name), body = new.original_name
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'image' AND key = old.filename);
+    END;
+  `,
+  `
+    CREATE TABLE comments_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target_type TEXT NOT NULL,
+      target_key TEXT NOT NULL,
+      parent_id INTEGER REFERENCES comments (id) ON DELETE CASCADE,
+      line INTEGER,
+      revision INTEGER,
+      user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      name TEXT NOT NULL,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT
+    );
+    INSERT INTO comments_new (id, target_type, target_key, user_id, name, text, created_at, updated_at)
+      SELECT id, 'video', video_id, user_id, name, text, created_at, updated_at FROM comments;
+    DROP TABLE comments;
+    ALTER TABLE comments_new RENAME TO comments;
+    CREATE INDEX comments_target ON comments (target_type, target_key);
+    CREATE INDEX comments_parent_id ON comments (parent_id);
+
+    CREATE TRIGGER comments_search_insert AFTER INSERT ON comments BEGIN
+      INSERT INTO search_docs (type, key, created_at) VALUES ('comment', CAST(new.id AS TEXT), new.created_at);
+      INSERT INTO search_index (rowid, title, body)
+        VALUES ((SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(new.id AS TEXT)), new.name, new.text);
+    END;
+    CREATE TRIGGER comments_search_update AFTER UPDATE OF text ON comments BEGIN
+      UPDATE search_index SET body = new.text
+        WHERE rowid = (SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT));
+    END;
+    CREATE TRIGGER comments_search_delete AFTER DELETE ON comments BEGIN
+      DELETE FROM search_index WHERE rowid = (SELECT id FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT));
+      DELETE FROM search_docs WHERE type = 'comment' AND key = CAST(old.id AS TEXT);
+    END;
+
+    CREATE TRIGGER videos_comments_delete AFTER DELETE ON videos BEGIN
+      DELETE FROM comments WHERE target_type = 'video' AND target_key = old.id;
+    END;
+    CREATE TRIGGER images_comments_delete AFTER DELETE ON images BEGIN
+      DELETE FROM comments WHERE target_type = 'image' AND target_key = old.filename;
+    END;
+    CREATE TRIGGER pastes_comments_delete AFTER DELETE ON pastes BEGIN
+      DELETE FROM comments WHERE target_type = 'paste' AND target_key = old.id;
+    END;
+  `,
+  `
+    ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+
+    ALTER TABLE comments ADD COLUMN status TEXT NOT NULL DEFAULT 'visible';
+    ALTER TABLE comments ADD COLUMN held_reason TEXT;
+    CREATE INDEX comments_status ON comments (status);
+    ALTER TABLE videos ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE images ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE pastes ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      details TEXT NOT NULL DEFAULT '',
+      reporter_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      ip TEXT,
+      created_at TEXT NOT NULL,
+      resolved_at TEXT,
+      resolved_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      action TEXT
+    );
+    CREATE INDEX reports_item ON reports (type, key);
+    CREATE INDEX reports_resolved_at ON reports (resolved_at);
+
+    CREATE TRIGGER videos_reports_delete AFTER DELETE ON videos BEGIN
+      DELETE FROM reports WHERE type = 'video' AND key = old.id;
+    END;
+    CREATE TRIGGER images_reports_delete AFTER DELETE ON images BEGIN
+      DELETE FROM reports WHERE type = 'image' AND key = old.filename;
+    END;
+    CREATE TRIGGER pastes_reports_delete AFTER DELETE ON pastes BEGIN
+      DELETE FROM reports WHERE type = 'paste' AND key = old.id;
+    END;
+    CREATE TRIGGER comments_reports_delete AFTER DELETE ON comments BEGIN
+      DELETE FROM reports WHERE type = 'comment' AND key = CAST(old.id AS TEXT);
+    END;
+  `,
+  `
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      action TEXT NOT NULL,
+      type TEXT,
+      key TEXT,
+      details TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE chunked_uploads (
+      id TEXT PRIMARY KEY,
+      length INTEGER NOT NULL,
+      metadata TEXT NOT NULL,
+      owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX chunked_uploads_updated_at ON chunked_uploads (updated_at);
+  `,
+  `
+    ALTER TABLE images ADD COLUMN file TEXT;
+    UPDATE images SET file = filename;
+    CREATE INDEX images_file ON images (file);
+
+    CREATE TABLE stored_files (
+      filename TEXT PRIMARY KEY,
+      sha256 TEXT NOT NULL UNIQUE,
+      size INTEGER NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `,
+  `
+    ALTER TABLE images ADD COLUMN width INTEGER;
+    ALTER TABLE images ADD COLUMN height INTEGER;
+    ALTER TABLE images ADD COLUMN format TEXT;
+
+    CREATE TABLE image_variants (
+      filename TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      format TEXT NOT NULL
+    );
+    CREATE INDEX image_variants_source ON image_variants (source);
+  `,
+  `
+    ALTER TABLE videos ADD COLUMN mp4 TEXT;
+    ALTER TABLE videos ADD COLUMN webm TEXT;
+    ALTER TABLE videos ADD COLUMN duration REAL;
+    ALTER TABLE videos ADD COLUMN width INTEGER;
+    ALTER TABLE videos ADD COLUMN height INTEGER;
+
+    CREATE TABLE jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      key TEXT,
+      payload TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      run_after TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX jobs_status_run_after ON jobs (status, run_after);
+    CREATE INDEX jobs_type_key ON jobs (type, key);
+  `,
+  `
+    ALTER TABLE images ADD COLUMN camera TEXT;
+    ALTER TABLE images ADD COLUMN taken_at TEXT;
+  `,
+  `
+    ALTER TABLE stored_files ADD COLUMN mime TEXT;
+  `,
+  `
+    ALTER TABLE videos ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE images ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE pastes ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE views (
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      visitor TEXT NOT NULL,
+      viewed_at TEXT NOT NULL
+    );
+    CREATE INDEX views_item ON views (type, key, visitor);
+    CREATE INDEX views_viewed_at ON views (viewed_at);
+
+    CREATE TABLE likes (
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (type, key, user_id)
+    );
+    CREATE INDEX likes_created_at ON likes (created_at);
+
+    CREATE TRIGGER videos_engagement_delete AFTER DELETE ON videos BEGIN
+      DELETE FROM views WHERE type = 'video' AND key = old.id;
+      DELETE FROM likes WHERE type = 'video' AND key = old.id;
+    END;
+    CREATE TRIGGER images_engagement_delete AFTER DELETE ON images BEGIN
+      DELETE FROM views WHERE type = 'image' AND key = old.filename;
+      DELETE FROM likes WHERE type = 'image' AND key = old.filename;
+    END;
+    CREATE TRIGGER pastes_engagement_delete AFTER DELETE ON pastes BEGIN
+      DELETE FROM views WHERE type = 'paste' AND key = old.id;
+      DELETE FROM likes WHERE type = 'paste' AND key = old.id;
+    END;
+  `,
+  `
+    CREATE TABLE webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+      delivery_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      attempt INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      duration_ms INTEGER NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX webhook_deliveries_created_at ON webhook_deliveries (created_at);
+  `,
+  `
+    CREATE TABLE upload_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT
+    );
+    CREATE INDEX upload_tokens_user_id ON upload_tokens (user_id);
+  `
+];
+
+function migrate() {
+  const version = db.pragma('user_version', { simple: true });
+  db.transaction(() => {
+    for (let i = version; i < migrations.length; i++) {
+      db.exec(migrations[i]);
+    }
+    db.pragma(`user_version = ${migrations.length}`);
+  })();
+}
+
+migrate();
+
+// Ids stay millisecond timestamps, bumped when two records land in the same millisecond
+function newId(table) {
+  const exists = db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`);
+  let id = Date.now();
+  while (exists.get(String(id))) id++;
+  return String(id);
+}
+
+// Tag names never contain spaces, so the selects join them with one
+function toTags(names) {
+  return names ? names.split(' ').sort() : [];
+}
+
+// Row mappers keep the record shapes the routes used with data.json
+function toVideo(row) {
+  return row && {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    video: row.video,
+    thumbnail: row.thumbnail,
+    thumbnailVariants: JSON.parse(row.thumbnail_variants),
+    mp4: row.mp4,
+    webm: row.webm,
+    duration: row.duration,
+    width: row.width,
+    height: row.height,
+    transcodeStatus: row.transcode_status,
+    size: row.size,
+    visibility: row.visibility,
+    passwordHash: row.password_hash,
+    hidden: Boolean(row.hidden),
+    ownerId: row.owner_id,
+    owner: row.owner,
+    commentCount: row.comment_count ?? 0,
+    views: row.view_count ?? 0,
+    likes: row.like_count ?? 0,
+    tags: toTags(row.tags),
+    manageTokenHash: row.manage_token_hash,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toComment(row) {
+  return row && {
+    id: row.id,
+    name: row.name,
+    targetType: row.target_type,
+    targetKey: row.target_key,
+    parentId: row.parent_id,
+    line: row.line,
+    revision: row.revision,
+    userId: row.user_id,
+    text: row.text,
+    status: row.status,
+    heldReason: row.held_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toImage(row) {
+  return row && {
+    filename: row.filename,
+    file: row.file,
+    title: row.title,
+    originalName: row.original_name,
+    size: row.size,
+    width: row.width,
+    height: row.height,
+    format: row.format,
+    camera: row.camera,
+    takenAt: row.taken_at,
+    variants: JSON.parse(row.variants),
+    visibility: row.visibility,
+    passwordHash: row.password_hash,
+    hidden: Boolean(row.hidden),
+    ownerId: row.owner_id,
+    owner: row.owner,
+    commentCount: row.comment_count ?? 0,
+    views: row.view_count ?? 0,
+    likes: row.like_count ?? 0,
+    tags: toTags(row.tags),
+    manageTokenHash: row.manage_token_hash,
+    uploadedAt: row.uploaded_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toPaste(row) {
+  return row && {
+    id: row.id,
+    title: row.title,
+    code: row.code,
+    language: row.language,
+    revision: row.revision,
+    forkedFrom: row.forked_from,
+    expiresAt: row.expires_at,
+    burnAfterRead: Boolean(row.burn_after_read),
+    visibility: row.visibility,
+    passwordHash: row.password_hash,
+    hidden: Boolean(row.hidden),
+    ownerId: row.owner_id,
+    owner: row.owner,
+    commentCount: row.comment_count ?? 0,
+    views: row.view_count ?? 0,
+    likes: row.like_count ?? 0,
+    tags: toTags(row.tags),
+    manageTokenHash: row.manage_token_hash,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toRevision(row) {
+  return row && {
+    pasteId: row.paste_id,
+    revision: row.revision,
+    title: row.title,
+    code: row.code,
+    language: row.language,
+    authorId: row.author_id,
+    author: row.author,
+    createdAt: row.created_at
+  };
+}
+
+function toAlbum(row) {
+  return row && {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    ownerId: row.owner_id,
+    owner: row.owner,
+    itemCount: row.item_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toUser(row) {
+  return row && {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    isAdmin: Boolean(row.is_admin),
+    createdAt: row.created_at
+  };
+}
+
+// Videos
+// Tags of an item as one space-separated column
+function tagColumn(type, key) {
+  return `(
+    SELECT group_concat(tags.name, ' ') FROM item_tags JOIN tags ON tags.id = item_tags.tag_id
+    WHERE item_tags.type = '${type}' AND item_tags.key = ${key}
+  ) AS tags`;
+}
+
+// Visible comments on an item
+function commentColumn(type, key) {
+  return `(
+    SELECT COUNT(*) FROM comments
+    WHERE comments.target_type = '${type}' AND comments.target_key = ${key} AND comments.status = 'visible'
+  ) AS comment_count`;
+}
+
+function likeColumn(type, key) {
+  return `(SELECT COUNT(*) FROM likes WHERE likes.type = '${type}' AND likes.key = ${key}) AS like_count`;
+}
+
+// Resized copies of a stored image as a JSON array, smallest first
+function variantColumn(file, alias) {
+  return `(
+    SELECT json_group_array(json_object('filename', filename, 'width', width, 'height', height, 'format', format))
+    FROM (SELECT * FROM image_variants WHERE source = ${file} ORDER BY width)
+  ) AS ${alias}`;
+}
+
+const videoSelect = `
+  SELECT videos.*, users.username AS owner,
+    ${commentColumn('video', 'videos.id')},
+    ${tagColumn('video', 'videos.id')},
+    ${likeColumn('video', 'videos.id')},
+    ${variantColumn('videos.thumbnail', 'thumbnail_variants')},
+    (
+      SELECT status FROM jobs WHERE jobs.type = 'transcode' AND jobs.key = videos.id ORDER BY jobs.id DESC LIMIT 1
+    ) AS transcode_status
+  FROM videos LEFT JOIN users ON users.id = videos.owner_id
+`;
+
+// Listings filter on owner and visibility; items hidden by a moderator only
+// show up for their owner
+const listFilter = `
+  (@ownerId IS NULL OR owner_id = @ownerId) AND (@publicOnly = 0 OR (visibility = 'public' AND hidden = 0))
+`;
+
+// Sort orders accepted by list(), keyed by name; the first one is the default
+const videoSorts = {
+  newest: 'videos.created_at DESC, videos.rowid DESC',
+  oldest: 'videos.created_at ASC, videos.rowid ASC',
+  title: 'videos.title COLLATE NOCASE ASC, videos.rowid DESC',
+  size: 'videos.size DESC, videos.rowid DESC',
+  comments: 'comment_count DESC, videos.created_at DESC',
+  views: 'videos.view_count DESC, videos.created_at DESC'
+};
+
+// Listings only include public items unless publicOnly is turned off
+const videos = {
+  sorts: Object.keys(videoSorts),
+
+  list({ limit = -1, offset = 0, sort = 'newest', ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`
+      ${videoSelect}
+      WHERE ${listFilter}
+      ORDER BY ${videoSorts[sort] || videoSorts.newest} LIMIT @limit OFFSET @offset
+    `).all({ limit, offset, ownerId, publicOnly: publicOnly ? 1 : 0 }).map(toVideo);
+  },
+
+  count({ ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`SELECT COUNT(*) FROM videos WHERE ${listFilter}`)
+      .pluck().get({ ownerId, publicOnly: publicOnly ? 1 : 0 });
+  },
+
+  get(id) {
+    const video = toVideo(db.prepare(`${videoSelect} WHERE videos.id = ?`).get(id));
+    if (video) video.comments = comments.listFor('video', id);
+    return video;
+  },
+
+  create({
+    title, description = '', video, thumbnail = null, size = null, visibility = 'public', passwordHash = null,
+    ownerId = null, manageTokenHash = null, createdAt = new Date().toISOString()
+  }) {
+    return db.transaction(() => {
+      const id = newId('videos');
+      db.prepare(`
+        INSERT INTO videos (
+          id, title, description, video, thumbnail, size, visibility, password_hash, owner_id, manage_token_hash, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, title, description, video, thumbnail, size, visibility, passwordHash, ownerId, manageTokenHash, createdAt);
+      return videos.get(id);
+    })();
+  },
+
+  // Videos uploaded before sizes were recorded
+  withoutSize() {
+    return db.prepare('SELECT id, video FROM videos WHERE size IS NULL').all();
+  },
+
+  setSize(id, size) {
+    db.prepare('UPDATE videos SET size = ? WHERE id = ?').run(size, id);
+  },
+
+  // Videos uploaded before transcoding existed
+  untranscoded() {
+    return db.prepare(`
+      SELECT id FROM videos
+      WHERE mp4 IS NULL AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.type = 'transcode' AND jobs.key = videos.id)
+    `).pluck().all();
+  },
+
+  // Renditions, duration and resolution from an earlier upload of the same
+  // file
+  transcodedFrom(file) {
+    return db.prepare(`
+      SELECT mp4, webm, duration, width, height FROM videos WHERE video = ? AND mp4 IS NOT NULL AND webm IS NOT NULL
+    `).get(file);
+  },
+
+  // Returns false when the video was deleted meanwhile
+  setTranscoded(id, { mp4, webm, duration, width, height }) {
+    return db.prepare('UPDATE videos SET mp4 = ?, webm = ?, duration = ?, width = ?, height = ? WHERE id = ?')
+      .run(mp4, webm, duration, width, height, id).changes > 0;
+  },
+
+  // Sets a generated thumbnail, unless the video is gone or has one by now
+  setThumbnail(id, thumbnail) {
+    return db.prepare('UPDATE videos SET thumbnail = ? WHERE id = ? AND thumbnail IS NULL').run(thumbnail, id).changes > 0;
+  },
+
+  update(id, { title, description, visibility, passwordHash }) {
+    db.prepare(`
+      UPDATE videos SET title = ?, description = ?, visibility = ?, password_hash = ?, updated_at = ? WHERE id = ?
+    `).run(title, description, visibility, passwordHash, new Date().toISOString(), id);
+    return videos.get(id);
+  },
+
+  // Returns the deleted record so callers can clean up its files
+  delete(id) {
+    return db.transaction(() => {
+      const video = videos.get(id);
+      if (video) db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+      return video;
+    })();
+  }
+};
+
+// Comments
+// Comments belong to a video, image or paste (the target) and may reply to
+// another comment on the same target. Paste comments can point at a line of
+// a given revision. Comments caught by the spam filter are "held" until a
+// moderator approves or hides them.
+const comments = {
+  listFor(targetType, targetKey) {
+    return db.prepare('SELECT * FROM comments WHERE target_type = ? AND target_key = ? ORDER BY id')
+      .all(targetType, targetKey).map(toComment);
+  },
+
+  get(id) {
+    return toComment(db.prepare('SELECT * FROM comments WHERE id = ?').get(id));
+  },
+
+  // Oldest first, for the moderation queue
+  listByStatus(status) {
+    return db.prepare('SELECT * FROM comments WHERE status = ? ORDER BY id').all(status).map(toComment);
+  },
+
+  create({
+    targetType, targetKey, parentId = null, line = null, revision = null, name, text, userId = null,
+    status = 'visible', heldReason = null, createdAt = new Date().toISOString()
+  }) {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO comments (
+        target_type, target_key, parent_id, line, revision, name, text, user_id, status, held_reason, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(targetType, targetKey, parentId, line, revision, name, text, userId, status, heldReason, createdAt);
+    return comments.get(lastInsertRowid);
+  },
+
+  setStatus(id, status, heldReason = null) {
+    db.prepare('UPDATE comments SET status = ?, held_reason = ? WHERE id = ?').run(status, heldReason, id);
+    return comments.get(id);
+  },
+
+  update(id, text) {
+    db.prepare('UPDATE comments SET text = ?, updated_at = ? WHERE id = ?').run(text, new Date().toISOString(), id);
+    return comments.get(id);
+  },
+
+  delete(id) {
+    return db.prepare('DELETE FROM comments WHERE id = ?').run(id).changes > 0;
+  }
+};
+
+// Images
+const imageSelect = `
+  SELECT images.*, users.username AS owner, ${tagColumn('image', 'images.filename')},
+    ${commentColumn('image', 'images.filename')}, ${likeColumn('image', 'images.filename')},
+    ${variantColumn('images.file', 'variants')}
+  FROM images LEFT JOIN users ON users.id = images.owner_id
+`;
+
+const imageSorts = {
+  newest: 'images.uploaded_at DESC, images.rowid DESC',
+  oldest: 'images.uploaded_at ASC, images.rowid ASC',
+  title: 'COALESCE(images.title, images.original_name) COLLATE NOCASE ASC, images.rowid DESC',
+  size: 'images.size DESC, images.rowid DESC',
+  comments: 'comment_count DESC, images.uploaded_at DESC',
+  views: 'images.view_count DESC, images.uploaded_at DESC'
+};
+
+const images = {
+  sorts: Object.keys(imageSorts),
+
+  list({ limit = -1, offset = 0, sort = 'newest', ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`
+      ${imageSelect}
+      WHERE ${listFilter}
+      ORDER BY ${imageSorts[sort] || imageSorts.newest} LIMIT @limit OFFSET @offset
+    `).all({ limit, offset, ownerId, publicOnly: publicOnly ? 1 : 0 }).map(toImage);
+  },
+
+  count({ ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`SELECT COUNT(*) FROM images WHERE ${listFilter}`)
+      .pluck().get({ ownerId, publicOnly: publicOnly ? 1 : 0 });
+  },
+
+  get(filename) {
+    return toImage(db.prepare(`${imageSelect} WHERE filename = ?`).get(filename));
+  },
+
+  create({
+    filename, file = filename, title = null, originalName, size, visibility = 'public', passwordHash = null,
+    ownerId = null, manageTokenHash = null, uploadedAt = new Date().toISOString()
+  }) {
+    db.prepare(`
+      INSERT INTO images (
+        filename, file, title, original_name, size, visibility, password_hash, owner_id, manage_token_hash, uploaded_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(filename, file, title, originalName, size, visibility, passwordHash, ownerId, manageTokenHash, uploadedAt);
+    return images.get(filename);
+  },
+
+  // Details read from the stored file, shared by identical uploads
+  setDetails(file, { width, height, format, camera, takenAt }) {
+    db.prepare('UPDATE images SET width = ?, height = ?, format = ?, camera = ?, taken_at = ? WHERE file = ?')
+      .run(width, height, format, camera, takenAt, file);
+  },
+
+  update(filename, { title, originalName, visibility, passwordHash }) {
+    db.prepare(`
+      UPDATE images SET title = ?, original_name = ?, visibility = ?, password_hash = ?, updated_at = ? WHERE filename = ?
+    `).run(title, originalName, visibility, passwordHash, new Date().toISOString(), filename);
+    return images.get(filename);
+  },
+
+  delete(filename) {
+    return db.transaction(() => {
+      const image = images.get(filename);
+      if (image) db.prepare('DELETE FROM images WHERE filename = ?').run(filename);
+      return image;
+    })();
+  }
+};
+
+// Pastes
+const pasteSelect = `
+  SELECT pastes.*, users.username AS owner, ${tagColumn('paste', 'pastes.id')},
+    ${commentColumn('paste', 'pastes.id')}, ${likeColumn('paste', 'pastes.id')}
+  FROM pastes LEFT JOIN users ON users.id = pastes.owner_id
+`;
+
+const revisionSelect = `
+  SELECT paste_revisions.*, users.username AS author
+  FROM paste_revisions LEFT JOIN users ON users.id = paste_revisions.author_id
+`;
+
+function insertRevision(paste, authorId, createdAt) {
+  db.prepare(`
+    INSERT INTO paste_revisions (paste_id, revision, title, code, language, author_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(paste.id, paste.revision, paste.title, paste.code, paste.language, authorId, createdAt);
+}
+
+const pasteSorts = {
+  newest: 'pastes.created_at DESC, pastes.rowid DESC',
+  oldest: 'pastes.created_at ASC, pastes.rowid ASC',
+  title: 'pastes.title COLLATE NOCASE ASC, pastes.rowid DESC',
+  size: 'length(pastes.code) DESC, pastes.rowid DESC',
+  comments: 'comment_count DESC, pastes.created_at DESC',
+  views: 'pastes.view_count DESC, pastes.created_at DESC'
+};
+
+// Expired and burn-after-read pastes never show up in listings
+const pasteFilter = `
+  ${listFilter} AND burn_after_read = 0 AND (expires_at IS NULL OR expires_at > @now)
+`;
+
+const pastes = {
+  sorts: Object.keys(pasteSorts),
+
+  list({ limit = -1, offset = 0, sort = 'newest', ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`
+      ${pasteSelect}
+      WHERE ${pasteFilter}
+      ORDER BY ${pasteSorts[sort] || pasteSorts.newest} LIMIT @limit OFFSET @offset
+    `).all({ limit, offset, ownerId, publicOnly: publicOnly ? 1 : 0, now: new Date().toISOString() }).map(toPaste);
+  },
+
+  count({ ownerId = null, publicOnly = true } = {}) {
+    return db.prepare(`SELECT COUNT(*) FROM pastes WHERE ${pasteFilter}`)
+      .pluck().get({ ownerId, publicOnly: publicOnly ? 1 : 0, now: new Date().toISOString() });
+  },
+
+  get(id) {
+    return toPaste(db.prepare(`${pasteSelect} WHERE pastes.id = ?`).get(id));
+  },
+
+  create({
+    title, code, language = 'plaintext', expiresAt = null, burnAfterRead = false, visibility = 'public',
+    passwordHash = null, ownerId = null, manageTokenHash = null, forkedFrom = null, createdAt = new Date().toISOString()
+  }) {
+    return db.transaction(() => {
+      const id = newId('pastes');
+      db.prepare(`
+        INSERT INTO pastes (
+          id, title, code, language, expires_at, burn_after_read, visibility, password_hash, owner_id,
+          manage_token_hash, forked_from, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, title, code, language, expiresAt, burnAfterRead ? 1 : 0, visibility, passwordHash, ownerId,
+        manageTokenHash, forkedFrom, createdAt
+      );
+      const paste = pastes.get(id);
+      insertRevision(paste, ownerId, createdAt);
+      return paste;
+    })();
+  },
+
+  // Changing the title, code or language records a new revision; visibility
+  // changes alone update the paste in place
+  update(id, { title, code, language, visibility, passwordHash }, authorId = null) {
+    return db.transaction(() => {
+      const current = pastes.get(id);
+      if (!current) return null;
+      const changed = title !== current.title || code !== current.code || language !== current.language;
+      const revision = changed ? current.revision + 1 : current.revision;
+      const now = new Date().toISOString();
+
+      db.prepare(`
+        UPDATE pastes SET title = ?, code = ?, language = ?, revision = ?, visibility = ?, password_hash = ?, updated_at = ?
+        WHERE id = ?
+      `).run(title, code, language, revision, visibility, passwordHash, now, id);
+      const paste = pastes.get(id);
+      if (changed) insertRevision(paste, authorId, now);
+      return paste;
+    })();
+  },
+
+  revisions(id) {
+    return db.prepare(`${revisionSelect} WHERE paste_id = ? ORDER BY revision DESC`).all(id).map(toRevision);
+  },
+
+  getRevision(id, revision) {
+    return toRevision(db.prepare(`${revisionSelect} WHERE paste_id = ? AND revision = ?`).get(id, revision));
+  },
+
+  // Public forks only; unlisted and protected forks stay private to their links
+  forks(id) {
+    return db.prepare(`
+      ${pasteSelect}
+      WHERE forked_from = ? AND visibility = 'public' AND hidden = 0 AND burn_after_read = 0
+        AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY pastes.created_at DESC, pastes.rowid DESC
+    `).all(id, new Date().toISOString()).map(toPaste);
+  },
+
+  delete(id) {
+    return db.prepare('DELETE FROM pastes WHERE id = ?').run(id).changes > 0;
+  },
+
+  // Deletes a paste but remembers why, so its URL answers 410 instead of 404
+  remove(id, reason) {
+    return db.transaction(() => {
+      const paste = pastes.get(id);
+      if (!paste) return null;
+      db.prepare('DELETE FROM pastes WHERE id = ?').run(id);
+      db.prepare(`
+        INSERT OR REPLACE INTO paste_tombstones (id, reason, removed_at) VALUES (?, ?, ?)
+      `).run(id, reason, new Date().toISOString());
+      return paste;
+    })();
+  },
+
+  tombstone(id) {
+    return db.prepare('SELECT reason, removed_at AS removedAt FROM paste_tombstones WHERE id = ?').get(id);
+  },
+
+  purgeExpired() {
+    const now = new Date().toISOString();
+    return db.transaction(() => {
+      const expired = db.prepare('SELECT id FROM pastes WHERE expires_at <= ?').all(now);
+      for (const { id } of expired) pastes.remove(id, 'expired');
+      return expired.length;
+    })();
+  }
+};
+
+// Tags are shared by videos, images and pastes. Tags no item uses any more
+// are dropped.
+const tags = {
+  set(type, key, names) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM item_tags WHERE type = ? AND key = ?').run(type, key);
+      for (const name of names) {
+        db.prepare('INSERT INTO tags (name) VALUES (?) ON CONFLICT (name) DO NOTHING').run(name);
+        db.prepare(`
+          INSERT OR IGNORE INTO item_tags (tag_id, type, key) SELECT id, ?, ? FROM tags WHERE name = ?
+        `).run(type, key, name);
+      }
+      db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM item_tags)').run();
+    })();
+  },
+
+  // Public items carrying a tag, newest first
+  items(name) {
+    const tagged = type => `(
+      SELECT item_tags.key FROM item_tags JOIN tags ON tags.id = item_tags.tag_id
+      WHERE tags.name = @name AND item_tags.type = '${type}'
+    )`;
+    const params = { name, ownerId: null, publicOnly: 1, now: new Date().toISOString() };
+    return {
+      videos: db.prepare(`
+        ${videoSelect} WHERE videos.id IN ${tagged('video')} AND ${listFilter} ORDER BY ${videoSorts.newest}
+      `).all(params).map(toVideo),
+      images: db.prepare(`
+        ${imageSelect} WHERE images.filename IN ${tagged('image')} AND ${listFilter} ORDER BY ${imageSorts.newest}
+      `).all(params).map(toImage),
+      pastes: db.prepare(`
+        ${pasteSelect} WHERE pastes.id IN ${tagged('paste')} AND ${pasteFilter} ORDER BY ${pasteSorts.newest}
+      `).all(params).map(toPaste)
+    };
+  }
+};
+
+// Albums are owned by a user and hold images and videos in a chosen order
+const albumSelect = `
+  SELECT albums.*, users.username AS owner,
+    (SELECT COUNT(*) FROM album_items WHERE album_items.album_id = albums.id) AS item_count
+  FROM albums JOIN users ON users.id = albums.owner_id
+`;
+
+const albums = {
+  listForOwner(ownerId) {
+    return db.prepare(`${albumSelect} WHERE owner_id = ? ORDER BY albums.created_at DESC`).all(ownerId).map(toAlbum);
+  },
+
+  // Albums holding an item, for the item's own page
+  listForItem(type, key) {
+    return db.prepare(`
+      ${albumSelect}
+      WHERE albums.id IN (SELECT album_id FROM album_items WHERE type = ? AND key = ?)
+      ORDER BY albums.title COLLATE NOCASE
+    `).all(type, key).map(toAlbum);
+  },
+
+  get(id) {
+    return toAlbum(db.prepare(`${albumSelect} WHERE albums.id = ?`).get(id));
+  },
+
+  items(id) {
+    return db.prepare(`
+      SELECT type, key, position, added_at AS addedAt FROM album_items WHERE album_id = ? ORDER BY position
+    `).all(id);
+  },
+
+  create({ title, description = '', ownerId, createdAt = new Date().toISOString() }) {
+    return db.transaction(() => {
+      const id = newId('albums');
+      db.prepare(`
+        INSERT INTO albums (id, title, description, owner_id, created_at) VALUES (?, ?, ?, ?, ?)
+      `).run(id, title, description, ownerId, createdAt);
+      return albums.get(id);
+    })();
+  },
+
+  update(id, { title, description }) {
+    db.prepare(`
+      UPDATE albums SET title = ?, description = ?, updated_at = ? WHERE id = ?
+    `).run(title, description, new Date().toISOString(), id);
+    return albums.get(id);
+  },
+
+  delete(id) {
+    return db.prepare('DELETE FROM albums WHERE id = ?').run(id).changes > 0;
+  },
+
+  // New items go to the end; adding an item twice is a no-op
+  addItem(id, type, key) {
+    db.prepare(`
+      INSERT OR IGNORE INTO album_items (album_id, type, key, position, added_at)
+      VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM album_items WHERE album_id = ?), ?)
+    `).run(id, type, key, id, new Date().toISOString());
+  },
+
+  removeItem(id, type, key) {
+    return db.prepare('DELETE FROM album_items WHERE album_id = ? AND type = ? AND key = ?').run(id, type, key).changes > 0;
+  },
+
+  // Swaps an item with its neighbour; direction is -1 (earlier) or 1 (later)
+  moveItem(id, type, key, direction) {
+    db.transaction(() => {
+      const item = db.prepare('SELECT position FROM album_items WHERE album_id = ? AND type = ? AND key = ?').get(id, type, key);
+      if (!item) return;
+      const neighbour = db.prepare(`
+        SELECT type, key, position FROM album_items
+        WHERE album_id = @id AND (CASE WHEN @direction < 0 THEN position < @position ELSE position > @position END)
+        ORDER BY CASE WHEN @direction < 0 THEN -position ELSE position END LIMIT 1
+      `).get({ id, direction, position: item.position });
+      if (!neighbour) return;
+
+      const setPosition = db.prepare('UPDATE album_items SET position = ? WHERE album_id = ? AND type = ? AND key = ?');
+      setPosition.run(neighbour.position, id, type, key);
+      setPosition.run(item.position, id, neighbour.type, neighbour.key);
+    })();
+  }
+};
+
+// Full-text search. The index is kept in sync by triggers; only public items
+// (and visible comments on public items) are returned.
+const SEARCH_TYPES = ['video', 'image', 'paste', 'comment'];
+
+// Free text becomes a prefix match on every word, so FTS syntax in user
+// input can never cause a query error
+function matchExpression(text) {
+  const terms = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// SQL condition: the item with this type and key is public and still listed
+function isPublic(type, key) {
+  return `CASE ${type}
+    WHEN 'video' THEN EXISTS (SELECT 1 FROM videos WHERE id = ${key} AND visibility = 'public' AND hidden = 0)
+    WHEN 'image' THEN EXISTS (SELECT 1 FROM images WHERE filename = ${key} AND visibility = 'public' AND hidden = 0)
+    WHEN 'paste' THEN EXISTS (
+      SELECT 1 FROM pastes WHERE id = ${key} AND visibility = 'public' AND hidden = 0
+        AND burn_after_read = 0 AND (expires_at IS NULL OR expires_at > @now)
+    )
+  END`;
+}
+
+const search = {
+  query(text, { type = null, from = null, to = null, limit = 100 } = {}) {
+    const match = matchExpression(text);
+    if (!match) return [];
+
+    const rows = db.prepare(`
+      SELECT search_docs.type, search_docs.key,
+        highlight(search_index, 0, char(2), char(3)) AS title,
+        snippet(search_index, 1, char(2), char(3), '…', 16) AS snippet,
+        bm25(search_index, 10.0, 1.0) AS rank
+      FROM search_index JOIN search_docs ON search_docs.id = search_index.rowid
+      WHERE search_index MATCH @match
+        AND (@type IS NULL OR search_docs.type = @type)
+        AND (@from IS NULL OR search_docs.created_at >= @from)
+        AND (@to IS NULL OR search_docs.created_at < @to)
+        AND CASE search_docs.type
+          WHEN 'comment' THEN EXISTS (
+            SELECT 1 FROM comments WHERE CAST(comments.id AS TEXT) = search_docs.key AND comments.status = 'visible'
+              AND ${isPublic('comments.target_type', 'comments.target_key')}
+          )
+          ELSE ${isPublic('search_docs.type', 'search_docs.key')}
+        END
+      ORDER BY rank LIMIT @limit
+    `).all({ match, type, from, to, limit, now: new Date().toISOString() });
+
+    const loaders = {
+      video: key => videos.get(key),
+      image: key => images.get(key),
+      paste: key => pastes.get(key),
+      comment: key => comments.get(Number(key))
+    };
+    return rows.map(row => ({ ...row, item: loaders[row.type](row.key) })).filter(row => row.item);
+  }
+};
+
+// Reports on videos, images, pastes and comments wait in the moderation queue
+// until an admin resolves them. Repeat reports of an item from the same user
+// or address are ignored while it is still open.
+const reportSelect = `
+  SELECT reports.*, users.username AS reporter FROM reports LEFT JOIN users ON users.id = reports.reporter_id
+`;
+
+function toReport(row) {
+  return row && {
+    id: row.id,
+    type: row.type,
+    key: row.key,
+    reason: row.reason,
+    details: row.details,
+    reporterId: row.reporter_id,
+    reporter: row.reporter,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+    action: row.action
+  };
+}
+
+const reports = {
+  create({ type, key, reason, details = '', reporterId = null, ip = null }) {
+    return db.prepare(`
+      INSERT INTO reports (type, key, reason, details, reporter_id, ip, created_at)
+      SELECT @type, @key, @reason, @details, @reporterId, @ip, @now
+      WHERE NOT EXISTS (
+        SELECT 1 FROM reports WHERE type = @type AND key = @key AND resolved_at IS NULL
+          AND (reporter_id = @reporterId OR (@reporterId IS NULL AND ip = @ip))
+      )
+    `).run({ type, key, reason, details, reporterId, ip, now: new Date().toISOString() }).changes > 0;
+  },
+
+  // Reported items with their open reports, most reported first
+  open() {
+    const items = db.prepare(`
+      SELECT type, key, COUNT(*) AS count, MIN(created_at) AS first FROM reports
+      WHERE resolved_at IS NULL GROUP BY type, key ORDER BY count DESC, first
+    `).all();
+    const list = db.prepare(`${reportSelect} WHERE type = ? AND key = ? AND resolved_at IS NULL ORDER BY reports.id`);
+    return items.map(({ type, key }) => ({ type, key, reports: list.all(type, key).map(toReport) }));
+  },
+
+  openCount() {
+    return db.prepare('SELECT COUNT(DISTINCT type || \':\' || key) FROM reports WHERE resolved_at IS NULL').pluck().get();
+  },
+
+  resolve(type, key, action, userId) {
+    return db.prepare(`
+      UPDATE reports SET resolved_at = ?, resolved_by = ?, action = ? WHERE type = ? AND key = ? AND resolved_at IS NULL
+    `).run(new Date().toISOString(), userId, action, type, String(key)).changes;
+  }
+};
+
+// Table and key column of each kind of item
+const itemTables = {
+  video: { table: 'videos', key: 'id' },
+  image: { table: 'images', key: 'filename' },
+  paste: { table: 'pastes', key: 'id' }
+};
+
+// Moderator hiding of videos, images and pastes. Hidden items disappear
+// from listings and search and are only shown to their owner and admins.
+
+const moderation = {
+  setHidden(type, key, hidden) {
+    const { table, key: column } = itemTables[type];
+    return db.prepare(`UPDATE ${table} SET hidden = ? WHERE ${column} = ?`).run(hidden ? 1 : 0, key).changes > 0;
+  },
+
+  hiddenItems() {
+    return db.prepare(`
+      SELECT 'video' AS type, id AS key FROM videos WHERE hidden = 1
+      UNION ALL SELECT 'image', filename FROM images WHERE hidden = 1
+      UNION ALL SELECT 'paste', id FROM pastes WHERE hidden = 1
+    `).all();
+  }
+};
+
+// Views and likes. A view is counted once per visitor in a time window; the
+// rows are kept for a while after that to rank trending items, while the
+// totals live on the items themselves.
+const engagement = {
+  // Counts a view unless the visitor was counted since `since`
+  recordView: db.transaction((type, key, visitor, since) => {
+    const seen = db.prepare('SELECT 1 FROM views WHERE type = ? AND key = ? AND visitor = ? AND viewed_at > ?')
+      .get(type, key, visitor, since);
+    if (seen) return false;
+
+    const { table, key: column } = itemTables[type];
+    db.prepare('INSERT INTO views (type, key, visitor, viewed_at) VALUES (?, ?, ?, ?)')
+      .run(type, key, visitor, new Date().toISOString());
+    db.prepare(`UPDATE ${table} SET view_count = view_count + 1 WHERE ${column} = ?`).run(key);
+    return true;
+  }),
+
+  hasLiked(type, key, userId) {
+    return Boolean(db.prepare('SELECT 1 FROM likes WHERE type = ? AND key = ? AND user_id = ?').get(type, key, userId));
+  },
+
+  setLiked(type, key, userId, liked) {
+    if (liked) {
+      db.prepare('INSERT OR IGNORE INTO likes (type, key, user_id, created_at) VALUES (?, ?, ?, ?)')
+        .run(type, key, userId, new Date().toISOString());
+    } else {
+      db.prepare('DELETE FROM likes WHERE type = ? AND key = ? AND user_id = ?').run(type, key, userId);
+    }
+  },
+
+  // Public items ranked by engagement since `since`: a view scores 1, a like
+  // 3 and a comment 5
+  trending({ since, limit = 6 }) {
+    return db.prepare(`
+      SELECT type, key, SUM(score) AS score FROM (
+        SELECT type, key, 1 AS score FROM views WHERE viewed_at > @since
+        UNION ALL SELECT type, key, 3 FROM likes WHERE created_at > @since
+        UNION ALL SELECT target_type, target_key, 5 FROM comments WHERE created_at > @since AND status = 'visible'
+      )
+      WHERE (type = 'video' AND key IN (SELECT id FROM videos WHERE visibility = 'public' AND hidden = 0))
+        OR (type = 'image' AND key IN (SELECT filename FROM images WHERE visibility = 'public' AND hidden = 0))
+        OR (type = 'paste' AND key IN (
+          SELECT id FROM pastes WHERE visibility = 'public' AND hidden = 0 AND burn_after_read = 0
+            AND (expires_at IS NULL OR expires_at > @now)
+        ))
+      GROUP BY type, key ORDER BY score DESC LIMIT @limit
+    `).all({ since, limit, now: new Date().toISOString() });
+  },
+
+  // Views only matter for deduplication and trending for so long
+  purgeViews(before) {
+    return db.prepare('DELETE FROM views WHERE viewed_at < ?').run(before).changes;
+  }
+};
+
+// Chunked uploads in progress. The bytes received so far live in a partial
+// file on disk; this only records the expected length and the upload's
+// metadata (stored as JSON).
+function toChunkedUpload(row) {
+  return row && {
+    id: row.id,
+    length: row.length,
+    metadata: JSON.parse(row.metadata),
+    ownerId: row.owner_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const chunkedUploads = {
+  get(id) {
+    return toChunkedUpload(db.prepare('SELECT * FROM chunked_uploads WHERE id = ?').get(id));
+  },
+
+  create({ id, length, metadata = {}, ownerId = null }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO chunked_uploads (id, length, metadata, owner_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, length, JSON.stringify(metadata), ownerId, now, now);
+    return chunkedUploads.get(id);
+  },
+
+  touch(id) {
+    db.prepare('UPDATE chunked_uploads SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  },
+
+  delete(id) {
+    return db.prepare('DELETE FROM chunked_uploads WHERE id = ?').run(id).changes > 0;
+  },
+
+  // Uploads that have not received data since the given time
+  staleSince(time) {
+    return db.prepare('SELECT id FROM chunked_uploads WHERE updated_at <= ?').pluck().all(time);
+  }
+};
+
+// Background jobs. Each has a type, an optional key naming what it works on
+// and a JSON payload.
+function toJob(row) {
+  return row && {
+    id: row.id,
+    type: row.type,
+    key: row.key,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error,
+    runAfter: row.run_after,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const JOB_STATUSES = ['queued', 'processing', 'done', 'failed'];
+
+const jobs = {
+  get(id) {
+    return toJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+  },
+
+  create({ type, key = null, payload = {}, runAfter = new Date().toISOString() }) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO jobs (type, key, payload, run_after, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(type, key === null ? null : String(key), JSON.stringify(payload), runAfter, now, now);
+    return jobs.get(lastInsertRowid);
+  },
+
+  // A job of a type for a key that is waiting to run
+  queued(type, key) {
+    return toJob(db.prepare(`SELECT * FROM jobs WHERE type = ? AND key = ? AND status = 'queued' LIMIT 1`).get(type, String(key)));
+  },
+
+  // The most recent job of a type for a key
+  latest(type, key) {
+    return toJob(db.prepare('SELECT * FROM jobs WHERE type = ? AND key = ? ORDER BY id DESC LIMIT 1').get(type, String(key)));
+  },
+
+  // Marks the next due job of the given types as processing and returns it
+  claim(types) {
+    return db.transaction(() => {
+      const now = new Date().toISOString();
+      const id = db.prepare(`
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_after <= ? AND type IN (SELECT value FROM json_each(?))
+        ORDER BY run_after, id LIMIT 1
+      `).pluck().get(now, JSON.stringify(types));
+      if (!id) return null;
+
+      db.prepare(`UPDATE jobs SET status = 'processing', attempts = attempts + 1, updated_at = ? WHERE id = ?`).run(now, id);
+      return jobs.get(id);
+    })();
+  },
+
+  finish(id) {
+    db.prepare(`UPDATE jobs SET status = 'done', error = NULL, updated_at = ? WHERE id = ?`).run(new Date().toISOString(), id);
+  },
+
+  // Puts a failed job back in the queue to run again at `runAfter`
+  retry(id, error, runAfter) {
+    db.prepare(`UPDATE jobs SET status = 'queued', error = ?, run_after = ?, updated_at = ? WHERE id = ?`)
+      .run(error, runAfter, new Date().toISOString(), id);
+  },
+
+  fail(id, error) {
+    db.prepare(`UPDATE jobs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?`).run(error, new Date().toISOString(), id);
+  },
+
+  // Jobs of the given types that were running when the server stopped go
+  // back in the queue
+  requeueInterrupted(types) {
+    return db.prepare(`
+      UPDATE jobs SET status = 'queued', updated_at = ?
+      WHERE status = 'processing' AND type IN (SELECT value FROM json_each(?))
+    `).run(new Date().toISOString(), JSON.stringify(types)).changes;
+  },
+
+  counts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const row of db.prepare('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status').all()) counts[row.status] = row.count;
+    return counts;
+  },
+
+  // Finished jobs are kept for a while, then dropped
+  purgeFinished(before) {
+    return db.prepare(`DELETE FROM jobs WHERE status = 'done' AND updated_at < ?`).run(before).changes;
+  }
+};
+
+// Outgoing webhooks and the log of their delivery attempts. Events are
+// stored as a JSON array of names.
+function toWebhook(row) {
+  return row && {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    lastDeliveryAt: row.last_delivery_at
+  };
+}
+
+function toDelivery(row) {
+  return row && {
+    id: row.id,
+    webhookId: row.webhook_id,
+    deliveryId: row.delivery_id,
+    event: row.event,
+    attempt: row.attempt,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+    createdAt: row.created_at
+  };
+}
+
+const webhookSelect = `
+  SELECT webhooks.*, last.status_code AS last_status, last.error AS last_error, last.created_at AS last_delivery_at
+  FROM webhooks LEFT JOIN webhook_deliveries AS last
+    ON last.id = (SELECT MAX(id) FROM webhook_deliveries WHERE webhook_id = webhooks.id)
+`;
+
+const webhooks = {
+  list() {
+    return db.prepare(`${webhookSelect} ORDER BY webhooks.id`).all().map(toWebhook);
+  },
+
+  get(id) {
+    return toWebhook(db.prepare(`${webhookSelect} WHERE webhooks.id = ?`).get(id));
+  },
+
+  create({ url, secret, events, createdBy }) {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO webhooks (url, secret, events, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(url, secret, JSON.stringify(events), createdBy, new Date().toISOString());
+    return webhooks.get(lastInsertRowid);
+  },
+
+  setActive(id, active) {
+    return db.prepare('UPDATE webhooks SET active = ? WHERE id = ?').run(active ? 1 : 0, id).changes > 0;
+  },
+
+  delete(id) {
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  },
+
+  // Active webhooks that asked for an event
+  subscribedTo(event) {
+    return db.prepare(`
+      ${webhookSelect} WHERE webhooks.active = 1 AND ? IN (SELECT value FROM json_each(webhooks.events))
+    `).all(event).map(toWebhook);
+  },
+
+  logDelivery({ webhookId, deliveryId, event, attempt, statusCode, error, durationMs }) {
+    db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, attempt, status_code, error, duration_ms, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(webhookId, deliveryId, event, attempt, statusCode, error, durationMs, new Date().toISOString());
+  },
+
+  deliveries(webhookId, { limit = 50 } = {}) {
+    return db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?')
+      .all(webhookId, limit).map(toDelivery);
+  },
+
+  purgeDeliveries(before) {
+    return db.prepare('DELETE FROM webhook_deliveries WHERE created_at < ?').run(before).changes;
+  }
+};
+
+// Figures for the admin dashboard
+const admin = {
+  counts() {
+    return db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM videos) AS videos,
+        (SELECT COUNT(*) FROM images) AS images,
+        (SELECT COUNT(*) FROM pastes) AS pastes,
+        (SELECT COUNT(*) FROM comments) AS comments,
+        (SELECT COUNT(*) FROM users) AS users,
+        (SELECT COUNT(*) FROM albums) AS albums,
+        (SELECT COUNT(*) FROM tags) AS tags
+    `).get();
+  },
+
+  // Pastes live in the database; this counts every stored revision
+  pasteBytes() {
+    return db.prepare('SELECT COALESCE(SUM(length(CAST(code AS BLOB))), 0) FROM paste_revisions').pluck().get();
+  },
+
+  // Every file in uploads/ that a record points at, with what uses it
+  uploadFiles() {
+    return db.prepare(`
+      SELECT video AS filename, 'video' AS kind FROM videos
+      UNION ALL SELECT mp4, 'video' FROM videos WHERE mp4 IS NOT NULL
+      UNION ALL SELECT webm, 'video' FROM videos WHERE webm IS NOT NULL
+      UNION ALL SELECT thumbnail, 'thumbnail' FROM videos WHERE thumbnail IS NOT NULL
+      UNION ALL SELECT file, 'image' FROM images
+      UNION ALL SELECT filename, 'variant' FROM image_variants
+    `).all();
+  }
+};
+
+// Admin actions, newest first
+const audit = {
+  sorts: ['newest'],
+
+  log({ userId, action, type = null, key = null, details = '' }) {
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, type, key, details, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, action, type, key === null ? null : String(key), details, new Date().toISOString());
+  },
+
+  list({ limit = -1, offset = 0 } = {}) {
+    return db.prepare(`
+      SELECT audit_log.id, audit_log.action, audit_log.type, audit_log.key, audit_log.details,
+        audit_log.created_at AS createdAt, users.username AS user
+      FROM audit_log LEFT JOIN users ON users.id = audit_log.user_id
+      ORDER BY audit_log.id DESC LIMIT ? OFFSET ?
+    `).all(limit, offset);
+  },
+
+  count() {
+    return db.prepare('SELECT COUNT(*) FROM audit_log').pluck().get();
+  }
+};
+
+// Uploaded files, by content hash. Records point at these by filename, and
+// identical uploads share one file.
+const storedFiles = {
+  byHash(sha256) {
+    return db.prepare('SELECT filename, sha256, size FROM stored_files WHERE sha256 = ?').get(sha256);
+  },
+
+  // Records a file unless one with the same contents is already stored.
+  // Returns whichever file is stored for the hash afterwards.
+  add({ filename, sha256, size, mime }) {
+    db.prepare(`
+      INSERT INTO stored_files (filename, sha256, size, mime, created_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (sha256) DO NOTHING
+    `).run(filename, sha256, size, mime, new Date().toISOString());
+    return storedFiles.byHash(sha256);
+  },
+
+  setMime(filename, mime) {
+    db.prepare('UPDATE stored_files SET mime = ? WHERE filename = ?').run(mime, filename);
+  },
+
+  // The type recorded for a stored file or resized variant
+  mimeOf(filename) {
+    return db.prepare(`
+      SELECT mime FROM stored_files WHERE filename = @filename AND mime IS NOT NULL
+      UNION ALL SELECT 'image/' || format FROM image_variants WHERE filename = @filename
+    `).pluck().get({ filename }) || null;
+  },
+
+  delete(filename) {
+    db.prepare('DELETE FROM stored_files WHERE filename = ?').run(filename);
+  },
+
+  isReferenced(filename) {
+    return Boolean(db.prepare(`
+      SELECT 1 FROM videos WHERE @filename IN (video, thumbnail, mp4, webm)
+      UNION ALL SELECT 1 FROM images WHERE file = @filename
+    `).get({ filename }));
+  },
+
+  // Files records point at that were stored before uploads were hashed, or
+  // before their type was recorded
+  unhashed() {
+    return db.prepare(`
+      SELECT video FROM videos
+      UNION SELECT thumbnail FROM videos WHERE thumbnail IS NOT NULL
+      UNION SELECT mp4 FROM videos WHERE mp4 IS NOT NULL
+      UNION SELECT webm FROM videos WHERE webm IS NOT NULL
+      UNION SELECT file FROM images
+      EXCEPT SELECT filename FROM stored_files
+      UNION SELECT filename FROM stored_files WHERE mime IS NULL
+    `).pluck().all();
+  }
+};
+
+// Resized copies of stored images, keyed by the file they were made from
+const imageVariants = {
+  set(source, variants) {
+    const insert = db.prepare('INSERT OR REPLACE INTO image_variants (filename, source, width, height, format) VALUES (?, ?, ?, ?, ?)');
+    db.transaction(() => {
+      for (const v of variants) insert.run(v.filename, source, v.width, v.height, v.format);
+    })();
+  },
+
+  exist(source) {
+    return Boolean(db.prepare('SELECT 1 FROM image_variants WHERE source = ?').get(source));
+  },
+
+  // Removes the rows for a source file and returns the variant filenames
+  deleteFor(source) {
+    return db.prepare('DELETE FROM image_variants WHERE source = ? RETURNING filename').pluck().all(source);
+  },
+
+  // Images and video thumbnails that have no variants yet
+  missing() {
+    return db.prepare(`
+      SELECT file FROM images
+      UNION SELECT thumbnail FROM videos WHERE thumbnail IS NOT NULL
+      EXCEPT SELECT source FROM image_variants
+    `).pluck().all();
+  }
+};
+
+// Finds the records a stored upload belongs to, for guarding direct file
+// access. Deduplicated files can belong to several, and variants belong to
+// whatever their source does.
+function findUploads(name) {
+  const filename = db.prepare('SELECT source FROM image_variants WHERE filename = ?').pluck().get(name) || name;
+  return [
+    ...db.prepare(`${imageSelect} WHERE file = ?`).all(filename).map(item => ({ type: 'image', item: toImage(item) })),
+    ...db.prepare(`${videoSelect} WHERE ? IN (video, thumbnail, mp4, webm)`).all(filename)
+      .map(item => ({ type: 'video', item: toVideo(item) }))
+  ];
+}
+
+// Users
+const users = {
+  get(id) {
+    return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  },
+
+  getByUsername(username) {
+    return toUser(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+  },
+
+  create({ username, passwordHash, createdAt = new Date().toISOString() }) {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)
+    `).run(username, passwordHash, createdAt);
+    return users.get(lastInsertRowid);
+  },
+
+  // Makes exactly the named accounts admins. Returns the admins' usernames.
+  setAdmins(usernames) {
+    db.prepare(`
+      UPDATE users SET is_admin = username IN (SELECT value FROM json_each(?))
+    `).run(JSON.stringify(usernames));
+    return db.prepare('SELECT username FROM users WHERE is_admin = 1 ORDER BY id').pluck().all();
+  }
+};
+
+// Sessions are keyed by a hash of the cookie token, never the token itself
+const sessions = {
+  getUser(id) {
+    return toUser(db.prepare(`
+      SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+      WHERE sessions.id = ? AND sessions.expires_at > ?
+    `).get(id, new Date().toISOString()));
+  },
+
+  create(id, userId, expiresAt) {
+    db.prepare(`
+      INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+    `).run(id, userId, new Date().toISOString(), expiresAt);
+  },
+
+  delete(id) {
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+  },
+
+  purgeExpired() {
+    return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+  }
+};
+
+// Upload tokens let scripts and screenshot tools upload as a user. Like
+// sessions, only a hash of each token is stored.
+function toUploadToken(row) {
+  return row && {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+const uploadTokens = {
+  list(userId) {
+    return db.prepare('SELECT * FROM upload_tokens WHERE user_id = ? ORDER BY id DESC').all(userId).map(toUploadToken);
+  },
+
+  create({ userId, name, tokenHash }) {
+    return toUploadToken(db.prepare(`
+      INSERT INTO upload_tokens (user_id, name, token_hash, created_at) VALUES (?, ?, ?, ?) RETURNING *
+    `).get(userId, name, tokenHash, new Date().toISOString()));
+  },
+
+  // Only the token's own user may revoke it
+  delete(id, userId) {
+    return db.prepare('DELETE FROM upload_tokens WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  },
+
+  // The user a token belongs to, noting when it was last used
+  getUser(tokenHash) {
+    const row = db.prepare(`
+      UPDATE upload_tokens SET last_used_at = ? WHERE token_hash = ? RETURNING user_id
+    `).get(new Date().toISOString(), tokenHash);
+    return row ? users.get(row.user_id) : null;
+  }
+};
+
+// Settings are stored as JSON values
+const settings = {
+  get(key, fallback) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  },
+
+  set(key, value) {
+    db.prepare(`
+      INSERT INTO settings (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(key, JSON.stringify(value));
+  }
+};
+
+// One-time import of a legacy data.json store. The file is renamed afterwards
+// so the import never runs twice.
+function importJson(file) {
+  if (!fs.existsSync(file)) return false;
+
+  const data = JSON.parse(fs.readFileSync(file));
+  const insertVideo = db.prepare(`
+    INSERT OR IGNORE INTO videos (id, title, description, video, thumbnail, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertComment = db.prepare(`
+    INSERT INTO comments (target_type, target_key, name, text, created_at) VALUES ('video', ?, ?, ?, ?)
+  `);
+  const insertImage = db.prepare(`
+    INSERT OR IGNORE INTO images (filename, file, original_name, size, uploaded_at) VALUES (?, ?, ?, ?, ?)
+  `);
+  const insertPaste = db.prepare('INSERT OR IGNORE INTO pastes (id, title, code, created_at) VALUES (?, ?, ?, ?)');
+
+  db.transaction(() => {
+    for (const v of data.videos || []) {
+      const { changes } = insertVideo.run(v.id, v.title, v.description || '', v.video, v.thumbnail || null, v.createdAt);
+      if (!changes) continue;
+      for (const c of v.comments || []) insertComment.run(v.id, c.name, c.text, c.createdAt);
+    }
+    for (const i of data.images || []) insertImage.run(i.filename, i.filename, i.originalName, i.size, i.uploadedAt);
+    for (const p of data.pastes || []) insertPaste.run(p.id, p.title, p.code, p.createdAt);
+    db.exec(`
+      INSERT OR IGNORE INTO paste_revisions (paste_id, revision, title, code, language, author_id, created_at)
+        SELECT id, revision, title, code, language, owner_id, created_at FROM pastes
+    `);
+    if (data.settings) {
+      for (const [key, value] of Object.entries(data.settings)) settings.set(key, value);
+    }
+  })();
+
+  fs.renameSync(file, file + '.imported');
+  return true;
+}
+
+module.exports = {
+  db,
+  dbFile,
+  videos,
+  comments,
+  images,
+  pastes,
+  users,
+  sessions,
+  uploadTokens,
+  settings,
+  tags,
+  albums,
+  search,
+  reports,
+  moderation,
+  engagement,
+  admin,
+  audit,
+  chunkedUploads,
+  storedFiles,
+  imageVariants,
+  jobs,
+  webhooks,
+  SEARCH_TYPES,
+  findUploads,
+  importJson,
+  // For the tests, which build databases at older schema versions
+  migrations
+};
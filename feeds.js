@@ -0,0 +1,58 @@
+// Atom feeds (RFC 4287). Routes gather the entries; this only writes the XML.
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Atom wants full RFC 3339 timestamps
+function timestamp(date) {
+  return new Date(date).toISOString();
+}
+
+// Media files are attached as enclosure links, which feed readers and
+// podcast clients offer to download
+function renderEnclosure({ url, type, length }) {
+  return `<link rel="enclosure" href="${escapeXml(url)}" type="${escapeXml(type)}"${length ? ` length="${length}"` : ''}/>`;
+}
+
+function renderEntry(entry) {
+  const lines = [
+    `<id>${escapeXml(entry.id)}</id>`,
+    `<title>${escapeXml(entry.title)}</title>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+    ...(entry.enclosures || []).map(renderEnclosure),
+    `<published>${timestamp(entry.published)}</published>`,
+    `<updated>${timestamp(entry.updated || entry.published)}</updated>`,
+    `<author><name>${escapeXml(entry.author || 'Anonymous')}</name></author>`
+  ];
+  if (entry.content) lines.push(`<content type="html">${escapeXml(entry.content.trim())}</content>`);
+  return `\n  <entry>\n    ${lines.join('\n    ')}\n  </entry>`;
+}
+
+// `self` is the feed's own URL and `link` the page it follows. A feed was
+// last updated with its newest entry; an empty one at `updated`.
+function renderFeed({ title, link, self, updated, entries }) {
+  const dates = entries.map(entry => timestamp(entry.updated || entry.published)).sort();
+  const latest = dates.length ? dates[dates.length - 1] : timestamp(updated);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(self)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>
+  <updated>${latest}</updated>
+  <generator>Gallery</generator>${entries.map(renderEntry).join('')}
+</feed>
+`;
+}
+
+module.exports = {
+  CONTENT_TYPE: 'application/atom+xml; charset=utf-8',
+  renderFeed
+};
@@ -2,81 +2,465 @@ const express = require("express");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
+const db = require("./db");
+const auth = require("./auth");
+const syntax = require("./syntax");
+const linediff = require("./linediff");
+const moderation = require("./moderation");
+const tus = require("./tus");
+const storage = require("./storage");
+const media = require("./media");
+const jobs = require("./jobs");
+const feeds = require("./feeds");
+const webhooks = require("./webhooks");
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configuration
-const uploadDir = path.join(__dirname, "uploads");
-const dataFile = path.join(__dirname, "data.json");
+// Configuration. UPLOAD_DIR and DATA_FILE keep uploads and the legacy data
+// file elsewhere, as the tests do.
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+const legacyDataFile = process.env.DATA_FILE || path.join(__dirname, "data.json");
 
-// Ensure directories and files exist
+// Paste lifetimes offered on the paste form
+const PASTE_EXPIRY = {
+  '10m': { label: '10 minutes', ms: 10 * 60 * 1000 },
+  '1h': { label: '1 hour', ms: 60 * 60 * 1000 },
+  '1d': { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  '1w': { label: '1 week', ms: 7 * 24 * 60 * 60 * 1000 },
+  never: { label: 'Never', ms: null }
+};
+
+// Largest uploads taken in a single request, and largest text turned into a
+// paste by /upload
+const UPLOAD_LIMITS = {
+  video: 100 * 1024 * 1024,
+  image: 20 * 1024 * 1024,
+  text: 1024 * 1024
+};
+
+// Chunked video uploads may be much larger than single-request ones. Unfinished
+// ones are dropped after a day without new data.
+const MAX_CHUNKED_VIDEO_SIZE = Number(process.env.MAX_CHUNKED_VIDEO_SIZE) || 4 * 1024 * 1024 * 1024;
+const CHUNKED_UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+// Videos are transcoded, and get poster frames, with a local ffmpeg
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Finished background jobs are kept this long, and the webhook delivery log
+// this long
+const FINISHED_JOB_TTL = 7 * 24 * 60 * 60 * 1000;
+const WEBHOOK_LOG_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Absolute links, as in feeds, start with PUBLIC_URL when it is set and with
+// the address the request came to otherwise
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Entries per feed
+const FEED_SIZE = 30;
+
+// A visitor's views of an item count once per VIEW_WINDOW; the trending
+// section ranks items by engagement over TRENDING_WINDOW
+const VIEW_WINDOW = 6 * 60 * 60 * 1000;
+const TRENDING_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Unreferenced uploads younger than this may belong to an upload still in
+// progress, so the orphan scanner leaves them alone
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Per-IP limits on routes that create content or check passwords, counted
+// over a fixed window
+const RATE_LIMITS = {
+  comment: { windowMs: 10 * 60 * 1000, max: 10 },
+  upload: { windowMs: 60 * 60 * 1000, max: 30 },
+  chunkedUpload: { windowMs: 60 * 60 * 1000, max: 30 },
+  report: { windowMs: 60 * 60 * 1000, max: 10 },
+  login: { windowMs: 15 * 60 * 1000, max: 10 }
+};
+
+// Admins are named by the operator: ADMIN_USERS is a comma-separated list of
+// usernames, applied to the existing accounts at every start
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. "loopback") makes req.ip the
+// client address rather than the proxy's
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+
+// Ensure directories exist and import the legacy JSON store once
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-if (!fs.existsSync(dataFile)) {
-  fs.writeFileSync(dataFile, JSON.stringify({ 
-    videos: [], 
-    images: [], 
-    pastes: [],
-    settings: { darkMode: true }
-  }, null, 2));
+if (db.importJson(legacyDataFile)) {
+  console.log(`Imported ${legacyDataFile} into ${db.dbFile}`);
+}
+
+// Accounts registered later never become admins on their own, so a name in
+// ADMIN_USERS cannot be claimed by whoever registers it first
+const admins = db.users.setAdmins(ADMIN_USERS);
+console.log(admins.length ? `Admins: ${admins.join(', ')}` : 'No admin accounts; list usernames in ADMIN_USERS to add some.');
+
+// Videos uploaded before file sizes were recorded get them from the stored file
+for (const { id, video } of db.videos.withoutSize()) {
+  fs.stat(path.join(uploadDir, video), (err, stats) => {
+    if (!err) db.videos.setSize(id, stats.size);
+  });
 }
 
-// Multer storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+// Stored uploads get a unique name that keeps the original extension
+function uploadFilename(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalName);
+}
+
+// Uploads are hashed, and identical files stored once
+const fileStore = storage.createFileStore({ directory: uploadDir, filename: uploadFilename });
+
+// Files stored before hashing get their hash and type in the background, one
+// at a time
+(async () => {
+  for (const filename of db.storedFiles.unhashed()) {
+    await fileStore.register(filename).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Error hashing upload:', err);
+    });
   }
-});
+})();
+
+// Processing after upload runs as background jobs. Transcodes can take
+// minutes, so they have a queue of their own and new images never wait behind
+// one for their variants.
+const imageQueue = jobs.createQueue();
+const transcodeQueue = jobs.createQueue();
 
-// Separate upload configurations for different types
-const videoUpload = multer({
-  storage,
-  limits: { fileSize: 100 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const filetypes = /mp4|webm|mov/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
-    if (extname && mimetype) return cb(null, true);
-    cb(new Error('Only video files are allowed!'));
+// Records an image's dimensions and camera details and makes its resized
+// variants, once per stored file. Files deleted before their turn are skipped, and variants of
+// one deleted meanwhile go with it.
+async function processImage(file) {
+  if (!db.storedFiles.isReferenced(file)) return;
+  
+  const info = await media.imageInfo(path.join(uploadDir, file));
+  if (!db.imageVariants.exist(file)) {
+    db.imageVariants.set(file, await media.makeVariants(uploadDir, file, info));
   }
-});
+  db.images.setDetails(file, info);
+  fileStore.release(file);
+}
+
+// Transcodes to each format in media.RENDITIONS and reads the duration and
+// resolution. Renditions already stored are given back if a later one fails.
+async function makeRenditions(video) {
+  const source = path.join(uploadDir, video.video);
+  const result = await media.probe(FFPROBE_PATH, source);
+  
+  try {
+    for (const format of Object.keys(media.RENDITIONS)) {
+      const output = path.join(uploadDir, `.transcode-${video.id}.${format}`);
+      await media.transcode(FFMPEG_PATH, source, output, format).catch(async (err) => {
+        await fs.promises.rm(output, { force: true });
+        throw err;
+      });
+      
+      const stored = await fileStore.storeFile(output, { kind: 'video', originalName: `video.${format}` });
+      if (stored.error) throw new Error(stored.error);
+      result[format] = stored.file.filename;
+    }
+  } catch (err) {
+    fileStore.release(...Object.keys(media.RENDITIONS).map(format => result[format]));
+    throw err;
+  }
+  return result;
+}
+
+// Stores a frame of the video as its thumbnail
+async function addPoster(video) {
+  const frame = path.join(uploadDir, `.poster-${video.id}.jpg`);
+  await media.extractPoster(FFMPEG_PATH, path.join(uploadDir, video.video), frame);
+  
+  const stored = await fileStore.storeFile(frame, { kind: 'image', originalName: 'poster.jpg' });
+  if (stored.error) throw new Error(stored.error);
+  if (db.videos.setThumbnail(video.id, stored.file.filename)) await processImage(stored.file.filename);
+  else fileStore.release(stored.file.filename);
+}
 
-const imageUpload = multer({
-  storage,
-  limits: { fileSize: 20 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const filetypes = /jpeg|jpg|png|gif/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
-    if (extname && mimetype) return cb(null, true);
-    cb(new Error('Only image files are allowed!'));
+// Makes a video playable in every browser, then gives it a poster frame if
+// it came without a thumbnail. Identical uploads reuse the first one's
+// renditions, and a retry skips the steps that already succeeded.
+async function transcodeVideo(id) {
+  const video = db.videos.get(id);
+  if (!video) return;
+  
+  if (!video.mp4) {
+    const transcoded = db.videos.transcodedFrom(video.video) || await makeRenditions(video);
+    if (!db.videos.setTranscoded(video.id, transcoded)) return fileStore.release(transcoded.mp4, transcoded.webm);
   }
+  if (!video.thumbnail) await addPoster(video);
+}
+
+imageQueue.register('image', job => processImage(job.key), { attempts: 2 });
+transcodeQueue.register('transcode', job => transcodeVideo(job.key), { attempts: 2 });
+
+// Webhook deliveries have a queue of their own, so they never wait behind a
+// transcode
+const webhookQueue = jobs.createQueue();
+const dispatcher = webhooks.createDispatcher(webhookQueue);
+
+// Uploads from before processing existed are caught up on
+for (const file of db.imageVariants.missing()) imageQueue.enqueue('image', file);
+for (const id of db.videos.untranscoded()) transcodeQueue.enqueue('transcode', id);
+
+// Shared by the multipart and chunked video uploads
+function isVideoFile(originalName, mimetype) {
+  const filetypes = /mp4|webm|mov/;
+  return filetypes.test(path.extname(originalName).toLowerCase()) && filetypes.test(mimetype);
+}
+
+function isImageFile(originalName, mimetype) {
+  const filetypes = /jpeg|jpg|png|gif/;
+  return filetypes.test(path.extname(originalName).toLowerCase()) && filetypes.test(mimetype);
+}
+
+// The claimed type is checked before a file is received and its contents
+// once it has arrived, so a renamed file of another type is refused.
+// `kindOf(file)` says whether a field takes a video or an image.
+function checkedUpload(kindOf, limits) {
+  return multer({
+    storage: fileStore.multerStorage({
+      accept: (file, head) => storage.contentsMatch(head, kindOf(file), file.originalname) ? null : `The file is not a valid ${kindOf(file)}.`
+    }),
+    limits,
+    fileFilter: (req, file, cb) => {
+      const kind = kindOf(file);
+      const claimed = kind === 'video' ? isVideoFile : isImageFile;
+      if (claimed(file.originalname, file.mimetype)) return cb(null, true);
+      cb(Object.assign(new Error(`Only ${kind} files are allowed!`), { status: 400 }));
+    }
+  });
+}
+
+// Separate upload configurations for different types. Thumbnails come with
+// their video and are images.
+const videoUpload = checkedUpload(file => file.fieldname === 'thumbnail' ? 'image' : 'video', { fileSize: UPLOAD_LIMITS.video });
+const imageUpload = checkedUpload(() => 'image', { fileSize: UPLOAD_LIMITS.image });
+
+const videoFields = videoUpload.fields([
+  { name: 'video', maxCount: 1 },
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
+// Runs a multer middleware from an async route handler
+function receiveFiles(upload, req, res) {
+  return new Promise((resolve, reject) => upload(req, res, err => err ? reject(err) : resolve()));
+}
+
+// Token uploads for curl, ShareX and other tools. One endpoint takes a
+// multipart file or the raw request body:
+//   curl -H "Authorization: Bearer <token>" -T shot.png https://example.com/upload/
+//   cat build.log | curl -H "Authorization: Bearer <token>" --data-binary @- https://example.com/upload
+// Images and videos are recognised by their contents, and text becomes a
+// paste. The reply is the item's URL and a delete link, as lines of text or,
+// with ?format=json, as JSON. Uploads belong to the token's user, so the
+// delete link carries no secret: it asks that user, logged in, to confirm.
+// Options such as title, tags and visibility come as query parameters or
+// form fields.
+const detectingUpload = multer({
+  storage: fileStore.detectingStorage({ maxSize: UPLOAD_LIMITS.video, maxTextSize: UPLOAD_LIMITS.text }),
+  limits: { fileSize: UPLOAD_LIMITS.video, files: 1 }
 });
 
+// Receives the one file of a token upload, as storeStream describes it
+async function receiveAny(req, res) {
+  if (req.is('multipart/form-data')) {
+    await receiveFiles(detectingUpload.any(), req, res);
+    return req.files?.[0] || null;
+  }
+  return fileStore.storeStream(req, {
+    originalName: req.params.filename || String(req.query.filename || ''),
+    maxSize: UPLOAD_LIMITS.video,
+    maxTextSize: UPLOAD_LIMITS.text
+  });
+}
+
+async function tokenUpload(req, res) {
+  const asJson = req.query.format === 'json';
+  const fail = (status, message) => asJson
+    ? apiError(res, status, message)
+    : res.status(status).type('text/plain').send(`Error: ${message}\n`);
+  
+  const user = auth.uploadTokenUser(req);
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return fail(401, `An upload token is required. Create one at ${absoluteUrl(req, '/settings/upload-tokens')}.`);
+  }
+  
+  let upload;
+  try {
+    upload = await receiveAny(req, res);
+  } catch (err) {
+    if (err instanceof multer.MulterError) return fail(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message);
+    if (!err.status) console.error('Error receiving upload:', err);
+    return fail(err.status || 500, err.status ? err.message : 'The upload could not be stored.');
+  }
+  if (upload?.error) return fail(400, upload.error);
+  if (!upload || (upload.kind === 'text' && !upload.text.trim())) return fail(400, 'Nothing was uploaded.');
+  
+  const options = { ...req.query, ...req.body };
+  const name = upload.file?.originalname || upload.originalname || req.params.filename || String(options.filename || '');
+  const tags = parseTags(options.tags);
+  const access = readVisibility(options);
+  let error = access.error;
+  if (!error && upload.kind === 'image' && upload.file.size > UPLOAD_LIMITS.image) {
+    error = `Images are limited to ${UPLOAD_LIMITS.image} bytes.`;
+  }
+  if (!error && upload.kind === 'text' && options.expiresIn && !PASTE_EXPIRY[options.expiresIn]) {
+    error = `expiresIn must be one of: ${Object.keys(PASTE_EXPIRY).join(', ')}.`;
+  }
+  if (error) {
+    fileStore.release(upload.file?.filename);
+    return fail(400, error);
+  }
+  
+  let type;
+  let item;
+  if (upload.kind === 'image') {
+    const stripped = await removeMetadata(upload.file, { keep: ['1', 'true'].includes(options.keepMetadata) });
+    if (stripped.error) {
+      fileStore.release(upload.file.filename);
+      return fail(400, stripped.error);
+    }
+    type = 'image';
+    item = addImage(stripped.file, { title: options.title, tags, ...access }, user);
+  } else if (upload.kind === 'video') {
+    const title = options.title || path.basename(name, path.extname(name)) || 'Untitled video';
+    type = 'video';
+    item = addVideo({ title, description: options.description, tags, ...access }, upload.file, null, user);
+  } else {
+    type = 'paste';
+    item = addPaste({
+      title: options.title || name || 'Untitled paste',
+      code: upload.text,
+      language: options.language || syntax.languageForFile(name),
+      expiresIn: options.expiresIn,
+      burnAfterRead: ['1', 'true'].includes(options.burnAfterRead),
+      tags,
+      ...access
+    }, user);
+  }
+  
+  const itemUrl = itemPath(type, itemKey(type, item));
+  const url = absoluteUrl(req, itemUrl);
+  const deleteUrl = absoluteUrl(req, `${itemUrl}/delete`);
+  res.status(201);
+  if (!asJson) return res.type('text/plain').send(`${url}\n${deleteUrl}\n`);
+  
+  // The direct link: the file itself, or a paste's raw text
+  const serialized = type === 'video' ? serializeVideo(item) : type === 'image' ? serializeImage(item) : serializePaste(item);
+  res.json({ type, url, file: absoluteUrl(req, serialized.file || serialized.raw), deleteUrl });
+}
+
+// These routes read the body themselves, so they come before the body parsers
+app.post("/upload", rateLimit('upload'), tokenUpload);
+app.put("/upload", rateLimit('upload'), tokenUpload);
+app.put("/upload/:filename", rateLimit('upload'), tokenUpload);
+
 // Middleware
-app.use(express.static("uploads"));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
+app.use(auth.sessionMiddleware);
 
-// Utility functions
-function loadData() {
-  try {
-    return JSON.parse(fs.readFileSync(dataFile));
-  } catch (err) {
-    console.error('Error loading data:', err);
-    return { videos: [], images: [], pastes: [], settings: { darkMode: true } };
+// Resumable video uploads (tus protocol). The upload form sends the file here
+// in chunks, then submits the rest of the form with the upload's id.
+const videoChunks = tus.createTusServer({
+  directory: path.join(uploadDir, '.partial'),
+  maxSize: MAX_CHUNKED_VIDEO_SIZE,
+  expiresAfter: CHUNKED_UPLOAD_TTL,
+  validate: metadata => isVideoFile(metadata.filename || '', metadata.filetype || '') ? null : 'Only video files are allowed!',
+  limits: [rateLimit('chunkedUpload')]
+});
+
+app.use("/upload/video/tus", videoChunks.router);
+
+// Turns a finished chunked upload into a stored file shaped like multer's.
+// The type is checked again, as the metadata was only a claim, and then the
+// contents.
+async function claimChunkedUpload(req, uploadId) {
+  const claimed = videoChunks.claim(uploadId, req.user?.id ?? null);
+  if (claimed.error) return claimed;
+  
+  const originalname = claimed.metadata.filename || '';
+  const mimetype = claimed.metadata.filetype || '';
+  if (!isVideoFile(originalname, mimetype)) {
+    fs.rm(claimed.path, { force: true }, () => {});
+    return { error: 'Only video files are allowed!' };
   }
+  
+  const stored = await fileStore.storeFile(claimed.path, { kind: 'video', originalName: originalname });
+  if (stored.error) return stored;
+  return { file: { ...stored.file, originalname, mimetype } };
+}
+
+// Uploaded images are stored without their EXIF, XMP and IPTC metadata, which
+// can give away where and on whose camera a photo was taken. With `keep` the
+// camera model and capture date stay.
+function removeMetadata(file, { keep = false } = {}) {
+  return fileStore.rewrite(file, {
+    kind: 'image',
+    transform: (source, destination) => media.stripMetadata(source, destination, { keep })
+  });
+}
+
+// Uploaded files are served from /media, and only when they belong to a
+// record the visitor may view, so direct links obey the same visibility rules
+// as the pages. Any item can later be made private or hidden, so files anyone
+// may see are only cached briefly before being revalidated, which re-checks
+// access; protected ones are revalidated on every request.
+const MEDIA_MAX_AGE = 5 * 60 * 1000;
+
+function mediaUrl(filename, { download = false } = {}) {
+  return `/media/${encodeURIComponent(filename)}${download ? '?download=1' : ''}`;
+}
+
+// Downloads are named after the upload: an image's original name, or a
+// video's title, with the extension of the file actually sent
+function downloadName(filename, { type, item }) {
+  const base = type === 'image' ? path.basename(item.originalName, path.extname(item.originalName)) : item.title;
+  return (base.replace(/[\\/]/g, '-').trim() || 'download') + path.extname(filename);
 }
 
-function saveData(data) {
+app.get("/media/:filename", (req, res) => {
+  const { filename } = req.params;
+  
+  // Identical uploads share a file, which is served if any of them may be viewed
+  const uploads = db.findUploads(filename);
+  const viewable = uploads.filter(upload => canView(req, upload.type, upload.item));
+  if (!viewable.length) {
+    if (uploads.every(upload => upload.item.hidden)) return res.status(404).type('text/plain').send('Not found.');
+    return res.status(401).type('text/plain').send('This file is password protected.');
+  }
+  
+  const open = uploads.some(upload => !upload.item.hidden && upload.item.visibility !== 'password');
+  if (req.query.download === '1') res.attachment(downloadName(filename, viewable[0]));
+  const mime = db.storedFiles.mimeOf(filename);
+  if (mime) res.type(mime);
+  res.set('Cache-Control', open ? `public, max-age=${MEDIA_MAX_AGE / 1000}, must-revalidate` : 'private, no-cache');
+  
+  // Range requests, ETag and Last-Modified are handled by sendFile
+  res.sendFile(filename, { root: uploadDir, dotfiles: 'deny', cacheControl: false }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 404).type('text/plain').send('Not found.');
+  });
+});
+
+// Uploads used to be served from the site root, where old links still point
+app.use((req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  
+  let filename;
   try {
-    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
-  } catch (err) {
-    console.error('Error saving data:', err);
+    filename = decodeURIComponent(req.path.slice(1));
+  } catch {
+    return next();
   }
-}
+  if (!filename || filename.includes('/') || !db.findUploads(filename).length) return next();
+  res.redirect(301, mediaUrl(filename));
+});
 
+// Utility functions
 function escapeHtml(unsafe) {
   return unsafe
     .replace(/&/g, "&amp;")
@@ -86,295 +470,1372 @@ function escapeHtml(unsafe) {
     .replace(/'/g, "&#039;");
 }
 
-function renderPage(title, content, req, backLink = true) {
-  const data = loadData();
-  const darkMode = data.settings?.darkMode ?? true;
+// Visibility: public items are listed, unlisted ones are reachable by link
+// only, and password-protected ones must be unlocked first
+const VISIBILITY = {
+  public: 'Public',
+  unlisted: 'Unlisted (link only)',
+  password: 'Password protected'
+};
+
+function itemKey(type, item) {
+  return type === 'image' ? item.filename : item.id;
+}
+
+// Content lookups by type, shared by unlock and comment routes
+const lookups = {
+  video: (key) => db.videos.get(key),
+  image: (key) => db.images.get(key),
+  paste: (key) => findPaste(key)
+};
+
+function itemPath(type, key) {
+  return `/${type}/${key}`;
+}
+
+function itemTitle(type, item) {
+  return type === 'image' ? imageTitle(item) : item.title;
+}
+
+// Items hidden by a moderator are only visible to whoever can manage them
+function canView(req, type, item) {
+  if (canManage(req, item)) return true;
+  if (item.hidden) return false;
+  if (item.visibility !== 'password') return true;
+  return auth.isUnlocked(req, type, itemKey(type, item), item.passwordHash);
+}
+
+// Reads the visibility fields of an upload or edit form. A blank password
+// keeps the item's existing one.
+function readVisibility(body, item = null) {
+  const visibility = VISIBILITY[body?.visibility] ? body.visibility : (item?.visibility || 'public');
+  if (visibility !== 'password') return { visibility, passwordHash: null };
   
+  if (body?.password) return { visibility, passwordHash: auth.hashPassword(body.password) };
+  if (item?.passwordHash) return { visibility, passwordHash: item.passwordHash };
+  return { error: 'A password is required for password-protected uploads.' };
+}
+
+function visibilityFields(item = null) {
+  const current = item?.visibility || 'public';
   return `
-    <!DOCTYPE html>
-    <html lang="en" data-theme="${darkMode ? 'dark' : 'light'}">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${title} | Gallery</title>
-      ${getStyles()}
-      <script>
-        function toggleTheme() {
-          const html = document.documentElement;
-          const isDark = html.getAttribute('data-theme') === 'dark';
-          html.setAttribute('data-theme', isDark ? 'light' : 'dark');
-          fetch('/settings/toggle-theme', { method: 'POST' });
-        }
-        
-        function copyToClipboard(text) {
-          navigator.clipboard.writeText(text).then(() => {
-            alert('Copied to clipboard!');
-          }).catch(err => {
-            console.error('Failed to copy: ', err);
-          });
-        }
-        
-        function downloadPaste(content, filename) {
-          const blob = new Blob([content], { type: 'text/plain' });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = filename || 'paste.txt';
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
-        }
-      </script>
-    </head>
-    <body>
-      <header class="header-center">
-        <div class="header-content">
-          <h1><a href="/">Gallery</a></h1>
-          <nav class="main-nav">
-            <a href="/videos">Videos</a>
-            <a href="/images">Images</a>
-            <a href="/pastes">Pastes</a>
-            <button onclick="toggleTheme()" class="theme-toggle">
-              ${darkMode ? 'Light mode' : ' Dark mode'}
-            </button>
-          </nav>
+    <div class="form-group">
+      <label for="visibility">Visibility</label>
+      <select id="visibility" name="visibility">
+        ${Object.entries(VISIBILITY).map(([value, label]) => `
+          <option value="${value}"${value === current ? ' selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+    </div>
+    
+    <div class="form-group">
+      <label for="password">Password${item?.passwordHash ? ' (leave blank to keep the current one)' : ' (only for password-protected uploads)'}</label>
+      <input type="password" id="password" name="password" autocomplete="new-password">
+    </div>
+  `;
+}
+
+function visibilityBadge(item) {
+  if (item.hidden) return '<span class="badge">Hidden</span>';
+  return item.visibility && item.visibility !== 'public'
+    ? `<span class="badge">${item.visibility === 'password' ? 'Protected' : 'Unlisted'}</span>`
+    : '';
+}
+
+// Detail-page guard. Visitors allowed in get an unlock cookie too, so the
+// page's own media requests are let through.
+function ensureViewable(req, res, type, item) {
+  if (!canView(req, type, item)) {
+    sendLocked(req, res, type, item);
+    return false;
+  }
+  if (item.visibility === 'password') auth.grantUnlock(req, res, type, itemKey(type, item), item.passwordHash);
+  return true;
+}
+
+function sendLocked(req, res, type, item, error = '') {
+  if (item.hidden) {
+    return res.status(404).send(renderPage('Not Found', `<p class="error">This ${type} was removed by a moderator.</p>`, req));
+  }
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Password Required</h2>
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+      <form class="form-container" method="POST" action="/unlock/${type}/${encodeURIComponent(itemKey(type, item))}">
+        <input type="hidden" name="next" value="${escapeHtml(safeRedirect(req.body?.next || req.originalUrl))}">
+        <div class="form-group">
+          <label for="password">This ${type} is password protected.</label>
+          <input type="password" id="password" name="password" autocomplete="current-password" required autofocus>
         </div>
-      </header>
-      <main>
-        ${content}
-      </main>
-      ${backLink ? '<footer class="footer-center"><a href="javascript:history.back()" class="button">Back</a></footer>' : ''}
-    </body>
-    </html>
+        
+        <button type="submit" class="button">Unlock</button>
+      </form>
+    </section>
   `;
+  res.status(401).send(renderPage('Password Required', content, req));
 }
 
-function getStyles() {
-  return `
-  <style>
-    :root {
-      --primary: #2563eb;
-      --primary-hover: #1d4ed8;
-      --text: #1a1a1a;
-      --text-secondary: #4a5568;
-      --background: #ffffff;
-      --card-bg: #f7fafc;
-      --border: #e2e8f0;
-      --error: #ef4444;
-      --success: #10b981;
-    }
-    
-    [data-theme="dark"] {
-      --primary: #3b82f6;
-      --primary-hover: #2563eb;
-      --text: #f8fafc;
-      --text-secondary: #94a3b8;
-      --background: #0f172a;
-      --card-bg: #1e293b;
-      --border: #334155;
-      --error: #ef4444;
-      --success: #10b981;
-    }
-    
-    * {
-      box-sizing: border-box;
-      margin: 0;
-      padding: 0;
-      -webkit-tap-highlight-color: transparent;
-    }
-    
-    body {
-      background-color: var(--background);
-      color: var(--text);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      line-height: 1.6;
-      min-height: 100vh;
-      display: flex;
-      flex-direction: column;
-    }
-    
-    .header-center {
-      display: flex;
-      justify-content: center;
-      width: 100%;
-      background-color: var(--card-bg);
-      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-    }
-    
-    .header-content {
-      width: 100%;
-      max-width: 1200px;
-      padding: 1rem;
-    }
-    
-    .footer-center {
-      text-align: center;
-      padding: 1rem;
-    }
-    
-    header h1 {
-      font-size: 1.5rem;
-      margin-bottom: 0.5rem;
-      text-align: center;
-    }
-    
-    header h1 a {
-      color: var(--text);
-      text-decoration: none;
-    }
-    
-    .main-nav {
-      display: flex;
-      gap: 1rem;
-      overflow-x: auto;
-      padding-bottom: 0.5rem;
-      justify-content: center;
-      flex-wrap: wrap;
-    }
-    
-    .main-nav a, .theme-toggle {
-      color: var(--text-secondary);
-      text-decoration: none;
-      font-weight: 500;
-      white-space: nowrap;
-      background: none;
-      border: none;
-      cursor: pointer;
-      font-size: 1rem;
-      font-family: inherit;
-    }
-    
-    .main-nav a:hover, .theme-toggle:hover {
-      color: var(--primary);
-    }
-    
-    main {
-      flex: 1;
-      padding: 1rem;
-      max-width: 1200px;
-      margin: 0 auto;
-      width: 100%;
-    }
-    
-    .center-content {
-      text-align: center;
-    }
-    
-    a, button {
-      color: var(--primary);
-      text-decoration: none;
-      background: none;
-      border: none;
-      cursor: pointer;
-    }
-    
-    a:hover, button:hover {
-      color: var(--primary-hover);
-      text-decoration: underline;
-    }
-    
-    .button {
-      display: inline-block;
-      background-color: var(--primary);
-      color: white;
-      padding: 0.5rem 1rem;
-      border-radius: 0.375rem;
-      font-weight: 500;
-      text-decoration: none;
-      transition: background-color 0.2s;
-    }
-    
-    .button:hover {
-      background-color: var(--primary-hover);
-      text-decoration: none;
-    }
-    
-    .button-group {
-      display: flex;
-      gap: 0.5rem;
-      flex-wrap: wrap;
-      margin: 1rem 0;
-    }
-    
-    .button-outline {
-      background: none;
-      border: 1px solid var(--primary);
-      color: var(--primary);
-    }
-    
-    .button-outline:hover {
-      background: var(--primary);
-      color: white;
+// Record creation shared by the HTML forms and the JSON API. Anonymous
+// uploads get a manage token, returned once on the new record.
+function ownership(owner) {
+  if (owner) return { ownerId: owner.id, manageToken: null, manageTokenHash: null };
+  const { token, hash } = auth.createManageToken();
+  return { ownerId: null, manageToken: token, manageTokenHash: hash };
+}
+
+function addVideo({ title, description, tags = [], visibility, passwordHash }, videoFile, thumbFile, owner) {
+  const { ownerId, manageToken, manageTokenHash } = ownership(owner);
+  const video = db.videos.create({
+    title,
+    description: description || '',
+    video: videoFile.filename,
+    thumbnail: thumbFile ? thumbFile.filename : null,
+    size: videoFile.size,
+    visibility,
+    passwordHash,
+    ownerId,
+    manageTokenHash
+  });
+  db.tags.set('video', video.id, tags);
+  
+  transcodeQueue.enqueue('transcode', video.id);
+  if (video.thumbnail) imageQueue.enqueue('image', video.thumbnail);
+  const created = db.videos.get(video.id);
+  dispatcher.emit('video.created', { video: serializeVideo(created) });
+  return { ...created, manageToken };
+}
+
+// Comment authors always come from the logged-in user. Replies stay on their
+// parent's target and inherit its line anchor; only top-level paste comments
+// pick a line, checked against the revision being commented on. Comments the
+// spam filter flags are held for review.
+function addComment(type, item, user, { text, parentId, line, revision }) {
+  const key = itemKey(type, item);
+  const parent = parentId ? db.comments.get(parentId) : null;
+  if (parentId && (!parent || parent.targetType !== type || parent.targetKey !== key)) {
+    return { error: 'The comment you replied to no longer exists.' };
+  }
+  
+  let anchor = { line: parent?.line ?? null, revision: parent?.revision ?? null };
+  if (!parent && type === 'paste' && line) {
+    const source = pasteAtRevision(item, revision || undefined);
+    const number = Number(line);
+    if (!source || !Number.isInteger(number) || number < 1 || number > syntax.splitLines(source.code).length) {
+      return { error: 'That line does not exist in this paste.' };
     }
+    anchor = { line: number, revision: source.revision };
+  }
+  
+  const heldReason = moderation.spamReason(text, spamFilter());
+  const comment = db.comments.create({
+    targetType: type,
+    targetKey: key,
+    parentId: parent?.id ?? null,
+    ...anchor,
+    name: user.username,
+    userId: user.id,
+    text,
+    status: heldReason ? 'held' : 'visible',
+    heldReason
+  });
+  // Held comments stay private until a moderator lets them through
+  if (!heldReason) dispatcher.emit('comment.created', { comment: serializeComment(comment), target: { type, key, path: itemPath(type, key) } });
+  return { comment };
+}
+
+// Edited comments go through the spam filter again; held and hidden ones
+// keep their status
+function editComment(comment, text) {
+  const updated = db.comments.update(comment.id, text);
+  const heldReason = moderation.spamReason(text, spamFilter());
+  return heldReason && updated.status === 'visible' ? db.comments.setStatus(comment.id, 'held', heldReason) : updated;
+}
+
+function spamFilter() {
+  return db.settings.get('spamFilter', moderation.DEFAULT_SPAM_FILTER);
+}
+
+function addImage(file, { title, tags = [], visibility, passwordHash }, owner) {
+  const { ownerId, manageToken, manageTokenHash } = ownership(owner);
+  // An image whose file was already stored gets a name of its own
+  const image = db.images.create({
+    filename: file.deduplicated ? uploadFilename(file.originalname) : file.filename,
+    file: file.filename,
+    title: title || null,
+    originalName: file.originalname,
+    size: file.size,
+    visibility,
+    passwordHash,
+    ownerId,
+    manageTokenHash
+  });
+  db.tags.set('image', image.filename, tags);
+  imageQueue.enqueue('image', image.file);
+  dispatcher.emit('image.created', { image: serializeImage({ ...image, tags }) });
+  return { ...image, tags, manageToken };
+}
+
+function addPaste({
+  title, code, language, expiresIn, burnAfterRead, tags = [], visibility, passwordHash, forkedFrom
+}, owner) {
+  const { ownerId, manageToken, manageTokenHash } = ownership(owner);
+  const lifetime = PASTE_EXPIRY[expiresIn]?.ms;
+  const paste = db.pastes.create({
+    title,
+    code,
+    language: resolveLanguage(language, code),
+    expiresAt: lifetime ? new Date(Date.now() + lifetime).toISOString() : null,
+    burnAfterRead: Boolean(burnAfterRead),
+    visibility,
+    passwordHash,
+    ownerId,
+    manageTokenHash,
+    forkedFrom
+  });
+  db.tags.set('paste', paste.id, tags);
+  // Protected and burn-after-read pastes are announced without their code
+  const withCode = paste.visibility !== 'password' && !paste.burnAfterRead;
+  dispatcher.emit('paste.created', { paste: serializePaste({ ...paste, tags }, withCode) });
+  return { ...paste, tags, manageToken };
+}
+
+// Looks up a paste, retiring it first if it has expired
+function findPaste(id) {
+  const paste = db.pastes.get(id);
+  if (paste?.expiresAt && new Date(paste.expiresAt) <= new Date()) {
+    db.pastes.remove(id, 'expired');
+    return null;
+  }
+  return paste;
+}
+
+// Removed pastes answer 410 Gone, unknown ids 404
+function pasteMissing(id) {
+  const tombstone = db.pastes.tombstone(id);
+  if (!tombstone) return { status: 404, message: 'Paste not found.' };
+  return {
+    status: 410,
+    message: tombstone.reason === 'burned' ? 'This paste was burned after reading.' : 'This paste has expired.'
+  };
+}
+
+function sendPasteMissing(req, res) {
+  const { status, message } = pasteMissing(req.params.id);
+  res.status(status).send(renderPage(status === 410 ? 'Gone' : 'Not Found', `<p class="error">${message}</p>`, req));
+}
+
+// Burn-after-read pastes are removed on their first view. HEAD requests, as
+// sent by prefetchers and link checkers, only look.
+function markPasteRead(req, paste) {
+  if (paste.burnAfterRead && req.method !== 'HEAD') db.pastes.remove(paste.id, 'burned');
+}
+
+// Crawlers and link previews, which chat apps fetch as soon as a link is
+// posted. They are not shown burn-after-read pastes, which would burn them
+// before anyone reads them.
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp/i;
+
+function isBot(req) {
+  return BOT_PATTERN.test(req.get('User-Agent') || '');
+}
+
+// Unknown or "auto" languages fall back to detection from the code itself
+function resolveLanguage(language, code) {
+  return syntax.isLanguage(language) ? language : syntax.detectLanguage(code);
+}
+
+function pasteFilename(paste) {
+  return `${paste.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${paste.id.slice(-6)}.${syntax.extensionFor(paste.language)}`;
+}
+
+function languageOptions(selected = 'auto') {
+  return [{ id: 'auto', name: 'Auto-detect' }, ...syntax.LANGUAGES]
+    .map(l => `<option value="${l.id}"${l.id === selected ? ' selected' : ''}>${l.name}</option>`)
+    .join('');
+}
+
+// Annotations are HTML keyed by line number, shown under that line
+function renderCode(code, language, annotations = {}) {
+  const rows = syntax.highlightLines(code, language).map((line, i) => `
+    <tr id="L${i + 1}">
+      <td class="line-number"><a href="#L${i + 1}">${i + 1}</a></td>
+      <td class="line-code">${line || ' '}</td>
+    </tr>
+    ${annotations[i + 1] ? `
+      <tr class="line-comments">
+        <td class="line-number"></td>
+        <td>${annotations[i + 1]}</td>
+      </tr>
+    ` : ''}
+  `).join('');
+  return `<div class="code-view hljs"><table>${rows}</table></div>`;
+}
+
+// A paste as it was at an earlier revision, or null when there is no such revision
+function pasteAtRevision(paste, rev) {
+  if (rev === undefined || Number(rev) === paste.revision) return paste;
+  const revision = db.pastes.getRevision(paste.id, Number(rev));
+  if (!revision) return null;
+  return {
+    ...paste,
+    title: revision.title,
+    code: revision.code,
+    language: revision.language,
+    revision: revision.revision,
+    revisedAt: revision.createdAt
+  };
+}
+
+// History, diffs and forks would reveal a burn-after-read paste without burning it
+function sendNoHistory(req, res) {
+  res.status(400).send(renderPage('Error', '<p class="error">Burn-after-read pastes have no history and cannot be forked.</p>', req));
+}
+
+function pasteRevisionLink(paste, revision) {
+  return revision === paste.revision ? `/paste/${paste.id}` : `/paste/${paste.id}?rev=${revision}`;
+}
+
+// Renders a line diff between two revisions, unified or side by side
+function renderDiff(from, to, view) {
+  const oldHtml = syntax.highlightLines(from.code, from.language);
+  const newHtml = syntax.highlightLines(to.code, to.language);
+  const rows = linediff.collapse(linediff.diffLines(syntax.splitLines(from.code), syntax.splitLines(to.code)));
+  const signs = { context: ' ', added: '+', removed: '-' };
+  const number = index => index === null ? '' : index + 1;
+  const skip = (row, span) => `
+    <tr class="diff-skip"><td colspan="${span}">&#8943; ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>
+  `;
+
+  if (view === 'split') {
+    const half = (row, side) => {
+      if (!row) return '<td class="line-number diff-empty"></td><td class="line-code diff-empty"></td>';
+      const index = side === 'left' ? row.oldIndex : row.newIndex;
+      const html = side === 'left' ? oldHtml[index] : newHtml[index];
+      return `
+        <td class="line-number diff-${row.type}">${number(index)}</td>
+        <td class="line-code diff-${row.type}">${html || ' '}</td>
+      `;
+    };
+    const pairs = linediff.sideBySide(rows).map(({ left, right }) => left?.type === 'skip'
+      ? skip(left, 4)
+      : `<tr>${half(left, 'left')}${half(right, 'right')}</tr>`
+    ).join('');
+    return `<div class="code-view hljs diff-view"><table>${pairs}</table></div>`;
+  }
+
+  const lines = rows.map(row => {
+    if (row.type === 'skip') return skip(row, 4);
+    const html = row.newIndex !== null ? newHtml[row.newIndex] : oldHtml[row.oldIndex];
+    return `
+      <tr class="diff-${row.type}">
+        <td class="line-number">${number(row.oldIndex)}</td>
+        <td class="line-number">${number(row.newIndex)}</td>
+        <td class="diff-sign">${signs[row.type]}</td>
+        <td class="line-code">${html || ' '}</td>
+      </tr>
+    `;
+  }).join('');
+  return `<div class="code-view hljs diff-view"><table>${lines}</table></div>`;
+}
+
+// Edit and delete permissions: the owner, or whoever holds the manage token
+function manageTokenFrom(req) {
+  return req.body?.token || req.query.token || req.get('X-Manage-Token') || null;
+}
+
+// Admins moderate the site and can manage everything
+function isAdmin(req) {
+  return Boolean(req.user?.isAdmin);
+}
+
+function canManage(req, item) {
+  if (isAdmin(req)) return true;
+  if (req.user && item.ownerId === req.user.id) return true;
+  return auth.verifyManageToken(manageTokenFrom(req), item.manageTokenHash);
+}
+
+// Comment authors can edit; the content's manager can also delete
+function canEditComment(req, comment) {
+  return Boolean(req.user && comment.userId === req.user.id);
+}
+
+function canDeleteComment(req, comment, target = lookups[comment.targetType](comment.targetKey)) {
+  return canEditComment(req, comment) || Boolean(target && canManage(req, target));
+}
+
+// Permalinks resolve to the comment on its target's page. Line comments on an
+// earlier paste revision point at that revision.
+function commentUrl(comment) {
+  const paste = comment.revision && db.pastes.get(comment.targetKey);
+  const query = paste && paste.revision !== comment.revision ? `?rev=${comment.revision}` : '';
+  return `${itemPath(comment.targetType, comment.targetKey)}${query}#comment-${comment.id}`;
+}
+
+// Held and hidden comments are only shown to their author and to admins
+function visibleComments(req, comments) {
+  return comments.filter(c => c.status === 'visible' || isAdmin(req) || (req.user && c.userId === req.user.id));
+}
+
+function commentTree(comments) {
+  const children = new Map();
+  for (const comment of comments) {
+    if (!comment.parentId) continue;
+    if (!children.has(comment.parentId)) children.set(comment.parentId, []);
+    children.get(comment.parentId).push(comment);
+  }
+  return { roots: comments.filter(c => !c.parentId), children };
+}
+
+// Replies nest up to MAX_COMMENT_DEPTH levels; deeper ones stay at that level
+const MAX_COMMENT_DEPTH = 5;
+
+function renderThread(req, type, item, comment, children, depth = 0) {
+  const path = itemPath(type, itemKey(type, item));
+  const replies = (children.get(comment.id) || [])
+    .map(reply => renderThread(req, type, item, reply, children, depth + 1))
+    .join('');
+  const lineLink = comment.line && !comment.parentId
+    ? `<a href="/paste/${comment.targetKey}?rev=${comment.revision}#L${comment.line}" class="comment-line">Line ${comment.line}, revision ${comment.revision}</a>`
+    : '';
+  
+  return `
+    <div class="comment" id="comment-${comment.id}">
+      <div class="comment-author">
+        ${comment.userId ? `<a href="/user/${encodeURIComponent(comment.name)}">${escapeHtml(comment.name)}</a>` : escapeHtml(comment.name)}
+        ${lineLink}
+        ${comment.status !== 'visible' ? `<span class="badge">${comment.status === 'held' ? 'Awaiting review' : 'Hidden'}</span>` : ''}
+      </div>
+      <div class="comment-text">${escapeHtml(comment.text)}</div>
+      <div class="comment-date">
+        <a href="/comment/${comment.id}">${new Date(comment.createdAt).toLocaleString()}</a>${comment.updatedAt ? ' (edited)' : ''}
+        ${reportLink('comment', comment.id)}
+        ${canEditComment(req, comment) ? `<a href="/comment/${comment.id}/edit">Edit</a>` : ''}
+        ${canDeleteComment(req, comment, item) ? `
+          <form method="POST" action="/comment/${comment.id}/delete" class="inline-form" onsubmit="return confirm('Delete this comment and its replies?')">
+            ${tokenField(req)}
+            <button type="submit">Delete</button>
+          </form>
+        ` : ''}
+      </div>
+      ${req.user ? `
+        <details class="comment-reply">
+          <summary>Reply</summary>
+          <form method="POST" action="${path}/comment">
+            <input type="hidden" name="parentId" value="${comment.id}">
+            <textarea name="text" required aria-label="Reply to ${escapeHtml(comment.name)}"></textarea>
+            <button type="submit" class="button">Post Reply</button>
+          </form>
+        </details>
+      ` : ''}
+      ${replies ? `<div class="comment-replies${depth >= MAX_COMMENT_DEPTH ? ' comment-replies-flat' : ''}">${replies}</div>` : ''}
+    </div>
+  `;
+}
+
+// The comment list and form for an item. Threads matched by `inline` are
+// rendered elsewhere (next to their paste line) and skipped here.
+function commentSection(req, type, item, { comments, inline = () => false, revision = null, lineCount = 0 } = {}) {
+  const all = visibleComments(req, comments || db.comments.listFor(type, itemKey(type, item)));
+  const { roots, children } = commentTree(all);
+  const threads = roots.filter(c => !inline(c)).map(c => renderThread(req, type, item, c, children)).join('');
+  const path = itemPath(type, itemKey(type, item));
+  
+  return `
+    <div class="comments" id="comments">
+      <h3>Comments (${all.length})</h3>
+      ${threads || (all.length ? '' : '<p>No comments yet.</p>')}
+      
+      ${req.user ? `
+        <form class="form-container" method="POST" action="${path}/comment" id="comment-form">
+          ${lineCount ? `
+            <input type="hidden" name="revision" value="${revision}">
+            <div class="form-group">
+              <label for="line">Line (optional; click a line number to pick it)</label>
+              <input type="number" id="line" name="line" min="1" max="${lineCount}">
+            </div>
+          ` : ''}
+          <div class="form-group">
+            <label for="text">Comment as ${escapeHtml(req.user.username)}</label>
+            <textarea id="text" name="text" required></textarea>
+          </div>
+          
+          <button type="submit" class="button">Post Comment</button>
+        </form>
+        ${lineCount ? `
+          <script>
+            function pickLine() {
+              const match = location.hash.match(/^#L(\d+)$/);
+              if (match) document.getElementById('line').value = match[1];
+            }
+            pickLine();
+            window.addEventListener('hashchange', pickLine);
+          </script>
+        ` : ''}
+      ` : `<p><a href="/login?next=${encodeURIComponent(path)}">Log in</a> to post a comment.</p>`}
+    </div>
+  `;
+}
+
+function manageControls(req, basePath, item, label) {
+  if (!canManage(req, item)) return '';
+  
+  return `
+    <div class="button-group" style="justify-content: center;">
+      <a href="${withToken(req, `${basePath}/edit`)}" class="button button-outline">Edit</a>
+      <form method="POST" action="${basePath}/delete" class="inline-form" onsubmit="return confirm('Delete this ${label} permanently?')">
+        ${tokenField(req)}
+        <button type="submit" class="button button-danger">Delete</button>
+      </form>
+    </div>
+  `;
+}
+
+function manageNotice(basePath, manageToken) {
+  if (!manageToken) return '';
+  const link = `${basePath}?token=${encodeURIComponent(manageToken)}`;
+  
+  return `
+    <div class="paste-container">
+      <p><strong>Save this link.</strong> It is the only way to edit or delete this upload and it will not be shown again:</p>
+      <pre>${escapeHtml(link)}</pre>
+      <div class="paste-actions">
+        <a href="${link}" class="button button-outline">Manage Upload</a>
+      </div>
+    </div>
+  `;
+}
+
+// Carries a manage token through links and redirects
+function withToken(req, url) {
+  const token = manageTokenFrom(req);
+  return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+}
+
+function tokenField(req) {
+  const token = manageTokenFrom(req);
+  return token ? `<input type="hidden" name="token" value="${escapeHtml(token)}">` : '';
+}
+
+// Tags: lowercase words of letters, digits, "-" and "_", separated by commas
+// or spaces. Extra or malformed tags are dropped.
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,32}$/u;
+
+function parseTags(input) {
+  const names = (Array.isArray(input) ? input : String(input || '').split(/[,\s]+/))
+    .map(name => String(name).trim().replace(/^#/, '').toLowerCase())
+    .filter(name => TAG_PATTERN.test(name));
+  return [...new Set(names)].slice(0, MAX_TAGS);
+}
+
+function tagsField(item = null) {
+  return `
+    <div class="form-group">
+      <label for="tags">Tags (separated by commas, up to ${MAX_TAGS})</label>
+      <input type="text" id="tags" name="tags" value="${item ? escapeHtml(item.tags.join(', ')) : ''}" placeholder="e.g. travel, 2024">
+    </div>
+  `;
+}
+
+// Chips sit inside clickable cards, so they stop the card's own click
+function tagChips(tags) {
+  if (!tags.length) return '';
+  return `
+    <div class="tags">
+      ${tags.map(tag => `<a href="/tag/${encodeURIComponent(tag)}" class="tag" onclick="event.stopPropagation()">#${escapeHtml(tag)}</a>`).join('')}
+    </div>
+  `;
+}
+
+function imageTitle(image) {
+  return image.title || image.originalName;
+}
+
+// Albums: the picker on upload forms lists the uploader's own albums
+function albumPicker(req, label = 'Add to album') {
+  const albums = req.user ? db.albums.listForOwner(req.user.id) : [];
+  if (!albums.length) return '';
+  
+  return `
+    <div class="form-group">
+      <label for="albumId">${label}</label>
+      <select id="albumId" name="albumId">
+        <option value="">No album</option>
+        ${albums.map(a => `<option value="${a.id}">${escapeHtml(a.title)}</option>`).join('')}
+      </select>
+    </div>
+  `;
+}
+
+function ownsAlbum(req, album) {
+  return Boolean(req.user && album && album.ownerId === req.user.id);
+}
+
+function addToAlbum(req, albumId, type, key) {
+  const album = albumId ? db.albums.get(albumId) : null;
+  if (!ownsAlbum(req, album)) return false;
+  db.albums.addItem(album.id, type, key);
+  return true;
+}
+
+// "In albums" links and, for logged-in users, a form to add the item to one of theirs
+function albumSection(req, type, key) {
+  const albums = db.albums.listForItem(type, key);
+  const picker = albumPicker(req, 'Album');
+  
+  return `
+    ${albums.length > 0 ? `
+      <p class="center-content">
+        In albums: ${albums.map(a => `<a href="/album/${a.id}">${escapeHtml(a.title)}</a>`).join(', ')}
+      </p>
+    ` : ''}
+    ${picker ? `
+      <form method="POST" action="/albums/add" class="button-group" style="justify-content: center; align-items: flex-end;">
+        <input type="hidden" name="type" value="${type}">
+        <input type="hidden" name="key" value="${escapeHtml(key)}">
+        ${picker}
+        <button type="submit" class="button button-outline">Add to Album</button>
+      </form>
+    ` : ''}
+  `;
+}
+
+// The records an album holds, in order, skipping anything the visitor cannot see
+function albumItems(req, album) {
+  const loaders = {
+    video: key => db.videos.get(key),
+    image: key => db.images.get(key)
+  };
+  return db.albums.items(album.id)
+    .map(ref => ({ ...ref, item: loaders[ref.type]?.(ref.key) }))
+    .filter(ref => ref.item && canView(req, ref.type, ref.item));
+}
+
+function albumCard(album) {
+  return `
+    <div class="card" onclick="location.href='/album/${album.id}'">
+      <div class="card-content">
+        <h3>${escapeHtml(album.title)}</h3>
+        <p>${escapeHtml(album.description.substring(0, 50))}${album.description.length > 50 ? '...' : ''}</p>
+        <p class="timestamp">${album.itemCount} item${album.itemCount === 1 ? '' : 's'}</p>
+      </div>
+    </div>
+  `;
+}
+
+function ownerLink(item) {
+  return item.owner ? `<a href="/user/${encodeURIComponent(item.owner)}">${escapeHtml(item.owner)}</a>` : 'anonymous';
+}
+
+function requireLogin(req, res, next) {
+  if (req.user) return next();
+  const target = req.method === 'GET' ? req.originalUrl : '/';
+  res.redirect('/login?next=' + encodeURIComponent(target));
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) return requireLogin(req, res, next);
+  if (isAdmin(req)) return next();
+  res.status(403).send(renderPage('Forbidden', '<p class="error">Only admins can open this page.</p>', req));
+}
+
+// Limiters are shared by the HTML routes and the API, so both count
+// against the same budget
+const limiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([name, options]) => [name, moderation.rateLimiter(options)])
+);
+
+function rateLimit(name) {
+  return (req, res, next) => {
+    const retryAfter = limiters[name](req.ip);
+    if (!retryAfter) return next();
     
-    .grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-      gap: 1rem;
-      margin: 1rem 0;
+    const message = 'Too many requests from your address. Please try again later.';
+    res.set('Retry-After', String(retryAfter));
+    if (req.originalUrl.startsWith('/api/')) return apiError(res, 429, message);
+    res.status(429).send(renderPage('Too Many Requests', `<p class="error">${message}</p>`, req));
+  };
+}
+
+// Reports: anyone who can see an item or comment can flag it for the admins
+const REPORT_REASONS = {
+  spam: 'Spam',
+  abuse: 'Harassment or abuse',
+  illegal: 'Illegal content',
+  copyright: 'Copyright infringement',
+  other: 'Something else'
+};
+
+function reportLink(type, key) {
+  return `<a href="/report/${type}/${encodeURIComponent(key)}" class="report-link">Report</a>`;
+}
+
+// Counts a view of an item page, returning whether it was new. Crawlers and
+// link previews are not counted.
+function countView(req, type, item) {
+  if (isBot(req)) return false;
+  const since = new Date(Date.now() - VIEW_WINDOW).toISOString();
+  return db.engagement.recordView(type, String(itemKey(type, item)), auth.visitorKey(req), since);
+}
+
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Signed-in users can like an item once; everyone else sees the count
+function likeButton(req, type, item) {
+  const path = itemPath(type, itemKey(type, item));
+  if (!req.user) {
+    return `<a href="/login?next=${encodeURIComponent(path)}" class="like-button" title="Log in to like">&#9825; ${item.likes}</a>`;
+  }
+  
+  const liked = db.engagement.hasLiked(type, String(itemKey(type, item)), req.user.id);
+  return `
+    <form method="POST" action="${path}/like" class="inline-form">
+      <input type="hidden" name="like" value="${liked ? '0' : '1'}">
+      <button type="submit" class="like-button${liked ? ' liked' : ''}" title="${liked ? 'Unlike' : 'Like'}">${liked ? '&#9829;' : '&#9825;'} ${item.likes}</button>
+    </form>
+  `;
+}
+
+function hiddenNotice(item) {
+  return item.hidden ? '<p class="error">This was removed by a moderator. Only you and the admins can see it.</p>' : '';
+}
+
+// Only same-site relative paths are accepted as post-login redirects
+function safeRedirect(target) {
+  return typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') ? target : '/';
+}
+
+// Paging shared by the listings, the home page and the API
+const PAGE_SIZES = [12, 24, 48];
+const SORT_LABELS = {
+  newest: 'Newest',
+  oldest: 'Oldest',
+  title: 'Title',
+  size: 'Largest',
+  comments: 'Most commented',
+  views: 'Most viewed'
+};
+
+function readPaging(query, repo) {
+  const page = parseInt(query.page, 10);
+  const limit = parseInt(query.limit, 10);
+  return {
+    page: page > 0 ? page : 1,
+    limit: PAGE_SIZES.includes(limit) ? limit : PAGE_SIZES[1],
+    sort: repo.sorts.includes(query.sort) ? query.sort : repo.sorts[0]
+  };
+}
+
+// Out-of-range pages are clamped to the last page
+function paginate(repo, { page = 1, limit = PAGE_SIZES[1], sort = repo.sorts[0] } = {}) {
+  const total = repo.count();
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const current = Math.min(page, pages);
+  const items = repo.list({ limit, offset: (current - 1) * limit, sort });
+  return { items, total, page: current, pages, limit, sort };
+}
+
+function pageUrl(basePath, paging, page) {
+  const params = new URLSearchParams();
+  if (paging.sort !== 'newest') params.set('sort', paging.sort);
+  if (paging.limit !== PAGE_SIZES[1]) params.set('limit', paging.limit);
+  if (page > 1) params.set('page', page);
+  const query = params.toString();
+  return query ? `${basePath}?${query}` : basePath;
+}
+
+function sortControls(basePath, paging, repo) {
+  return `
+    <form method="GET" action="${basePath}" class="button-group" style="justify-content: center; align-items: center;">
+      <label for="sort">Sort by</label>
+      <select id="sort" name="sort" style="width: auto;" onchange="this.form.submit()">
+        ${repo.sorts.map(s => `<option value="${s}"${s === paging.sort ? ' selected' : ''}>${SORT_LABELS[s]}</option>`).join('')}
+      </select>
+      <select name="limit" style="width: auto;" onchange="this.form.submit()" aria-label="Items per page">
+        ${PAGE_SIZES.map(n => `<option value="${n}"${n === paging.limit ? ' selected' : ''}>${n} per page</option>`).join('')}
+      </select>
+      <noscript><button type="submit" class="button button-outline">Apply</button></noscript>
+    </form>
+  `;
+}
+
+function pageLinks(basePath, paging) {
+  if (paging.pages <= 1) return '';
+  
+  return `
+    <div class="button-group" style="justify-content: center; align-items: center;">
+      ${paging.page > 1 ? `<a href="${pageUrl(basePath, paging, paging.page - 1)}" class="button button-outline" rel="prev">Previous</a>` : ''}
+      <span>Page ${paging.page} of ${paging.pages}</span>
+      ${paging.page < paging.pages ? `<a href="${pageUrl(basePath, paging, paging.page + 1)}" class="button button-outline" rel="next">Next</a>` : ''}
+    </div>
+  `;
+}
+
+// Listing grids. Admins get a checkbox on every card and a button to delete
+// the selected items.
+function listingGrid(req, type, items, card) {
+  if (!isAdmin(req)) return `<div class="grid">${items.map(card).join('')}</div>`;
+  
+  return `
+    <form method="POST" action="/admin/bulk-delete" onsubmit="return confirm('Delete the selected ${type}s permanently?')">
+      <input type="hidden" name="type" value="${type}">
+      <input type="hidden" name="next" value="${escapeHtml(req.originalUrl)}">
+      <div class="grid">
+        ${items.map(item => `
+          <div class="bulk-item">
+            <input type="checkbox" name="keys" value="${escapeHtml(itemKey(type, item))}" aria-label="Select">
+            ${card(item)}
+          </div>
+        `).join('')}
+      </div>
+      <div class="button-group" style="justify-content: center;">
+        <button type="submit" class="button button-danger">Delete Selected</button>
+      </div>
+    </form>
+  `;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 2 : 1)} ${units[unit]}`;
+}
+
+// Videos play from their transcoded renditions. Until those exist, or when
+// transcoding failed, they play as uploaded.
+const VIDEO_TYPES = { '.mp4': 'video/mp4', '.webm': 'video/webm', '.mov': 'video/quicktime' };
+
+function videoSources(video) {
+  if (video.mp4 && video.webm) return [{ file: video.webm, type: 'video/webm' }, { file: video.mp4, type: 'video/mp4' }];
+  return [{ file: video.video, type: VIDEO_TYPES[path.extname(video.video).toLowerCase()] || 'video/mp4' }];
+}
+
+function isProcessing(video) {
+  return video.transcodeStatus === 'queued' || video.transcodeStatus === 'processing';
+}
+
+// Every file a video record owns
+function videoFiles(video) {
+  return [video.video, video.thumbnail, video.mp4, video.webm];
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const parts = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  if (!parts[0]) parts.shift();
+  return parts.map((part, i) => i ? String(part).padStart(2, '0') : part).join(':');
+}
+
+// src and srcset attributes for a stored image and its resized variants.
+// `sizes` is how wide it is displayed; the original is offered too when its
+// width is known.
+function imageSources(file, variants, sizes, width = null) {
+  if (!variants.length) return `src="${mediaUrl(file)}"`;
+  
+  const candidates = variants.map(v => `${mediaUrl(v.filename)} ${v.width}w`);
+  if (width && width > variants[variants.length - 1].width) candidates.push(`${mediaUrl(file)} ${width}w`);
+  return `src="${mediaUrl(width ? file : variants[0].filename)}" srcset="${candidates.join(', ')}" sizes="${sizes}"`;
+}
+
+// Cards span the screen on phones and a grid column elsewhere
+const CARD_SIZES = '(max-width: 600px) 100vw, 400px';
+
+// Card renderers shared by the home page, listings and profiles
+function videoCard(video) {
+  return `
+    <div class="card" onclick="location.href='/video/${video.id}'">
+      ${video.thumbnail ? `<img ${imageSources(video.thumbnail, video.thumbnailVariants, CARD_SIZES)} alt="${escapeHtml(video.title)}" loading="lazy" />` : ''}
+      <div class="card-content">
+        <h3>${escapeHtml(video.title)} ${visibilityBadge(video)}${isProcessing(video) ? ' <span class="badge">Processing</span>' : ''}</h3>
+        <p>${escapeHtml(video.description.substring(0, 50))}${video.description.length > 50 ? '...' : ''}</p>
+        ${tagChips(video.tags)}
+        <p class="timestamp">${new Date(video.createdAt).toLocaleString()} &middot; ${countLabel(video.views, 'view')}</p>
+      </div>
+    </div>
+  `;
+}
+
+function imageCard(image) {
+  return `
+    <div class="card" onclick="location.href='/image/${image.filename}'">
+      <img ${imageSources(image.file, image.variants, CARD_SIZES)} alt="${escapeHtml(imageTitle(image))}" loading="lazy" />
+      <div class="card-content">
+        <h3>${escapeHtml(imageTitle(image))} ${visibilityBadge(image)}</h3>
+        ${tagChips(image.tags)}
+        <p class="timestamp">${new Date(image.uploadedAt).toLocaleString()} &middot; ${countLabel(image.views, 'view')}</p>
+      </div>
+    </div>
+  `;
+}
+
+function pasteCard(paste) {
+  return `
+    <div class="card" onclick="location.href='/paste/${paste.id}'">
+      <div class="card-content">
+        <h3>${escapeHtml(paste.title)} ${visibilityBadge(paste)}</h3>
+        <p>${escapeHtml(paste.code.substring(0, 50))}${paste.code.length > 50 ? '...' : ''}</p>
+        ${tagChips(paste.tags)}
+        <p class="timestamp">${new Date(paste.createdAt).toLocaleString()} &middot; ${countLabel(paste.views, 'view')}</p>
+      </div>
+    </div>
+  `;
+}
+
+
+// `head` is extra markup for the document head, such as feed links
+function renderPage(title, content, req, backLink = true, head = '') {
+  const darkMode = db.settings.get('darkMode', true);
+  
+  return `
+    <!DOCTYPE html>
+    <html lang="en" data-theme="${darkMode ? 'dark' : 'light'}">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} | Gallery</title>
+      ${feedLink('/feed.xml', 'Gallery')}
+      ${head}
+      ${getStyles()}
+      <script>
+        function toggleTheme() {
+          const html = document.documentElement;
+          const isDark = html.getAttribute('data-theme') === 'dark';
+          html.setAttribute('data-theme', isDark ? 'light' : 'dark');
+          fetch('/settings/toggle-theme', { method: 'POST' });
+        }
+        
+        function copyToClipboard(text) {
+          navigator.clipboard.writeText(text).then(() => {
+            alert('Copied to clipboard!');
+          }).catch(err => {
+            console.error('Failed to copy: ', err);
+          });
+        }
+        
+        function downloadPaste(content, filename) {
+          const blob = new Blob([content], { type: 'text/plain' });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = filename || 'paste.txt';
+          document.body.appendChild(a);
+          a.click();
+          document.body.removeChild(a);
+          URL.revokeObjectURL(url);
+        }
+      </script>
+    </head>
+    <body>
+      <header class="header-center">
+        <div class="header-content">
+          <h1><a href="/">Gallery</a></h1>
+          <nav class="main-nav">
+            <a href="/videos">Videos</a>
+            <a href="/images">Images</a>
+            <a href="/pastes">Pastes</a>
+            <form method="GET" action="/search" class="inline-form header-search">
+              <input type="search" name="q" placeholder="Search" value="${req.path === '/search' ? escapeHtml(String(req.query.q || '')) : ''}" aria-label="Search">
+            </form>
+            ${isAdmin(req) ? adminLink() : ''}
+            ${req.user ? `
+              <a href="/user/${encodeURIComponent(req.user.username)}">${escapeHtml(req.user.username)}</a>
+              <form method="POST" action="/logout" class="inline-form">
+                <button type="submit" class="theme-toggle">Log out</button>
+              </form>
+            ` : `
+              <a href="/login">Log in</a>
+              <a href="/register">Register</a>
+            `}
+            <button onclick="toggleTheme()" class="theme-toggle">
+              ${darkMode ? 'Light mode' : ' Dark mode'}
+            </button>
+          </nav>
+        </div>
+      </header>
+      <main>
+        ${content}
+      </main>
+      ${backLink ? '<footer class="footer-center"><a href="javascript:history.back()" class="button">Back</a></footer>' : ''}
+    </body>
+    </html>
+  `;
+}
+
+function getStyles() {
+  return `
+  <style>
+    :root {
+      --primary: #2563eb;
+      --primary-hover: #1d4ed8;
+      --text: #1a1a1a;
+      --text-secondary: #4a5568;
+      --background: #ffffff;
+      --card-bg: #f7fafc;
+      --border: #e2e8f0;
+      --error: #ef4444;
+      --success: #10b981;
     }
     
-    .card {
-      background: var(--card-bg);
-      border-radius: 0.5rem;
-      overflow: hidden;
-      transition: transform 0.2s, box-shadow 0.2s;
-      border: 1px solid var(--border);
+    [data-theme="dark"] {
+      --primary: #3b82f6;
+      --primary-hover: #2563eb;
+      --text: #f8fafc;
+      --text-secondary: #94a3b8;
+      --background: #0f172a;
+      --card-bg: #1e293b;
+      --border: #334155;
+      --error: #ef4444;
+      --success: #10b981;
     }
     
-    .card:hover {
-      transform: translateY(-4px);
-      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+      -webkit-tap-highlight-color: transparent;
     }
     
-    .card img, .card video {
+    body {
+      background-color: var(--background);
+      color: var(--text);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .header-center {
+      display: flex;
+      justify-content: center;
       width: 100%;
-      height: auto;
-      aspect-ratio: 16/9;
-      object-fit: cover;
+      background-color: var(--card-bg);
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
     }
     
-    .card-content {
+    .header-content {
+      width: 100%;
+      max-width: 1200px;
       padding: 1rem;
     }
     
-    .card h3 {
+    .footer-center {
+      text-align: center;
+      padding: 1rem;
+    }
+    
+    header h1 {
+      font-size: 1.5rem;
       margin-bottom: 0.5rem;
-      font-size: 1rem;
+      text-align: center;
     }
     
-    .card p {
-      color: var(--text-secondary);
-      font-size: 0.875rem;
+    header h1 a {
+      color: var(--text);
+      text-decoration: none;
     }
     
-    .card .timestamp {
+    .main-nav {
+      display: flex;
+      gap: 1rem;
+      overflow-x: auto;
+      padding-bottom: 0.5rem;
+      justify-content: center;
+      flex-wrap: wrap;
+    }
+    
+    .main-nav a, .theme-toggle {
       color: var(--text-secondary);
-      font-size: 0.75rem;
-      margin-top: 0.5rem;
+      text-decoration: none;
+      font-weight: 500;
+      white-space: nowrap;
+      background: none;
+      border: none;
+      cursor: pointer;
+      font-size: 1rem;
+      font-family: inherit;
     }
     
-    .form-container {
-      background: var(--card-bg);
-      padding: 1.5rem;
-      border-radius: 0.5rem;
-      max-width: 600px;
-      margin: 1rem auto;
-      border: 1px solid var(--border);
+    .main-nav a:hover, .theme-toggle:hover {
+      color: var(--primary);
     }
     
-    .form-group {
-      margin-bottom: 1rem;
+    .inline-form {
+      display: inline;
     }
     
-    label {
-      display: block;
-      margin-bottom: 0.5rem;
-      font-weight: 500;
+    .header-search input {
+      width: 12rem;
+      padding: 0.125rem 0.5rem;
     }
     
-    input, textarea, select {
+    .search-filters {
+      display: flex;
+      gap: 0.5rem;
+      flex-wrap: wrap;
+      align-items: flex-end;
+      margin-bottom: 1.5rem;
+    }
+    
+    .search-filters .form-group {
+      flex: 1 1 10rem;
+      margin-bottom: 0;
+    }
+    
+    .search-result {
+      padding: 0.75rem 0;
+      border-bottom: 1px solid var(--border);
+    }
+    
+    .search-result p {
+      color: var(--text-secondary);
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+    
+    .tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.25rem;
+      margin: 0.5rem 0;
+    }
+    
+    .tag {
+      font-size: 0.75rem;
+      padding: 0.125rem 0.5rem;
+      border-radius: 1rem;
+      background-color: var(--border);
+      color: var(--text);
+      text-decoration: none;
+    }
+    
+    .tag:hover {
+      background-color: var(--primary);
+      color: #fff;
+    }
+    
+    .album-item-controls {
+      display: flex;
+      justify-content: center;
+      gap: 0.25rem;
+      margin-top: 0.25rem;
+    }
+    
+    .search-result mark {
+      background-color: rgba(250, 204, 21, 0.4);
+      color: inherit;
+    }
+    
+    .badge {
+      display: inline-block;
+      font-size: 0.7rem;
+      font-weight: 500;
+      padding: 0 0.4rem;
+      border-radius: 0.25rem;
+      border: 1px solid var(--border);
+      color: var(--text-secondary);
+      vertical-align: middle;
+    }
+    
+    .bulk-item {
+      position: relative;
+    }
+    
+    .bulk-item input[type="checkbox"] {
+      position: absolute;
+      top: 0.5rem;
+      left: 0.5rem;
+      z-index: 1;
+      width: auto;
+    }
+    
+    .admin-table td.number, .admin-table th.number {
+      text-align: right;
+    }
+    
+    .report-link {
+      color: var(--text-secondary);
+      font-size: 0.8rem;
+    }
+    
+    .like-button {
+      display: inline-block;
+      padding: 0 0.6rem;
+      border: 1px solid var(--border);
+      border-radius: 1rem;
+      background: none;
+      color: var(--text-secondary);
+      font: inherit;
+      text-decoration: none;
+      cursor: pointer;
+    }
+    
+    .like-button.liked, .like-button:hover {
+      color: var(--primary);
+      border-color: var(--primary);
+    }
+    
+    .report-list {
+      margin: 0.5rem 0 0.75rem 1.25rem;
+      font-size: 0.9rem;
+    }
+    
+    .checkbox-label {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      font-weight: normal;
+    }
+    
+    .checkbox-label input {
+      width: auto;
+    }
+    
+    main {
+      flex: 1;
+      padding: 1rem;
+      max-width: 1200px;
+      margin: 0 auto;
+      width: 100%;
+    }
+    
+    .center-content {
+      text-align: center;
+    }
+    
+    a, button {
+      color: var(--primary);
+      text-decoration: none;
+      background: none;
+      border: none;
+      cursor: pointer;
+    }
+    
+    a:hover, button:hover {
+      color: var(--primary-hover);
+      text-decoration: underline;
+    }
+    
+    .button {
+      display: inline-block;
+      background-color: var(--primary);
+      color: white;
+      padding: 0.5rem 1rem;
+      border-radius: 0.375rem;
+      font-weight: 500;
+      text-decoration: none;
+      transition: background-color 0.2s;
+    }
+    
+    .button:hover {
+      background-color: var(--primary-hover);
+      text-decoration: none;
+    }
+    
+    .button-group {
+      display: flex;
+      gap: 0.5rem;
+      flex-wrap: wrap;
+      margin: 1rem 0;
+    }
+    
+    .button-outline {
+      background: none;
+      border: 1px solid var(--primary);
+      color: var(--primary);
+    }
+    
+    .button-outline:hover {
+      background: var(--primary);
+      color: white;
+    }
+    
+    .button-danger {
+      background-color: var(--error);
+      color: white;
+    }
+    
+    .button-danger:hover {
+      background-color: var(--error);
+      opacity: 0.9;
+    }
+    
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
+      gap: 1rem;
+      margin: 1rem 0;
+    }
+    
+    .card {
+      background: var(--card-bg);
+      border-radius: 0.5rem;
+      overflow: hidden;
+      transition: transform 0.2s, box-shadow 0.2s;
+      border: 1px solid var(--border);
+    }
+    
+    .card:hover {
+      transform: translateY(-4px);
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    }
+    
+    .card img, .card video {
+      width: 100%;
+      height: auto;
+      aspect-ratio: 16/9;
+      object-fit: cover;
+    }
+    
+    .card-content {
+      padding: 1rem;
+    }
+    
+    .card h3 {
+      margin-bottom: 0.5rem;
+      font-size: 1rem;
+    }
+    
+    .card p {
+      color: var(--text-secondary);
+      font-size: 0.875rem;
+    }
+    
+    .card .timestamp {
+      color: var(--text-secondary);
+      font-size: 0.75rem;
+      margin-top: 0.5rem;
+    }
+    
+    .form-container {
+      background: var(--card-bg);
+      padding: 1.5rem;
+      border-radius: 0.5rem;
+      max-width: 600px;
+      margin: 1rem auto;
+      border: 1px solid var(--border);
+    }
+    
+    .form-group {
+      margin-bottom: 1rem;
+    }
+    
+    label {
+      display: block;
+      margin-bottom: 0.5rem;
+      font-weight: 500;
+    }
+    
+    input, textarea, select {
       width: 100%;
       padding: 0.5rem;
       border: 1px solid var(--border);
@@ -413,596 +1874,3479 @@ function getStyles() {
       border: 1px solid var(--success);
     }
     
-    .video-player {
-      width: 100%;
-      max-width: 800px;
-      margin: 1rem auto;
-      background: black;
-      border-radius: 0.5rem;
-      overflow: hidden;
+    .video-player {
+      width: 100%;
+      max-width: 800px;
+      margin: 1rem auto;
+      background: black;
+      border-radius: 0.5rem;
+      overflow: hidden;
+    }
+    
+    .video-player video {
+      width: 100%;
+      display: block;
+    }
+    
+    .video-processing {
+      max-width: 800px;
+      margin: 1rem auto;
+      padding: 3rem 1rem;
+      text-align: center;
+      background: var(--card-bg);
+      border: 1px dashed var(--border);
+      border-radius: 0.5rem;
+    }
+    
+    .comments {
+      margin-top: 2rem;
+      max-width: 800px;
+    }
+    
+    .comment {
+      background: var(--card-bg);
+      padding: 1rem;
+      border-radius: 0.5rem;
+      margin-bottom: 1rem;
+      border: 1px solid var(--border);
+    }
+    
+    .comment-author {
+      font-weight: 500;
+      margin-bottom: 0.5rem;
+    }
+    
+    .comment-date {
+      color: var(--text-secondary);
+      font-size: 0.8rem;
+      margin-top: 0.5rem;
+    }
+    
+    .comment-date a {
+      color: inherit;
+    }
+    
+    .comment-line {
+      font-weight: normal;
+      font-size: 0.8rem;
+      margin-left: 0.5rem;
+    }
+    
+    .comment-reply {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+    }
+    
+    .comment-reply summary {
+      cursor: pointer;
+      color: var(--text-secondary);
+    }
+    
+    .comment-reply textarea {
+      min-height: 80px;
+      margin: 0.5rem 0;
+    }
+    
+    .comment-replies {
+      margin-top: 1rem;
+      margin-left: 1.5rem;
+    }
+    
+    .comment-replies-flat {
+      margin-left: 0;
+    }
+    
+    .comment-replies .comment {
+      background: var(--background);
+      margin-bottom: 0.5rem;
+    }
+    
+    .code-view .line-comments td {
+      padding: 0.5rem 1rem;
+      font-family: system-ui, -apple-system, sans-serif;
+      white-space: normal;
+    }
+    
+    .paste-container {
+      background: var(--card-bg);
+      padding: 1rem;
+      border-radius: 0.5rem;
+      margin: 1rem 0;
+      border: 1px solid var(--border);
+    }
+    
+    pre {
+      white-space: pre-wrap;
+      word-wrap: break-word;
+      font-family: 'Courier New', Courier, monospace;
+      background: var(--background);
+      padding: 1rem;
+      border-radius: 0.5rem;
+      overflow-x: auto;
+      border: 1px solid var(--border);
+    }
+    
+    .code-view {
+      font-family: 'Courier New', Courier, monospace;
+      background: var(--background);
+      border: 1px solid var(--border);
+      border-radius: 0.5rem;
+      overflow-x: auto;
+      font-size: 0.875rem;
+    }
+    
+    .code-view table {
+      border-collapse: collapse;
+      width: 100%;
+    }
+    
+    .code-view .line-number {
+      width: 1%;
+      min-width: 3rem;
+      padding: 0 0.75rem;
+      text-align: right;
+      user-select: none;
+      border-right: 1px solid var(--border);
+      vertical-align: top;
+    }
+    
+    .code-view .line-number a {
+      color: var(--text-secondary);
+    }
+    
+    .code-view .line-code {
+      padding: 0 1rem;
+      white-space: pre;
+    }
+    
+    .code-view tr:target {
+      background-color: rgba(250, 204, 21, 0.2);
+    }
+    
+    .code-view .diff-sign {
+      width: 1%;
+      padding: 0 0.25rem;
+      user-select: none;
+    }
+    
+    .diff-view .diff-added {
+      background-color: rgba(16, 185, 129, 0.15);
+    }
+    
+    .diff-view .diff-removed {
+      background-color: rgba(239, 68, 68, 0.15);
+    }
+    
+    .diff-view .diff-empty {
+      background-color: var(--card-bg);
+    }
+    
+    .diff-view .diff-skip td {
+      padding: 0.25rem 1rem;
+      color: var(--text-secondary);
+      background-color: var(--card-bg);
+    }
+    
+    .revision-table, .admin-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 1rem;
+    }
+    
+    .revision-table th, .revision-table td, .admin-table th, .admin-table td {
+      padding: 0.5rem;
+      border-bottom: 1px solid var(--border);
+      text-align: left;
+    }
+    
+    .hljs-comment, .hljs-quote { color: var(--text-secondary); font-style: italic; }
+    .hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag { color: #c026d3; }
+    .hljs-string, .hljs-regexp, .hljs-addition, .hljs-attribute { color: #16a34a; }
+    .hljs-number, .hljs-symbol, .hljs-bullet, .hljs-variable, .hljs-template-variable { color: #ea580c; }
+    .hljs-title, .hljs-section, .hljs-name, .hljs-selector-id, .hljs-selector-class { color: #2563eb; }
+    .hljs-type, .hljs-built_in, .hljs-params, .hljs-attr, .hljs-meta { color: #0891b2; }
+    .hljs-deletion { color: var(--error); }
+    .hljs-emphasis { font-style: italic; }
+    .hljs-strong { font-weight: bold; }
+    
+    [data-theme="dark"] .hljs-keyword, [data-theme="dark"] .hljs-selector-tag, [data-theme="dark"] .hljs-literal { color: #e879f9; }
+    [data-theme="dark"] .hljs-string, [data-theme="dark"] .hljs-regexp, [data-theme="dark"] .hljs-addition { color: #4ade80; }
+    [data-theme="dark"] .hljs-number, [data-theme="dark"] .hljs-symbol, [data-theme="dark"] .hljs-variable { color: #fb923c; }
+    [data-theme="dark"] .hljs-title, [data-theme="dark"] .hljs-section, [data-theme="dark"] .hljs-name { color: #60a5fa; }
+    [data-theme="dark"] .hljs-type, [data-theme="dark"] .hljs-built_in, [data-theme="dark"] .hljs-attr { color: #22d3ee; }
+    
+    .paste-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-top: 1rem;
+      flex-wrap: wrap;
+    }
+    
+    @media (max-width: 640px) {
+      .grid {
+        grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+      }
+      
+      .form-container {
+        padding: 1rem;
+      }
+      
+      .main-nav {
+        justify-content: flex-start;
+      }
+    }
+  </style>
+  `;
+}
+
+// Routes
+// Item cards by type, for lists that mix them
+const cards = { video: videoCard, image: imageCard, paste: pasteCard };
+
+app.get("/", (req, res) => {
+  const trending = db.engagement.trending({ since: new Date(Date.now() - TRENDING_WINDOW).toISOString() })
+    .map(({ type, key }) => ({ type, item: lookups[type](key) }))
+    .filter(({ item }) => item);
+  const latestVideos = paginate(db.videos, { limit: 3 }).items;
+  const latestImages = paginate(db.images, { limit: 6 }).items;
+  const latestPastes = paginate(db.pastes, { limit: 3 }).items;
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>Welcome to Gallery</h2>
+        <p>Upload and share your videos, images, and code pastes.</p>
+        
+        <div class="button-group" style="justify-content: center;">
+          <a href="/upload/video" class="button">Upload Video</a>
+          <a href="/upload/image" class="button">Upload Image</a>
+          <a href="/upload/paste" class="button">Upload Paste</a>
+        </div>
+      </div>
+      
+      ${trending.length > 0 ? `
+        <section>
+          <h2 class="center-content">Trending</h2>
+          <div class="grid">
+            ${trending.map(({ type, item }) => cards[type](item)).join('')}
+          </div>
+        </section>
+      ` : ''}
+      
+      <section>
+        <h2 class="center-content">Recent Videos</h2>
+        ${latestVideos.length > 0 ? `
+          <div class="grid">
+            ${latestVideos.map(videoCard).join('')}
+          </div>
+          <div class="center-content" style="margin: 1rem 0;">
+            <a href="/videos" class="button">View All Videos</a>
+          </div>
+        ` : '<p class="center-content">No videos uploaded yet.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Recent Images</h2>
+        ${latestImages.length > 0 ? `
+          <div class="grid">
+            ${latestImages.map(imageCard).join('')}
+          </div>
+          <div class="center-content" style="margin: 1rem 0;">
+            <a href="/images" class="button">View All Images</a>
+          </div>
+        ` : '<p class="center-content">No images uploaded yet.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Recent Pastes</h2>
+        ${latestPastes.length > 0 ? `
+          <div class="grid">
+            ${latestPastes.map(pasteCard).join('')}
+          </div>
+          <div class="center-content" style="margin: 1rem 0;">
+            <a href="/pastes" class="button">View All Pastes</a>
+          </div>
+        ` : '<p class="center-content">No pastes uploaded yet.</p>'}
+      </section>
+    </section>
+  `;
+  
+  res.send(renderPage('Home', content, req, false));
+});
+
+// Feeds of new uploads, newest first, and of the comments on a video
+function absoluteUrl(req, path) {
+  return `${PUBLIC_URL || `${req.protocol}://${req.get('host')}`}${path}`;
+}
+
+function feedLink(path, title) {
+  return `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)}" href="${path}">`;
+}
+
+function sendFeed(req, res, { title, path, link, entries, updated }) {
+  res.type(feeds.CONTENT_TYPE).send(feeds.renderFeed({
+    title: `${title} | Gallery`,
+    self: absoluteUrl(req, path),
+    link: absoluteUrl(req, link),
+    updated,
+    entries
+  }));
+}
+
+function enclosure(req, file, size) {
+  return {
+    url: absoluteUrl(req, mediaUrl(file)),
+    type: db.storedFiles.mimeOf(file) || VIDEO_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    length: size
+  };
+}
+
+const feedEntries = {
+  video: (req, video) => ({
+    id: absoluteUrl(req, `/video/${video.id}`),
+    title: video.title,
+    link: absoluteUrl(req, `/video/${video.id}`),
+    published: video.createdAt,
+    updated: video.updatedAt,
+    author: video.owner,
+    enclosures: [enclosure(req, video.video, video.size)],
+    content: `
+      ${video.thumbnail ? `<p><img src="${absoluteUrl(req, mediaUrl(video.thumbnail))}" alt=""></p>` : ''}
+      <p>${escapeHtml(video.description)}</p>
+    `
+  }),
+  image: (req, image) => ({
+    id: absoluteUrl(req, `/image/${image.filename}`),
+    title: imageTitle(image),
+    link: absoluteUrl(req, `/image/${image.filename}`),
+    published: image.uploadedAt,
+    updated: image.updatedAt,
+    author: image.owner,
+    enclosures: [enclosure(req, image.file, image.size)],
+    content: `<p><img src="${absoluteUrl(req, mediaUrl(image.variants.at(-1)?.filename || image.file))}" alt="${escapeHtml(imageTitle(image))}"></p>`
+  }),
+  paste: (req, paste) => ({
+    id: absoluteUrl(req, `/paste/${paste.id}`),
+    title: paste.title,
+    link: absoluteUrl(req, `/paste/${paste.id}`),
+    published: paste.createdAt,
+    updated: paste.updatedAt,
+    author: paste.owner,
+    content: `<pre><code>${escapeHtml(paste.code.split('\n').slice(0, 20).join('\n'))}</code></pre>`
+  })
+};
+
+const FEED_TITLES = { video: 'Videos', image: 'Images', paste: 'Pastes' };
+const FEED_REPOS = { video: db.videos, image: db.images, paste: db.pastes };
+
+app.get("/feed.xml", (req, res) => {
+  const entries = Object.entries(FEED_REPOS)
+    .flatMap(([type, repo]) => repo.list({ limit: FEED_SIZE }).map(item => feedEntries[type](req, item)))
+    .sort((a, b) => new Date(b.published) - new Date(a.published))
+    .slice(0, FEED_SIZE);
+  
+  sendFeed(req, res, { title: 'New uploads', path: '/feed.xml', link: '/', entries, updated: new Date() });
+});
+
+for (const [type, title] of Object.entries(FEED_TITLES)) {
+  app.get(`/${type}s/feed.xml`, (req, res) => {
+    const entries = FEED_REPOS[type].list({ limit: FEED_SIZE }).map(item => feedEntries[type](req, item));
+    sendFeed(req, res, { title, path: `/${type}s/feed.xml`, link: `/${type}s`, entries, updated: new Date() });
+  });
+}
+
+app.get("/video/:id/feed.xml", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  
+  if (!video || !canView(req, 'video', video)) {
+    if (video && !video.hidden) return res.status(401).type('text/plain').send('This video is password protected.');
+    return res.status(404).type('text/plain').send('Video not found.');
+  }
+  
+  const entries = visibleComments(req, video.comments).reverse().slice(0, FEED_SIZE).map(comment => ({
+    id: absoluteUrl(req, `/comment/${comment.id}`),
+    title: `Comment by ${comment.name}`,
+    link: absoluteUrl(req, commentUrl(comment)),
+    published: comment.createdAt,
+    updated: comment.updatedAt,
+    author: comment.name,
+    content: `<p>${escapeHtml(comment.text).replace(/\n/g, '<br>')}</p>`
+  }));
+  sendFeed(req, res, {
+    title: `Comments on ${video.title}`,
+    path: `/video/${video.id}/feed.xml`,
+    link: `/video/${video.id}`,
+    entries,
+    updated: video.createdAt
+  });
+});
+
+// Link previews and embeds: OpenGraph and Twitter card tags on item pages,
+// an oEmbed endpoint (https://oembed.com) they point to, and the bare
+// players its embed code frames
+const EMBED_WIDTH = 640;
+
+// Fits a box inside maxWidth×maxHeight, keeping its shape
+function fitWithin(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / width || 1, maxHeight / height || 1);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// The largest stored picture of an item no wider than `maxWidth`
+function previewImage(type, item, maxWidth = Infinity) {
+  const file = type === 'image' ? item.file : item.thumbnail;
+  if (!file) return null;
+  
+  const variants = type === 'image' ? item.variants : item.thumbnailVariants;
+  const original = type === 'image' && item.width ? [{ filename: item.file, width: item.width, height: item.height }] : [];
+  const candidates = [...variants, ...original];
+  const fitting = candidates.filter(v => v.width <= maxWidth);
+  return fitting[fitting.length - 1] || candidates[0] || { filename: file };
+}
+
+function videoEmbedSize(video, maxWidth, maxHeight) {
+  const ratio = video.width && video.height ? video.height / video.width : 9 / 16;
+  return fitWithin(EMBED_WIDTH, Math.round(EMBED_WIDTH * ratio), maxWidth, maxHeight);
+}
+
+function itemDescription(type, item) {
+  if (type === 'video') return item.description || `Video by ${item.owner || 'Anonymous'}`;
+  if (type === 'image') return `${item.width ? `${item.width}×${item.height} image` : 'Image'} by ${item.owner || 'Anonymous'}`;
+  return item.code.slice(0, 200);
+}
+
+// Head tags for an item page. Chat apps and social sites read these to show
+// a preview card, and oEmbed consumers find the endpoint through the links.
+function shareMeta(req, type, item) {
+  const page = absoluteUrl(req, itemPath(type, itemKey(type, item)));
+  const title = itemTitle(type, item);
+  const picture = previewImage(type, item);
+  const tags = {
+    'og:site_name': 'Gallery',
+    'og:type': type === 'video' ? 'video.other' : type === 'image' ? 'website' : 'article',
+    'og:url': page,
+    'og:title': title,
+    'og:description': itemDescription(type, item),
+    'twitter:card': type === 'video' ? 'player' : type === 'image' ? 'summary_large_image' : 'summary',
+    'twitter:title': title,
+    'twitter:description': itemDescription(type, item)
+  };
+  if (picture) {
+    Object.assign(tags, { 'og:image': absoluteUrl(req, mediaUrl(picture.filename)), 'twitter:image': absoluteUrl(req, mediaUrl(picture.filename)) });
+    if (picture.width) Object.assign(tags, { 'og:image:width': picture.width, 'og:image:height': picture.height });
+  }
+  if (type === 'video') {
+    const source = videoSources(item).find(s => s.type === 'video/mp4') || videoSources(item)[0];
+    const { width, height } = videoEmbedSize(item);
+    Object.assign(tags, {
+      'og:video': absoluteUrl(req, mediaUrl(source.file)),
+      'og:video:type': source.type,
+      'og:video:width': width,
+      'og:video:height': height,
+      'twitter:player': absoluteUrl(req, `/embed/video/${item.id}`),
+      'twitter:player:width': width,
+      'twitter:player:height': height
+    });
+  }
+  
+  const oembed = absoluteUrl(req, `/oembed?url=${encodeURIComponent(page)}`);
+  return [
+    ...Object.entries(tags).map(([name, value]) => `<meta ${name.startsWith('og:') ? 'property' : 'name'}="${name}" content="${escapeHtml(String(value))}">`),
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembed)}&amp;format=json" title="${escapeHtml(title)}">`
+  ].join('\n      ');
+}
+
+// Finds the item an item page URL on this site points to
+function oembedTarget(req, url) {
+  let target;
+  try {
+    target = new URL(String(url || ''), absoluteUrl(req, '/'));
+  } catch {
+    return null;
+  }
+  if (target.host !== new URL(absoluteUrl(req, '/')).host) return null;
+  
+  const match = /^\/(video|image|paste)\/([^/]+)$/.exec(target.pathname);
+  if (!match) return null;
+  const [, type, key] = match;
+  const item = lookups[type](key);
+  return item ? { type, item } : null;
+}
+
+app.get("/oembed", (req, res) => {
+  const { format = 'json' } = req.query;
+  const maxWidth = parseInt(req.query.maxwidth, 10) || Infinity;
+  const maxHeight = parseInt(req.query.maxheight, 10) || Infinity;
+  
+  if (format !== 'json') return res.status(501).type('text/plain').send('Only the json format is supported.');
+  const target = oembedTarget(req, req.query.url);
+  if (!target || target.item.hidden) return res.status(404).type('text/plain').send('Not found.');
+  // Consumers fetch without the visitor's cookies, so only unprotected items embed
+  if (target.item.visibility === 'password' || (target.type === 'paste' && target.item.burnAfterRead)) {
+    return res.status(401).type('text/plain').send('This item cannot be embedded.');
+  }
+  
+  const { type, item } = target;
+  const thumbnail = previewImage(type, item, maxWidth);
+  const result = {
+    version: '1.0',
+    title: itemTitle(type, item),
+    author_name: item.owner || 'Anonymous',
+    provider_name: 'Gallery',
+    provider_url: absoluteUrl(req, '/'),
+    cache_age: 3600
+  };
+  if (item.owner) result.author_url = absoluteUrl(req, `/user/${encodeURIComponent(item.owner)}`);
+  if (thumbnail?.width) {
+    Object.assign(result, {
+      thumbnail_url: absoluteUrl(req, mediaUrl(thumbnail.filename)),
+      thumbnail_width: thumbnail.width,
+      thumbnail_height: thumbnail.height
+    });
+  }
+  
+  if (type === 'image') {
+    const photo = thumbnail || { filename: item.file };
+    Object.assign(result, {
+      type: 'photo',
+      url: absoluteUrl(req, mediaUrl(photo.filename)),
+      ...fitWithin(photo.width || EMBED_WIDTH, photo.height || EMBED_WIDTH, maxWidth, maxHeight)
+    });
+  } else {
+    const { width, height } = type === 'video'
+      ? videoEmbedSize(item, maxWidth, maxHeight)
+      : fitWithin(EMBED_WIDTH, Math.min(400, 40 + 20 * item.code.split('\n').length), maxWidth, maxHeight);
+    const src = absoluteUrl(req, `/embed/${type}/${item.id}`);
+    Object.assign(result, {
+      type: type === 'video' ? 'video' : 'rich',
+      width,
+      height,
+      html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" frameborder="0" allowfullscreen title="${escapeHtml(itemTitle(type, item))}"></iframe>`
+    });
+  }
+  res.json(result);
+});
+
+// A bare page for the embed iframes
+function renderEmbed(title, body, styles) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} | Gallery</title>
+  ${styles}
+</head>
+<body>${body}</body>
+</html>`;
+}
+
+function embedUnavailable(req, res, type, item) {
+  const message = !item || item.hidden ? 'This item is not available.' : 'This item is password protected.';
+  const link = item && !item.hidden ? ` <a href="${itemPath(type, itemKey(type, item))}" target="_top">Open it in Gallery</a>` : '';
+  res.status(item && !item.hidden ? 401 : 404).send(renderEmbed('Unavailable', `<p>${message}${link}</p>`, getStyles()));
+}
+
+app.get("/embed/video/:id", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  if (!video || !canView(req, 'video', video)) return embedUnavailable(req, res, 'video', video);
+  countView(req, 'video', video);
+  
+  const body = `
+    <video controls preload="metadata"${video.thumbnail ? ` poster="${mediaUrl(video.thumbnail)}"` : ''}>
+      ${videoSources(video).map(source => `<source src="${mediaUrl(source.file)}" type="${source.type}">`).join('')}
+    </video>
+  `;
+  res.send(renderEmbed(escapeHtml(video.title), body, `
+    <style>
+      html, body { margin: 0; height: 100%; background: #000; }
+      video { display: block; width: 100%; height: 100%; }
+    </style>
+  `));
+});
+
+app.get("/embed/paste/:id", (req, res) => {
+  const paste = findPaste(req.params.id);
+  if (!paste || !canView(req, 'paste', paste) || paste.burnAfterRead) return embedUnavailable(req, res, 'paste', paste);
+  
+  const body = `
+    <p><a href="/paste/${paste.id}" target="_top">${escapeHtml(paste.title)}</a> &middot; ${syntax.languageName(paste.language)}</p>
+    <div class="paste-container">${renderCode(paste.code, paste.language)}</div>
+  `;
+  res.send(renderEmbed(escapeHtml(paste.title), body, getStyles()));
+});
+
+// Settings routes
+app.post("/settings/toggle-theme", (req, res) => {
+  db.settings.set('darkMode', !db.settings.get('darkMode', true));
+  res.sendStatus(200);
+});
+
+// Search
+const SEARCH_LABELS = { video: 'Videos', image: 'Images', paste: 'Pastes', comment: 'Comments' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reads the q, type, from and to parameters. Dates are whole days, so "to"
+// includes everything up to the end of that day.
+function readSearch(query) {
+  const text = String(query.q || '').trim();
+  const type = db.SEARCH_TYPES.includes(query.type) ? query.type : null;
+  const from = DATE_PATTERN.test(query.from) && !isNaN(Date.parse(query.from)) ? query.from : null;
+  const to = DATE_PATTERN.test(query.to) && !isNaN(Date.parse(query.to)) ? query.to : null;
+  const end = to && new Date(Date.parse(to) + 24 * 60 * 60 * 1000).toISOString();
+  return { text, type, from, to, results: text ? db.search.query(text, { type, from: from && new Date(from).toISOString(), to: end }) : [] };
+}
+
+// Search snippets come back with \x02 and \x03 around each match
+function markMatches(text) {
+  return escapeHtml(text).replace(/\x02/g, '<mark>').replace(/\x03/g, '</mark>');
+}
+
+function searchResult({ type, title, snippet, item }) {
+  if (type === 'video') {
+    return `
+      <div class="search-result">
+        <h3><a href="/video/${item.id}">${markMatches(title)}</a></h3>
+        ${snippet ? `<p>${markMatches(snippet)}</p>` : ''}
+        <p class="timestamp">Video by ${ownerLink(item)} &middot; ${new Date(item.createdAt).toLocaleString()}</p>
+      </div>
+    `;
+  }
+  if (type === 'image') {
+    return `
+      <div class="search-result">
+        <h3><a href="/image/${item.filename}">${markMatches(title)}</a></h3>
+        <p class="timestamp">Image by ${ownerLink(item)} &middot; ${new Date(item.uploadedAt).toLocaleString()}</p>
+      </div>
+    `;
+  }
+  if (type === 'paste') {
+    return `
+      <div class="search-result">
+        <h3><a href="/paste/${item.id}">${markMatches(title)}</a></h3>
+        ${snippet ? `<p class="code-view" style="padding: 0.5rem 1rem;">${markMatches(snippet)}</p>` : ''}
+        <p class="timestamp">${syntax.languageName(item.language)} paste by ${ownerLink(item)} &middot; ${new Date(item.createdAt).toLocaleString()}</p>
+      </div>
+    `;
+  }
+  const target = lookups[item.targetType](item.targetKey);
+  return `
+    <div class="search-result">
+      <h3><a href="/comment/${item.id}">${markMatches(title)}</a> on ${target ? escapeHtml(itemTitle(item.targetType, target)) : 'a removed item'}</h3>
+      <p>${markMatches(snippet)}</p>
+      <p class="timestamp">${new Date(item.createdAt).toLocaleString()}</p>
+    </div>
+  `;
+}
+
+app.get("/search", (req, res) => {
+  const { text, type, from, to, results } = readSearch(req.query);
+  const groups = db.SEARCH_TYPES
+    .map(t => ({ type: t, results: results.filter(r => r.type === t) }))
+    .filter(g => g.results.length > 0);
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Search</h2>
+      <form method="GET" action="/search" class="search-filters">
+        <div class="form-group">
+          <label for="q">Search for</label>
+          <input type="search" id="q" name="q" value="${escapeHtml(text)}" autofocus>
+        </div>
+        <div class="form-group">
+          <label for="type">Type</label>
+          <select id="type" name="type">
+            <option value="">Everything</option>
+            ${db.SEARCH_TYPES.map(t => `<option value="${t}"${t === type ? ' selected' : ''}>${SEARCH_LABELS[t]}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="from">From</label>
+          <input type="date" id="from" name="from" value="${from || ''}">
+        </div>
+        <div class="form-group">
+          <label for="to">To</label>
+          <input type="date" id="to" name="to" value="${to || ''}">
+        </div>
+        <button type="submit" class="button">Search</button>
+      </form>
+      
+      ${!text ? '' : groups.length === 0 ? `<p class="center-content">No results for "${escapeHtml(text)}".</p>` : groups.map(g => `
+        <section>
+          <h2>${SEARCH_LABELS[g.type]} (${g.results.length})</h2>
+          ${g.results.map(searchResult).join('')}
+        </section>
+      `).join('')}
+    </section>
+  `;
+  
+  res.send(renderPage(text ? `Search: ${escapeHtml(text)}` : 'Search', content, req));
+});
+
+// Account routes
+function renderAuthForm(mode, req, error = '', username = '') {
+  const isLogin = mode === 'login';
+  const next = safeRedirect(req.query.next || req.body?.next);
+  return `
+    <section>
+      <h2 class="center-content">${isLogin ? 'Log In' : 'Register'}</h2>
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+      <form class="form-container" method="POST" action="/${mode}">
+        <input type="hidden" name="next" value="${escapeHtml(next)}">
+        <div class="form-group">
+          <label for="username">Username</label>
+          <input type="text" id="username" name="username" value="${escapeHtml(username)}" autocomplete="username" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="password">Password</label>
+          <input type="password" id="password" name="password" autocomplete="${isLogin ? 'current-password' : 'new-password'}" required>
+        </div>
+        
+        <button type="submit" class="button">${isLogin ? 'Log In' : 'Create Account'}</button>
+        <p style="margin-top: 1rem;">
+          ${isLogin
+            ? `No account yet? <a href="/register?next=${encodeURIComponent(next)}">Register</a>`
+            : `Already registered? <a href="/login?next=${encodeURIComponent(next)}">Log in</a>`}
+        </p>
+      </form>
+    </section>
+  `;
+}
+
+app.get("/register", (req, res) => {
+  res.send(renderPage('Register', renderAuthForm('register', req), req));
+});
+
+app.post("/register", rateLimit('login'), (req, res) => {
+  const { username, password } = req.body;
+  const error = auth.validateCredentials(username, password)
+    || (db.users.getByUsername(username) ? 'That username is already taken.' : null);
+  
+  if (error) {
+    return res.status(400).send(renderPage('Register', renderAuthForm('register', req, error, username), req));
+  }
+  
+  const user = auth.register(username, password);
+  auth.startSession(req, res, user);
+  res.redirect(safeRedirect(req.body.next));
+});
+
+app.get("/login", (req, res) => {
+  res.send(renderPage('Log In', renderAuthForm('login', req), req));
+});
+
+app.post("/login", rateLimit('login'), (req, res) => {
+  const { username, password } = req.body;
+  const user = auth.authenticate(username, password);
+  
+  if (!user) {
+    return res.status(401).send(renderPage('Log In', renderAuthForm('login', req, 'Invalid username or password.', username), req));
+  }
+  
+  auth.startSession(req, res, user);
+  res.redirect(safeRedirect(req.body.next));
+});
+
+app.post("/logout", (req, res) => {
+  auth.endSession(req, res);
+  res.redirect('/');
+});
+
+// Unlock routes for password-protected items
+app.post("/unlock/:type/:key", rateLimit('login'), (req, res) => {
+  const lookup = lookups[req.params.type];
+  const item = lookup && lookup(req.params.key);
+  
+  if (!item) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Item not found.</p>', req));
+  }
+  if (item.visibility !== 'password' || !auth.verifyPassword(req.body.password || '', item.passwordHash)) {
+    return sendLocked(req, res, req.params.type, item, 'Incorrect password.');
+  }
+  
+  auth.grantUnlock(req, res, req.params.type, req.params.key, item.passwordHash);
+  res.redirect(safeRedirect(req.body.next));
+});
+
+app.get("/user/:username", (req, res) => {
+  const user = db.users.getByUsername(req.params.username);
+  
+  if (!user) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">User not found.</p>', req));
+  }
+  
+  // Owners also see their unlisted and protected uploads
+  const publicOnly = req.user?.id !== user.id;
+  const videos = db.videos.list({ ownerId: user.id, publicOnly });
+  const images = db.images.list({ ownerId: user.id, publicOnly });
+  const pastes = db.pastes.list({ ownerId: user.id, publicOnly });
+  const albums = db.albums.listForOwner(user.id);
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>${escapeHtml(user.username)}</h2>
+        <p class="timestamp">Member since ${new Date(user.createdAt).toLocaleDateString()}</p>
+        ${req.user?.id === user.id ? '<a href="/settings/upload-tokens" class="button button-outline">Upload Tokens</a>' : ''}
+      </div>
+      
+      <section>
+        <h2 class="center-content">Albums (${albums.length})</h2>
+        ${req.user?.id === user.id ? '<div class="center-content" style="margin-bottom: 1rem;"><a href="/albums/new" class="button">New Album</a></div>' : ''}
+        ${albums.length > 0 ? `<div class="grid">${albums.map(albumCard).join('')}</div>` : '<p class="center-content">No albums yet.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Videos (${videos.length})</h2>
+        ${videos.length > 0 ? `<div class="grid">${videos.map(videoCard).join('')}</div>` : '<p class="center-content">No videos uploaded yet.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Images (${images.length})</h2>
+        ${images.length > 0 ? `<div class="grid">${images.map(imageCard).join('')}</div>` : '<p class="center-content">No images uploaded yet.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Pastes (${pastes.length})</h2>
+        ${pastes.length > 0 ? `<div class="grid">${pastes.map(pasteCard).join('')}</div>` : '<p class="center-content">No pastes created yet.</p>'}
+      </section>
+    </section>
+  `;
+  
+  res.send(renderPage(user.username, content, req));
+});
+
+// Upload tokens for /upload. A token is shown once, when it is created.
+const MAX_TOKEN_NAME = 64;
+
+function uploadExamples(req, token) {
+  const endpoint = absoluteUrl(req, '/upload');
+  return `
+    <pre><code>curl -H "Authorization: Bearer ${token}" -T screenshot.png ${escapeHtml(endpoint)}/
+cat build.log | curl -H "Authorization: Bearer ${token}" --data-binary @- "${escapeHtml(endpoint)}?title=Build+log"
+curl -H "Authorization: Bearer ${token}" -F file=@clip.mp4 "${escapeHtml(endpoint)}?format=json&amp;visibility=unlisted"</code></pre>
+  `;
+}
+
+// A ShareX custom uploader that sends images, text and files to /upload
+function sharexConfig(req, token) {
+  return {
+    Version: '15.0.0',
+    Name: `Gallery (${PUBLIC_URL ? new URL(PUBLIC_URL).host : req.get('host')})`,
+    DestinationType: 'ImageUploader, TextUploader, FileUploader',
+    RequestMethod: 'POST',
+    RequestURL: absoluteUrl(req, '/upload'),
+    Parameters: { format: 'json' },
+    Headers: { Authorization: `Bearer ${token}` },
+    Body: 'MultipartFormData',
+    FileFormName: 'file',
+    URL: '{json:url}',
+    ThumbnailURL: '{json:file}',
+    DeletionURL: '{json:deleteUrl}',
+    ErrorMessage: '{json:error.message}'
+  };
+}
+
+function createUploadToken(user, name) {
+  const { token, hash } = auth.createUploadToken();
+  db.uploadTokens.create({ userId: user.id, name, tokenHash: hash });
+  return token;
+}
+
+app.get("/settings/upload-tokens", requireLogin, (req, res) => {
+  const tokens = db.uploadTokens.list(req.user.id);
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Upload Tokens</h2>
+      <p class="center-content">
+        Tokens let scripts and screenshot tools upload to your account without logging in.
+        Anyone holding one can upload as you, so revoke tokens you no longer use.
+      </p>
+      ${tokens.length > 0 ? `
+        <table class="admin-table">
+          <tr><th>Name</th><th>Created</th><th>Last used</th><th></th></tr>
+          ${tokens.map(token => `
+            <tr>
+              <td>${escapeHtml(token.name)}</td>
+              <td>${new Date(token.createdAt).toLocaleString()}</td>
+              <td>${token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}</td>
+              <td>
+                <form method="POST" action="/settings/upload-tokens/${token.id}/delete" class="inline-form" onsubmit="return confirm('Revoke this token?')">
+                  <button type="submit" class="button button-danger">Revoke</button>
+                </form>
+              </td>
+            </tr>
+          `).join('')}
+        </table>
+      ` : '<p class="center-content">No upload tokens yet.</p>'}
+      
+      <h3>New token</h3>
+      <form class="form-container" method="POST" action="/settings/upload-tokens">
+        <div class="form-group">
+          <label for="name">Name</label>
+          <input type="text" id="name" name="name" maxlength="${MAX_TOKEN_NAME}" placeholder="Laptop, CI, ..." required>
+        </div>
+        
+        <button type="submit" class="button">Create Token</button>
+      </form>
+      
+      <h3>ShareX</h3>
+      <p>Downloads a custom uploader for images, text and files, with a new token of its own.</p>
+      <form method="POST" action="/settings/upload-tokens/sharex">
+        <button type="submit" class="button button-outline">Download ShareX Config</button>
+      </form>
+    </section>
+  `;
+  
+  res.send(renderPage('Upload Tokens', content, req));
+});
+
+app.post("/settings/upload-tokens", requireLogin, (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name || name.length > MAX_TOKEN_NAME) {
+    return res.status(400).send(renderPage('Error', `<p class="error">Token names must be 1-${MAX_TOKEN_NAME} characters.</p>`, req));
+  }
+  
+  const token = createUploadToken(req.user, name);
+  const content = `
+    <section>
+      <p class="success">Token created. Copy it now; it is not shown again.</p>
+      <div class="paste-container">
+        <p><strong>Token:</strong> <code>${token}</code></p>
+        <p>Send it in an Authorization header to upload:</p>
+        ${uploadExamples(req, token)}
+      </div>
+      <a href="/settings/upload-tokens" class="button">Back to Upload Tokens</a>
+    </section>
+  `;
+  res.send(renderPage('Token Created', content, req, false));
+});
+
+app.post("/settings/upload-tokens/sharex", requireLogin, (req, res) => {
+  const token = createUploadToken(req.user, 'ShareX');
+  res.attachment(`gallery-${req.user.username}.sxcu`);
+  res.type('application/json').send(JSON.stringify(sharexConfig(req, token), null, 2));
+});
+
+app.post("/settings/upload-tokens/:id/delete", requireLogin, (req, res) => {
+  db.uploadTokens.delete(Number(req.params.id), req.user.id);
+  res.redirect('/settings/upload-tokens');
+});
+
+// Video routes
+app.get("/videos", (req, res) => {
+  const paging = paginate(db.videos, readPaging(req.query, db.videos));
+  
+  const content = `
+    <section>
+      <h2 class="center-content">All Videos (${paging.total})</h2>
+      <div class="center-content" style="margin-bottom: 1rem;">
+        <a href="/upload/video" class="button">Upload New Video</a>
+        <a href="/videos/feed.xml" class="button button-outline">Feed</a>
+      </div>
+      
+      ${paging.items.length > 0 ? `
+        ${sortControls('/videos', paging, db.videos)}
+        ${listingGrid(req, 'video', paging.items, videoCard)}
+        ${pageLinks('/videos', paging)}
+      ` : '<p class="center-content">No videos uploaded yet.</p>'}
+    </section>
+  `;
+  
+  res.send(renderPage('Videos', content, req, true, feedLink('/videos/feed.xml', 'Videos')));
+});
+
+// Sends the video to the tus endpoint in chunks, showing progress and retrying
+// dropped chunks, then submits the form without the file. Upload URLs are kept
+// in localStorage so picking the same file again resumes where it stopped.
+function chunkedUploadScript() {
+  return `
+    <script>
+      (function () {
+        const CHUNK_SIZE = 8 * 1024 * 1024;
+        const RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000];
+        const form = document.getElementById('video-form');
+        const input = document.getElementById('video');
+        const progress = document.getElementById('upload-progress');
+        const status = document.getElementById('upload-status');
+        const tusHeaders = { 'Tus-Resumable': '${tus.TUS_VERSION}' };
+        if (!window.fetch || !window.Blob || !Blob.prototype.slice) return;
+        
+        const encode = text => btoa(unescape(encodeURIComponent(text)));
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        
+        function showProgress(sent, total) {
+          progress.value = total ? Math.floor(sent / total * 100) : 100;
+          status.textContent = 'Uploading: ' + progress.value + '% (' + (sent / 1048576).toFixed(1) + ' of ' + (total / 1048576).toFixed(1) + ' MB)';
+        }
+        
+        async function start(file) {
+          const key = 'tus:' + file.name + ':' + file.size + ':' + file.lastModified;
+          const saved = localStorage.getItem(key);
+          if (saved) {
+            const head = await fetch(saved, { method: 'HEAD', headers: tusHeaders });
+            if (head.ok) return { key, url: saved, offset: Number(head.headers.get('Upload-Offset')) };
+          }
+          const created = await fetch('/upload/video/tus', {
+            method: 'POST',
+            headers: Object.assign({
+              'Upload-Length': String(file.size),
+              'Upload-Metadata': 'filename ' + encode(file.name) + ',filetype ' + encode(file.type)
+            }, tusHeaders)
+          });
+          if (created.status !== 201) throw new Error(await created.text() || 'The upload could not be started.');
+          const url = created.headers.get('Location');
+          localStorage.setItem(key, url);
+          return { key, url, offset: 0 };
+        }
+        
+        // XMLHttpRequest rather than fetch, for upload progress events
+        function sendChunk(url, file, offset) {
+          return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PATCH', url);
+            xhr.setRequestHeader('Tus-Resumable', '${tus.TUS_VERSION}');
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+            xhr.upload.onprogress = event => showProgress(offset + event.loaded, file.size);
+            xhr.onload = () => xhr.status === 204
+              ? resolve(Number(xhr.getResponseHeader('Upload-Offset')))
+              : reject(Object.assign(new Error(xhr.responseText || 'Upload failed.'), { status: xhr.status }));
+            xhr.onerror = () => reject(new Error('Connection lost.'));
+            xhr.send(file.slice(offset, offset + CHUNK_SIZE));
+          });
+        }
+        
+        // After a failed chunk the offset is asked for again, since part of it may have arrived
+        async function upload(file) {
+          const state = await start(file);
+          let retries = 0;
+          while (state.offset < file.size) {
+            try {
+              state.offset = await sendChunk(state.url, file, state.offset);
+              retries = 0;
+            } catch (err) {
+              if (err.status && err.status < 500 && err.status !== 409 && err.status !== 423) throw err;
+              if (retries >= RETRY_DELAYS.length) throw err;
+              status.textContent = err.message + ' Retrying...';
+              await wait(RETRY_DELAYS[retries++]);
+              const head = await fetch(state.url, { method: 'HEAD', headers: tusHeaders }).catch(() => null);
+              if (head && head.ok) state.offset = Number(head.headers.get('Upload-Offset'));
+            }
+            showProgress(state.offset, file.size);
+          }
+          localStorage.removeItem(state.key);
+          return state.url.split('/').pop();
+        }
+        
+        form.addEventListener('submit', async event => {
+          const file = input.files[0];
+          if (!file || document.getElementById('uploadId').value) return;
+          event.preventDefault();
+          
+          const button = form.querySelector('button[type=submit]');
+          button.disabled = true;
+          progress.hidden = false;
+          try {
+            document.getElementById('uploadId').value = await upload(file);
+            input.removeAttribute('name');
+            status.textContent = 'Upload complete. Saving...';
+            form.submit();
+          } catch (err) {
+            status.textContent = 'Upload failed: ' + err.message;
+            button.disabled = false;
+          }
+        });
+      })();
+    </script>
+  `;
+}
+
+app.get("/upload/video", (req, res) => {
+  const content = `
+    <section>
+      <h2 class="center-content">Upload Video</h2>
+      <form class="form-container" id="video-form" action="/upload/video" method="POST" enctype="multipart/form-data">
+        <input type="hidden" name="uploadId" id="uploadId">
+        <div class="form-group">
+          <label for="title">Title</label>
+          <input type="text" id="title" name="title" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="description">Description</label>
+          <textarea id="description" name="description" required></textarea>
+        </div>
+        
+        <div class="form-group">
+          <label for="video">Video File (MP4, WEBM, MOV - max ${formatBytes(MAX_CHUNKED_VIDEO_SIZE)}, or 100 MB without JavaScript)</label>
+          <input type="file" id="video" name="video" accept="video/mp4,video/webm,video/quicktime" required>
+          <progress id="upload-progress" max="100" value="0" hidden></progress>
+          <p id="upload-status" class="timestamp" aria-live="polite"></p>
+        </div>
+        
+        <div class="form-group">
+          <label for="thumbnail">Thumbnail Image (Optional)</label>
+          <input type="file" id="thumbnail" name="thumbnail" accept="image/*">
+        </div>
+        
+        ${tagsField()}
+        ${albumPicker(req)}
+        ${visibilityFields()}
+        
+        <button type="submit" class="button">Upload Video</button>
+      </form>
+      ${chunkedUploadScript()}
+    </section>
+  `;
+  
+  res.send(renderPage('Upload Video', content, req));
+});
+
+app.post("/upload/video", rateLimit('upload'), async (req, res) => {
+  await receiveFiles(videoFields, req, res);
+  
+  const { title, description, uploadId } = req.body;
+  const thumbFile = req.files?.["thumbnail"]?.[0];
+  const access = readVisibility(req.body);
+  const error = !title ? 'Title is required.' : access.error;
+  
+  // Checked before a chunked upload is claimed, so it can be sent again
+  if (error) {
+    fileStore.release(req.files?.["video"]?.[0]?.filename, thumbFile?.filename);
+    return res.status(400).send(renderPage('Error', `<p class="error">${error}</p>`, req));
+  }
+  
+  // The file arrives in this request or, from the chunked uploader, beforehand
+  const chunked = !req.files?.["video"] && uploadId ? await claimChunkedUpload(req, uploadId) : {};
+  const videoFile = req.files?.["video"]?.[0] || chunked.file;
+  
+  if (!videoFile) {
+    fileStore.release(thumbFile?.filename);
+    return res.status(400).send(renderPage('Error', `<p class="error">${chunked.error || 'Video file is required.'}</p>`, req));
+  }
+  
+  const thumbnail = thumbFile ? await removeMetadata(thumbFile) : {};
+  if (thumbnail.error) {
+    fileStore.release(videoFile.filename);
+    return res.status(400).send(renderPage('Error', `<p class="error">${thumbnail.error}</p>`, req));
+  }
+  
+  const video = addVideo({ title, description, tags: parseTags(req.body.tags), ...access }, videoFile, thumbnail.file, req.user);
+  addToAlbum(req, req.body.albumId, 'video', video.id);
+  
+  res.send(renderPage('Success', '<p class="success">Video uploaded successfully! It will be playable once it has been processed.</p><a href="/video/' + video.id + '" class="button">View Video</a>' + manageNotice('/video/' + video.id, video.manageToken), req));
+});
+
+app.get("/video/:id", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  
+  if (!video) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
+  }
+  if (!ensureViewable(req, res, 'video', video)) return;
+  if (countView(req, 'video', video)) video.views++;
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>${escapeHtml(video.title)}</h2>
+        <p>${escapeHtml(video.description)}</p>
+        <p class="timestamp">
+          Uploaded by ${ownerLink(video)}
+          ${video.duration ? `&middot; ${formatDuration(video.duration)}` : ''}
+          ${video.width ? `&middot; ${video.width}&times;${video.height}` : ''}
+          &middot; ${countLabel(video.views, 'view')}
+          &middot; <a href="${mediaUrl(video.video, { download: true })}">Download</a>
+          &middot; <a href="/video/${video.id}/feed.xml">Comments feed</a>
+          &middot; ${reportLink('video', video.id)}
+        </p>
+        <p>${likeButton(req, 'video', video)}</p>
+        ${tagChips(video.tags)}
+        ${hiddenNotice(video)}
+      </div>
+      
+      ${manageControls(req, `/video/${video.id}`, video, 'video')}
+      ${albumSection(req, 'video', video.id)}
+      
+      ${isProcessing(video) ? processingNotice(video) : `
+        ${transcodeFailure(req, video)}
+        <div class="video-player">
+          <video controls${video.thumbnail ? ` poster="${mediaUrl(video.thumbnail)}"` : ''}>
+            ${videoSources(video).map(source => `<source src="${mediaUrl(source.file)}" type="${source.type}">`).join('')}
+            Your browser does not support the video tag.
+          </video>
+        </div>
+      `}
+      
+      ${commentSection(req, 'video', video, { comments: video.comments })}
+    </section>
+  `;
+  
+  res.send(renderPage(escapeHtml(video.title), content, req, true, `
+      ${shareMeta(req, 'video', video)}
+      ${feedLink(`/video/${video.id}/feed.xml`, `Comments on ${video.title}`)}
+  `));
+});
+
+// Shown in place of the player while the video is transcoded. The page
+// reloads once the job is over.
+function processingNotice(video) {
+  return `
+    <div class="video-processing">
+      <p>This video is still being processed and will be playable shortly.</p>
+    </div>
+    <script>
+      const poll = setInterval(async () => {
+        const res = await fetch('/api/v1/videos/${video.id}');
+        if (!res.ok) return clearInterval(poll);
+        const { video } = await res.json();
+        if (video.transcodeStatus !== 'queued' && video.transcodeStatus !== 'processing') location.reload();
+      }, 5000);
+    </script>
+  `;
+}
+
+// Tells the video's managers why it plays as uploaded
+function transcodeFailure(req, video) {
+  if (video.transcodeStatus !== 'failed' || !canManage(req, video)) return '';
+  const job = db.jobs.latest('transcode', video.id);
+  return `<p class="error">This video could not be converted for all browsers, so it plays as uploaded: ${escapeHtml(job.error || 'unknown error')}</p>`;
+}
+
+app.get("/video/:id/edit", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  
+  if (!video) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
+  }
+  if (!canManage(req, video)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this video.</p>', req));
+  }
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Edit Video</h2>
+      <form class="form-container" method="POST" action="/video/${video.id}/edit">
+        ${tokenField(req)}
+        <div class="form-group">
+          <label for="title">Title</label>
+          <input type="text" id="title" name="title" value="${escapeHtml(video.title)}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="description">Description</label>
+          <textarea id="description" name="description">${escapeHtml(video.description)}</textarea>
+        </div>
+        
+        ${tagsField(video)}
+        ${visibilityFields(video)}
+        
+        <button type="submit" class="button">Save Changes</button>
+      </form>
+    </section>
+  `;
+  
+  res.send(renderPage('Edit Video', content, req));
+});
+
+app.post("/video/:id/edit", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  const { title, description } = req.body;
+  
+  if (!video) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
+  }
+  if (!canManage(req, video)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this video.</p>', req));
+  }
+  if (!title) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Title is required.</p>', req));
+  }
+  
+  const access = readVisibility(req.body, video);
+  if (access.error) {
+    return res.status(400).send(renderPage('Error', `<p class="error">${access.error}</p>`, req));
+  }
+  
+  db.videos.update(video.id, { title, description: description || '', ...access });
+  db.tags.set('video', video.id, parseTags(req.body.tags));
+  res.redirect(withToken(req, `/video/${video.id}`));
+});
+
+app.post("/video/:id/delete", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  
+  if (!video) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
+  }
+  if (!canManage(req, video)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot delete this video.</p>', req));
+  }
+  
+  deleteContent('video', video.id);
+  res.send(renderPage('Deleted', '<p class="success">Video deleted.</p><a href="/videos" class="button">Back to Videos</a>', req, false));
+});
+
+// Comment routes
+function postComment(type) {
+  return (req, res) => {
+    const key = type === 'image' ? req.params.filename : req.params.id;
+    const item = lookups[type](key);
+    const { text, parentId, line, revision } = req.body;
+    
+    if (!item) {
+      if (type === 'paste') return sendPasteMissing(req, res);
+      return res.status(404).send(renderPage('Not Found', '<p class="error">Item not found.</p>', req));
     }
-    
-    .video-player video {
-      width: 100%;
-      display: block;
+    if (!canView(req, type, item)) return sendLocked(req, res, type, item);
+    if (type === 'paste' && item.burnAfterRead) {
+      return res.status(400).send(renderPage('Error', '<p class="error">Burn-after-read pastes cannot be commented on.</p>', req));
     }
-    
-    .comments {
-      margin-top: 2rem;
-      max-width: 800px;
+    if (!text) {
+      return res.status(400).send(renderPage('Error', '<p class="error">Comment text is required.</p>', req));
     }
     
-    .comment {
-      background: var(--card-bg);
-      padding: 1rem;
-      border-radius: 0.5rem;
-      margin-bottom: 1rem;
-      border: 1px solid var(--border);
+    const { comment, error } = addComment(type, item, req.user, { text, parentId, line, revision });
+    if (error) {
+      return res.status(400).send(renderPage('Error', `<p class="error">${error}</p>`, req));
     }
+    res.redirect(commentUrl(comment));
+  };
+}
+
+app.post("/video/:id/comment", requireLogin, rateLimit('comment'), postComment('video'));
+app.post("/image/:filename/comment", requireLogin, rateLimit('comment'), postComment('image'));
+app.post("/paste/:id/comment", requireLogin, rateLimit('comment'), postComment('paste'));
+
+function likeItem(type) {
+  return (req, res) => {
+    const key = type === 'image' ? req.params.filename : req.params.id;
+    const item = lookups[type](key);
     
-    .comment-author {
-      font-weight: 500;
-      margin-bottom: 0.5rem;
+    if (!item) {
+      if (type === 'paste') return sendPasteMissing(req, res);
+      return res.status(404).send(renderPage('Not Found', '<p class="error">Item not found.</p>', req));
     }
-    
-    .comment-date {
-      color: var(--text-secondary);
-      font-size: 0.8rem;
-      margin-top: 0.5rem;
+    if (!canView(req, type, item)) return sendLocked(req, res, type, item);
+    if (type === 'paste' && item.burnAfterRead) {
+      return res.status(400).send(renderPage('Error', '<p class="error">Burn-after-read pastes cannot be liked.</p>', req));
     }
     
-    .paste-container {
-      background: var(--card-bg);
-      padding: 1rem;
-      border-radius: 0.5rem;
-      margin: 1rem 0;
-      border: 1px solid var(--border);
-    }
+    db.engagement.setLiked(type, String(itemKey(type, item)), req.user.id, req.body.like !== '0');
+    res.redirect(itemPath(type, itemKey(type, item)));
+  };
+}
+
+app.post("/video/:id/like", requireLogin, likeItem('video'));
+app.post("/image/:filename/like", requireLogin, likeItem('image'));
+app.post("/paste/:id/like", requireLogin, likeItem('paste'));
+
+// Delete links, such as those token uploads hand out, ask the owner before
+// deleting
+function confirmDelete(type) {
+  return (req, res) => {
+    const key = type === 'image' ? req.params.filename : req.params.id;
+    const item = lookups[type](key);
     
-    pre {
-      white-space: pre-wrap;
-      word-wrap: break-word;
-      font-family: 'Courier New', Courier, monospace;
-      background: var(--background);
-      padding: 1rem;
-      border-radius: 0.5rem;
-      overflow-x: auto;
-      border: 1px solid var(--border);
+    if (!item) {
+      if (type === 'paste') return sendPasteMissing(req, res);
+      return res.status(404).send(renderPage('Not Found', `<p class="error">${type[0].toUpperCase()}${type.slice(1)} not found.</p>`, req));
     }
-    
-    .paste-actions {
-      display: flex;
-      gap: 0.5rem;
-      margin-top: 1rem;
-      flex-wrap: wrap;
+    if (!canManage(req, item)) {
+      if (!req.user) return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+      return res.status(403).send(renderPage('Forbidden', `<p class="error">You cannot delete this ${type}.</p>`, req));
     }
     
-    @media (max-width: 640px) {
-      .grid {
-        grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
-      }
+    const basePath = itemPath(type, key);
+    const content = `
+      <section class="center-content">
+        <h2>Delete this ${type}?</h2>
+        <p><a href="${withToken(req, basePath)}">${escapeHtml(itemTitle(type, item))}</a> will be deleted permanently.</p>
+        <form method="POST" action="${basePath}/delete">
+          ${tokenField(req)}
+          <button type="submit" class="button button-danger">Delete</button>
+        </form>
+      </section>
+    `;
+    res.send(renderPage('Delete', content, req));
+  };
+}
+
+app.get("/video/:id/delete", confirmDelete('video'));
+app.get("/image/:filename/delete", confirmDelete('image'));
+app.get("/paste/:id/delete", confirmDelete('paste'));
+
+app.get("/comment/:id", (req, res) => {
+  const comment = db.comments.get(req.params.id);
+  
+  if (!comment) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Comment not found.</p>', req));
+  }
+  res.redirect(commentUrl(comment));
+});
+
+app.get("/comment/:id/edit", requireLogin, (req, res) => {
+  const comment = db.comments.get(req.params.id);
+  
+  if (!comment) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Comment not found.</p>', req));
+  }
+  if (!canEditComment(req, comment)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You can only edit your own comments.</p>', req));
+  }
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Edit Comment</h2>
+      <form class="form-container" method="POST" action="/comment/${comment.id}/edit">
+        <div class="form-group">
+          <label for="text">Comment</label>
+          <textarea id="text" name="text" required>${escapeHtml(comment.text)}</textarea>
+        </div>
+        
+        <button type="submit" class="button">Save Changes</button>
+      </form>
+    </section>
+  `;
+  
+  res.send(renderPage('Edit Comment', content, req));
+});
+
+app.post("/comment/:id/edit", requireLogin, (req, res) => {
+  const comment = db.comments.get(req.params.id);
+  
+  if (!comment) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Comment not found.</p>', req));
+  }
+  if (!canEditComment(req, comment)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You can only edit your own comments.</p>', req));
+  }
+  if (!req.body.text) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Comment text is required.</p>', req));
+  }
+  
+  editComment(comment, req.body.text);
+  res.redirect(commentUrl(comment));
+});
+
+app.post("/comment/:id/delete", (req, res) => {
+  const comment = db.comments.get(req.params.id);
+  
+  if (!comment) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Comment not found.</p>', req));
+  }
+  if (!canDeleteComment(req, comment)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot delete this comment.</p>', req));
+  }
+  
+  db.comments.delete(comment.id);
+  res.redirect(withToken(req, itemPath(comment.targetType, comment.targetKey)) + '#comments');
+});
+
+// Image routes
+app.get("/images", (req, res) => {
+  const paging = paginate(db.images, readPaging(req.query, db.images));
+  
+  const content = `
+    <section>
+      <h2 class="center-content">All Images (${paging.total})</h2>
+      <div class="center-content" style="margin-bottom: 1rem;">
+        <a href="/upload/image" class="button">Upload New Image</a>
+        <a href="/images/feed.xml" class="button button-outline">Feed</a>
+      </div>
+      
+      ${paging.items.length > 0 ? `
+        ${sortControls('/images', paging, db.images)}
+        ${listingGrid(req, 'image', paging.items, imageCard)}
+        ${pageLinks('/images', paging)}
+      ` : '<p class="center-content">No images uploaded yet.</p>'}
+    </section>
+  `;
+  
+  res.send(renderPage('Images', content, req, true, feedLink('/images/feed.xml', 'Images')));
+});
+
+app.get("/upload/image", (req, res) => {
+  const content = `
+    <section>
+      <h2 class="center-content">Upload Image</h2>
+      <form class="form-container" action="/upload/image" method="POST" enctype="multipart/form-data">
+        <div class="form-group">
+          <label for="image">Image File (JPEG, PNG, GIF - max 20MB)</label>
+          <input type="file" id="image" name="image" accept="image/*" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="title">Title (Optional)</label>
+          <input type="text" id="title" name="title">
+        </div>
+        
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" name="keepMetadata" value="1">
+            Keep the camera model and capture date (location and all other metadata are always removed)
+          </label>
+        </div>
+        
+        ${tagsField()}
+        ${albumPicker(req)}
+        ${visibilityFields()}
+        
+        <button type="submit" class="button">Upload Image</button>
+      </form>
+    </section>
+  `;
+  
+  res.send(renderPage('Upload Image', content, req));
+});
+
+app.post("/upload/image", rateLimit('upload'), async (req, res) => {
+  await receiveFiles(imageUpload.single('image'), req, res);
+  
+  if (!req.file) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Image file is required.</p>', req));
+  }
+  
+  const access = readVisibility(req.body);
+  if (access.error) {
+    fileStore.release(req.file.filename);
+    return res.status(400).send(renderPage('Error', `<p class="error">${access.error}</p>`, req));
+  }
+  
+  const stripped = await removeMetadata(req.file, { keep: req.body.keepMetadata === '1' });
+  if (stripped.error) {
+    return res.status(400).send(renderPage('Error', `<p class="error">${stripped.error}</p>`, req));
+  }
+  
+  const image = addImage(stripped.file, { title: req.body.title, tags: parseTags(req.body.tags), ...access }, req.user);
+  addToAlbum(req, req.body.albumId, 'image', image.filename);
+  res.send(renderPage('Success', '<p class="success">Image uploaded successfully!</p><a href="/image/' + image.filename + '" class="button">View Image</a>' + manageNotice('/image/' + image.filename, image.manageToken), req));
+});
+
+app.get("/image/:filename", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  
+  if (!image) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Image not found.</p>', req));
+  }
+  if (!ensureViewable(req, res, 'image', image)) return;
+  if (countView(req, 'image', image)) image.views++;
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>${escapeHtml(imageTitle(image))}</h2>
+        <p>${likeButton(req, 'image', image)}</p>
+        ${tagChips(image.tags)}
+        ${hiddenNotice(image)}
+      </div>
       
-      .form-container {
-        padding: 1rem;
-      }
+      <div style="max-width: 100%; overflow: hidden; border-radius: 0.5rem; margin: 1rem 0; display: flex; justify-content: center;">
+        <img ${imageSources(image.file, image.variants, '(max-width: 1280px) 100vw, 1280px', image.width)}${image.width ? ` width="${image.width}" height="${image.height}"` : ''} alt="${escapeHtml(imageTitle(image))}" style="max-width: 100%; max-height: 80vh; width: auto; height: auto; display: block;">
+      </div>
       
-      .main-nav {
-        justify-content: flex-start;
-      }
-    }
-  </style>
+      <div class="paste-container">
+        <p><strong>Original name:</strong> ${escapeHtml(image.originalName)}</p>
+        <p><strong>Size:</strong> ${(image.size / 1024).toFixed(2)} KB</p>
+        ${image.width ? `<p><strong>Dimensions:</strong> ${image.width}&times;${image.height} px</p>` : ''}
+        ${image.camera ? `<p><strong>Camera:</strong> ${escapeHtml(image.camera)}</p>` : ''}
+        ${image.takenAt ? `<p><strong>Taken:</strong> ${escapeHtml(image.takenAt)}</p>` : ''}
+        <p><strong>Uploaded by:</strong> ${ownerLink(image)}</p>
+        <p><strong>Uploaded:</strong> ${new Date(image.uploadedAt).toLocaleString()}</p>
+        <p><strong>Views:</strong> ${image.views}</p>
+        <p><a href="${mediaUrl(image.file, { download: true })}">Download original</a> &middot; ${reportLink('image', image.filename)}</p>
+      </div>
+      
+      ${manageControls(req, `/image/${image.filename}`, image, 'image')}
+      ${albumSection(req, 'image', image.filename)}
+      ${commentSection(req, 'image', image)}
+    </section>
+  `;
+  
+  res.send(renderPage(escapeHtml(imageTitle(image)), content, req, true, shareMeta(req, 'image', image)));
+});
+
+app.get("/image/:filename/edit", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  
+  if (!image) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Image not found.</p>', req));
+  }
+  if (!canManage(req, image)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this image.</p>', req));
+  }
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Edit Image</h2>
+      <form class="form-container" method="POST" action="/image/${image.filename}/edit">
+        ${tokenField(req)}
+        <div class="form-group">
+          <label for="title">Title</label>
+          <input type="text" id="title" name="title" value="${escapeHtml(image.title || '')}">
+        </div>
+        
+        <div class="form-group">
+          <label for="originalName">File name</label>
+          <input type="text" id="originalName" name="originalName" value="${escapeHtml(image.originalName)}" required>
+        </div>
+        
+        ${tagsField(image)}
+        ${visibilityFields(image)}
+        
+        <button type="submit" class="button">Save Changes</button>
+      </form>
+    </section>
+  `;
+  
+  res.send(renderPage('Edit Image', content, req));
+});
+
+app.post("/image/:filename/edit", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  
+  if (!image) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Image not found.</p>', req));
+  }
+  if (!canManage(req, image)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this image.</p>', req));
+  }
+  if (!req.body.originalName) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Name is required.</p>', req));
+  }
+  
+  const access = readVisibility(req.body, image);
+  if (access.error) {
+    return res.status(400).send(renderPage('Error', `<p class="error">${access.error}</p>`, req));
+  }
+  
+  db.images.update(image.filename, { title: req.body.title || null, originalName: req.body.originalName, ...access });
+  db.tags.set('image', image.filename, parseTags(req.body.tags));
+  res.redirect(withToken(req, `/image/${image.filename}`));
+});
+
+app.post("/image/:filename/delete", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  
+  if (!image) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Image not found.</p>', req));
+  }
+  if (!canManage(req, image)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot delete this image.</p>', req));
+  }
+  
+  deleteContent('image', image.filename);
+  res.send(renderPage('Deleted', '<p class="success">Image deleted.</p><a href="/images" class="button">Back to Images</a>', req, false));
+});
+
+// Paste routes
+app.get("/pastes", (req, res) => {
+  const paging = paginate(db.pastes, readPaging(req.query, db.pastes));
+  
+  const content = `
+    <section>
+      <h2 class="center-content">All Pastes (${paging.total})</h2>
+      <div class="center-content" style="margin-bottom: 1rem;">
+        <a href="/upload/paste" class="button">Create New Paste</a>
+        <a href="/pastes/feed.xml" class="button button-outline">Feed</a>
+      </div>
+      
+      ${paging.items.length > 0 ? `
+        ${sortControls('/pastes', paging, db.pastes)}
+        ${listingGrid(req, 'paste', paging.items, pasteCard)}
+        ${pageLinks('/pastes', paging)}
+      ` : '<p class="center-content">No pastes created yet.</p>'}
+    </section>
+  `;
+  
+  res.send(renderPage('Pastes', content, req, true, feedLink('/pastes/feed.xml', 'Pastes')));
+});
+
+// The new paste form, prefilled from the source paste when forking
+function renderPasteForm(req, source = null) {
+  const content = `
+    <section>
+      <h2 class="center-content">${source ? 'Fork Paste' : 'Create New Paste'}</h2>
+      ${source ? `
+        <p class="center-content">
+          Forking <a href="${pasteRevisionLink(source, source.revision)}">${escapeHtml(source.title)}</a> (revision ${source.revision})
+        </p>
+      ` : ''}
+      <form class="form-container" method="POST" action="/upload/paste">
+        ${source ? `<input type="hidden" name="forkOf" value="${source.id}">` : ''}
+        <div class="form-group">
+          <label for="title">Title</label>
+          <input type="text" id="title" name="title" value="${source ? escapeHtml(source.title) : ''}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="language">Language</label>
+          <select id="language" name="language">${languageOptions(source?.language)}</select>
+        </div>
+        
+        <div class="form-group">
+          <label for="code">Code</label>
+          <textarea id="code" name="code" required>${source ? escapeHtml(source.code) : ''}</textarea>
+        </div>
+        
+        ${tagsField(source)}
+        
+        <div class="form-group">
+          <label for="expiresIn">Expires</label>
+          <select id="expiresIn" name="expiresIn">
+            ${Object.entries(PASTE_EXPIRY).map(([value, { label }]) => `
+              <option value="${value}"${value === 'never' ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" name="burnAfterRead" value="1">
+            Burn after reading (deleted after the first view)
+          </label>
+        </div>
+        
+        ${visibilityFields()}
+        
+        <button type="submit" class="button">${source ? 'Create Fork' : 'Create Paste'}</button>
+      </form>
+    </section>
   `;
+  
+  return renderPage(source ? 'Fork Paste' : 'Create Paste', content, req);
 }
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    return res.status(400).send(renderPage('Error', `<p class="error">File upload error: ${err.message}</p><a href="/" class="button">Go Home</a>`, req));
-  } else if (err) {
-    return res.status(500).send(renderPage('Error', `<p class="error">Server error: ${err.message}</p><a href="/" class="button">Go Home</a>`, req));
+app.get("/upload/paste", (req, res) => {
+  res.send(renderPasteForm(req));
+});
+
+app.post("/upload/paste", rateLimit('upload'), (req, res) => {
+  const { title, code, language, expiresIn, burnAfterRead, forkOf } = req.body;
+  
+  if (!title || !code) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Title and code are required.</p>', req));
   }
-  next();
+  
+  const source = forkOf ? findPaste(forkOf) : null;
+  if (forkOf && (!source || source.burnAfterRead || !canView(req, 'paste', source))) {
+    return res.status(400).send(renderPage('Error', '<p class="error">The paste being forked is no longer available.</p>', req));
+  }
+  
+  const access = readVisibility(req.body);
+  if (access.error) {
+    return res.status(400).send(renderPage('Error', `<p class="error">${access.error}</p>`, req));
+  }
+  
+  const paste = addPaste({
+    title, code, language, expiresIn, burnAfterRead: burnAfterRead === '1', tags: parseTags(req.body.tags),
+    forkedFrom: source?.id, ...access
+  }, req.user);
+  const burnNotice = paste.burnAfterRead
+    ? `<p class="error">This paste will be deleted the first time it is opened, including by you. Share this link instead of opening it: <strong>/paste/${paste.id}</strong></p>`
+    : '<a href="/paste/' + paste.id + '" class="button">View Paste</a>';
+  res.send(renderPage('Success', '<p class="success">Paste created successfully!</p>' + burnNotice + manageNotice('/paste/' + paste.id, paste.manageToken), req));
+});
+
+app.get("/paste/:id", (req, res) => {
+  const latest = findPaste(req.params.id);
+  
+  if (!latest) return sendPasteMissing(req, res);
+  if (!ensureViewable(req, res, 'paste', latest)) return;
+  if (latest.burnAfterRead && isBot(req)) {
+    return res.send(renderPage('Paste', '<p class="center-content">This paste can only be viewed once. Open the link in a browser to read it.</p>', req));
+  }
+  
+  const paste = latest.burnAfterRead ? latest : pasteAtRevision(latest, req.query.rev);
+  if (!paste) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Revision not found.</p>', req));
+  }
+  
+  markPasteRead(req, paste);
+  if (!paste.burnAfterRead && countView(req, 'paste', latest)) latest.views++;
+  const filename = pasteFilename(paste);
+  const source = paste.forkedFrom && findPaste(paste.forkedFrom);
+  const forks = paste.burnAfterRead ? [] : db.pastes.forks(paste.id);
+  const rawLink = paste.revision === latest.revision ? `/paste/${paste.id}/raw` : `/paste/${paste.id}/raw?rev=${paste.revision}`;
+  
+  // Line comments on the revision shown sit under their line in the code view
+  const comments = paste.burnAfterRead ? [] : visibleComments(req, db.comments.listFor('paste', paste.id));
+  const { roots, children } = commentTree(comments);
+  const inline = c => Boolean(c.line && c.revision === paste.revision);
+  const annotations = {};
+  for (const comment of roots.filter(inline)) {
+    annotations[comment.line] = (annotations[comment.line] || '') + renderThread(req, 'paste', latest, comment, children);
+  }
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>${escapeHtml(paste.title)}</h2>
+        <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+          Created: ${new Date(paste.createdAt).toLocaleString()} by ${ownerLink(paste)}
+          &middot; ${syntax.languageName(paste.language)}
+          ${paste.burnAfterRead ? '' : `&middot; <a href="/paste/${paste.id}/history">Revision ${paste.revision}</a>`}
+          ${paste.expiresAt ? `&middot; Expires ${new Date(paste.expiresAt).toLocaleString()}` : ''}
+          ${paste.burnAfterRead ? '' : `&middot; ${countLabel(latest.views, 'view')} &middot; ${reportLink('paste', paste.id)}`}
+        </p>
+        ${paste.burnAfterRead ? '' : `<p>${likeButton(req, 'paste', latest)}</p>`}
+        ${paste.forkedFrom ? `
+          <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+            Forked from ${source && canView(req, 'paste', source)
+              ? `<a href="/paste/${source.id}">${escapeHtml(source.title)}</a>`
+              : 'a paste that is no longer available'}
+          </p>
+        ` : ''}
+        ${tagChips(latest.tags)}
+        ${hiddenNotice(latest)}
+      </div>
+      
+      ${paste.burnAfterRead ? '<p class="error">This paste was burned after reading. It has been deleted and this is the only time it can be viewed.</p>' : ''}
+      ${paste.revision !== latest.revision ? `
+        <p class="center-content">
+          You are viewing revision ${paste.revision} from ${new Date(paste.revisedAt).toLocaleString()}.
+          <a href="/paste/${paste.id}">View the latest revision</a> or
+          <a href="/paste/${paste.id}/diff?from=${paste.revision}&to=${latest.revision}">compare with it</a>.
+        </p>
+      ` : ''}
+      
+      <div class="paste-container">
+        ${renderCode(paste.code, paste.language, annotations)}
+      </div>
+      
+      <div class="center-content">
+        <div class="paste-actions">
+          <button onclick="copyToClipboard(\`${escapeHtml(paste.code.replace(/`/g, '\\`'))}\`)" class="button">
+            Copy to Clipboard
+          </button>
+          <button onclick="downloadPaste(\`${escapeHtml(paste.code.replace(/`/g, '\\`'))}\`, \`${filename}\`)" class="button button-outline">
+            Download Paste
+          </button>
+          ${paste.burnAfterRead ? '' : `
+            <a href="${rawLink}" target="_blank" class="button button-outline">
+              View Raw
+            </a>
+            <a href="/paste/${paste.id}/fork${paste.revision !== latest.revision ? `?rev=${paste.revision}` : ''}" class="button button-outline">
+              Fork
+            </a>
+            <a href="/paste/${paste.id}/history" class="button button-outline">
+              History
+            </a>
+          `}
+        </div>
+      </div>
+      
+      ${paste.burnAfterRead ? '' : manageControls(req, `/paste/${paste.id}`, latest, 'paste')}
+      
+      ${forks.length > 0 ? `
+        <h3 class="center-content">Forks (${forks.length})</h3>
+        <div class="grid">${forks.map(pasteCard).join('')}</div>
+      ` : ''}
+      
+      ${paste.burnAfterRead ? '' : commentSection(req, 'paste', latest, {
+        comments,
+        inline,
+        revision: paste.revision,
+        lineCount: syntax.splitLines(paste.code).length
+      })}
+    </section>
+  `;
+  
+  res.send(renderPage(escapeHtml(paste.title), content, req, true, paste.burnAfterRead ? '' : shareMeta(req, 'paste', latest)));
+});
+
+app.get("/paste/:id/raw", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) {
+    const { status, message } = pasteMissing(req.params.id);
+    return res.status(status).type('text/plain').send(message);
+  }
+  if (!canView(req, 'paste', paste)) {
+    return res.status(401).type('text/plain').send('This paste is password protected.');
+  }
+  if (paste.burnAfterRead && isBot(req)) {
+    return res.type('text/plain').send('This paste can only be viewed once. Open the link in a browser to read it.');
+  }
+  
+  const revision = paste.burnAfterRead ? paste : pasteAtRevision(paste, req.query.rev);
+  if (!revision) return res.status(404).type('text/plain').send('Revision not found.');
+  
+  markPasteRead(req, paste);
+  res.type('text/plain');
+  res.set('Content-Disposition', `inline; filename="${pasteFilename(revision)}"`);
+  res.send(revision.code);
+});
+
+app.get("/paste/:id/fork", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (paste.burnAfterRead) return sendNoHistory(req, res);
+  if (!ensureViewable(req, res, 'paste', paste)) return;
+  
+  const source = pasteAtRevision(paste, req.query.rev);
+  if (!source) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Revision not found.</p>', req));
+  }
+  
+  res.send(renderPasteForm(req, source));
+});
+
+app.get("/paste/:id/history", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (paste.burnAfterRead) return sendNoHistory(req, res);
+  if (!ensureViewable(req, res, 'paste', paste)) return;
+  
+  const revisions = db.pastes.revisions(paste.id);
+  const revisionOptions = selected => revisions.map(r => `
+    <option value="${r.revision}"${r.revision === selected ? ' selected' : ''}>Revision ${r.revision}</option>
+  `).join('');
+  
+  const content = `
+    <section>
+      <h2 class="center-content">History of ${escapeHtml(paste.title)}</h2>
+      
+      <table class="revision-table">
+        <tr><th>Revision</th><th>Title</th><th>Language</th><th>Author</th><th>Date</th><th></th></tr>
+        ${revisions.map(r => `
+          <tr>
+            <td><a href="${pasteRevisionLink(paste, r.revision)}">${r.revision}</a></td>
+            <td>${escapeHtml(r.title)}</td>
+            <td>${syntax.languageName(r.language)}</td>
+            <td>${r.author ? ownerLink({ owner: r.author }) : 'anonymous'}</td>
+            <td class="timestamp">${new Date(r.createdAt).toLocaleString()}</td>
+            <td>
+              <a href="/paste/${paste.id}/raw?rev=${r.revision}">Raw</a>
+              ${r.revision > 1 ? `&middot; <a href="/paste/${paste.id}/diff?from=${r.revision - 1}&to=${r.revision}">Diff</a>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </table>
+      
+      ${revisions.length > 1 ? `
+        <form class="form-container" method="GET" action="/paste/${paste.id}/diff">
+          <div class="form-group">
+            <label for="from">Compare</label>
+            <select id="from" name="from">${revisionOptions(paste.revision - 1)}</select>
+          </div>
+          <div class="form-group">
+            <label for="to">With</label>
+            <select id="to" name="to">${revisionOptions(paste.revision)}</select>
+          </div>
+          <button type="submit" class="button">Show Diff</button>
+        </form>
+      ` : ''}
+      
+      <div class="center-content">
+        <a href="/paste/${paste.id}" class="button button-outline">Back to Paste</a>
+      </div>
+    </section>
+  `;
+  
+  res.send(renderPage(`History: ${escapeHtml(paste.title)}`, content, req, false));
+});
+
+app.get("/paste/:id/diff", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (paste.burnAfterRead) return sendNoHistory(req, res);
+  if (!ensureViewable(req, res, 'paste', paste)) return;
+  
+  const to = pasteAtRevision(paste, req.query.to ?? paste.revision);
+  const from = to && pasteAtRevision(paste, req.query.from ?? Math.max(to.revision - 1, 1));
+  if (!from || !to) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Revision not found.</p>', req));
+  }
+  
+  const view = req.query.view === 'split' ? 'split' : 'unified';
+  const { added, removed } = linediff.stats(linediff.diffLines(syntax.splitLines(from.code), syntax.splitLines(to.code)));
+  const viewLink = mode => `/paste/${paste.id}/diff?from=${from.revision}&to=${to.revision}${mode === 'split' ? '&view=split' : ''}`;
+  
+  const content = `
+    <section>
+      <div class="center-content">
+        <h2>${escapeHtml(paste.title)}</h2>
+        <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+          Comparing <a href="${pasteRevisionLink(paste, from.revision)}">revision ${from.revision}</a>
+          with <a href="${pasteRevisionLink(paste, to.revision)}">revision ${to.revision}</a>
+          &middot; +${added} &minus;${removed}
+        </p>
+        ${from.title !== to.title ? `<p>Title changed from <strong>${escapeHtml(from.title)}</strong> to <strong>${escapeHtml(to.title)}</strong>.</p>` : ''}
+        ${from.language !== to.language ? `<p>Language changed from ${syntax.languageName(from.language)} to ${syntax.languageName(to.language)}.</p>` : ''}
+        <div class="button-group" style="justify-content: center;">
+          <a href="${viewLink('unified')}" class="button${view === 'unified' ? '' : ' button-outline'}">Unified</a>
+          <a href="${viewLink('split')}" class="button${view === 'split' ? '' : ' button-outline'}">Side by Side</a>
+        </div>
+      </div>
+      
+      ${added || removed ? renderDiff(from, to, view) : '<p class="center-content">The code is identical in both revisions.</p>'}
+      
+      <div class="center-content" style="margin-top: 1rem;">
+        <a href="/paste/${paste.id}/history" class="button button-outline">Back to History</a>
+      </div>
+    </section>
+  `;
+  
+  res.send(renderPage(`Diff: ${escapeHtml(paste.title)}`, content, req, false));
 });
 
-// Routes
-app.get("/", (req, res) => {
-  const data = loadData();
-  const latestVideos = data.videos.slice(-3).reverse();
-  const latestImages = data.images.slice(-6).reverse();
-  const latestPastes = data.pastes.slice(-3).reverse();
+app.get("/paste/:id/edit", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (!canManage(req, paste)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this paste.</p>', req));
+  }
   
   const content = `
     <section>
-      <div class="center-content">
-        <h2>Welcome to Gallery</h2>
-        <p>Upload and share your videos, images, and code pastes.</p>
+      <h2 class="center-content">Edit Paste</h2>
+      <form class="form-container" method="POST" action="/paste/${paste.id}/edit">
+        ${tokenField(req)}
+        <div class="form-group">
+          <label for="title">Title</label>
+          <input type="text" id="title" name="title" value="${escapeHtml(paste.title)}" required>
+        </div>
         
-        <div class="button-group" style="justify-content: center;">
-          <a href="/upload/video" class="button">Upload Video</a>
-          <a href="/upload/image" class="button">Upload Image</a>
-          <a href="/upload/paste" class="button">Upload Paste</a>
+        <div class="form-group">
+          <label for="language">Language</label>
+          <select id="language" name="language">${languageOptions(paste.language)}</select>
         </div>
-      </div>
-      
-      <section>
-        <h2 class="center-content">Recent Videos</h2>
-        ${latestVideos.length > 0 ? `
-          <div class="grid">
-            ${latestVideos.map(video => `
-              <div class="card" onclick="location.href='/video/${video.id}'">
-                ${video.thumbnail ? `<img src="/${video.thumbnail}" alt="${video.title}" loading="lazy" />` : ''}
-                <div class="card-content">
-                  <h3>${video.title}</h3>
-                  <p>${video.description.substring(0, 50)}${video.description.length > 50 ? '...' : ''}</p>
-                  <p class="timestamp">${new Date(video.createdAt).toLocaleString()}</p>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-          <div class="center-content" style="margin: 1rem 0;">
-            <a href="/videos" class="button">View All Videos</a>
-          </div>
-        ` : '<p class="center-content">No videos uploaded yet.</p>'}
-      </section>
-      
-      <section>
-        <h2 class="center-content">Recent Images</h2>
-        ${latestImages.length > 0 ? `
-          <div class="grid">
-            ${latestImages.map(image => `
-              <div class="card" onclick="location.href='/image/${image.filename}'">
-                <img src="/${image.filename}" alt="Uploaded image" loading="lazy" />
-                <div class="card-content">
-                  <p class="timestamp">${new Date(image.uploadedAt).toLocaleString()}</p>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-          <div class="center-content" style="margin: 1rem 0;">
-            <a href="/images" class="button">View All Images</a>
-          </div>
-        ` : '<p class="center-content">No images uploaded yet.</p>'}
-      </section>
-      
-      <section>
-        <h2 class="center-content">Recent Pastes</h2>
-        ${latestPastes.length > 0 ? `
-          <div class="grid">
-            ${latestPastes.map(paste => `
-              <div class="card" onclick="location.href='/paste/${paste.id}'">
-                <div class="card-content">
-                  <h3>${paste.title}</h3>
-                  <p>${paste.code.substring(0, 50)}${paste.code.length > 50 ? '...' : ''}</p>
-                  <p class="timestamp">${new Date(paste.createdAt).toLocaleString()}</p>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-          <div class="center-content" style="margin: 1rem 0;">
-            <a href="/pastes" class="button">View All Pastes</a>
-          </div>
-        ` : '<p class="center-content">No pastes uploaded yet.</p>'}
-      </section>
+        
+        <div class="form-group">
+          <label for="code">Code</label>
+          <textarea id="code" name="code" required>${escapeHtml(paste.code)}</textarea>
+        </div>
+        
+        ${tagsField(paste)}
+        
+        <p class="timestamp">Changing the title, language or code saves a new revision; earlier revisions stay in the history.</p>
+        
+        ${visibilityFields(paste)}
+        
+        <button type="submit" class="button">Save Changes</button>
+      </form>
     </section>
   `;
   
-  res.send(renderPage('Home', content, req, false));
+  res.send(renderPage('Edit Paste', content, req));
 });
 
-// Settings routes
-app.post("/settings/toggle-theme", (req, res) => {
-  const data = loadData();
-  data.settings = data.settings || {};
-  data.settings.darkMode = !data.settings.darkMode;
-  saveData(data);
-  res.sendStatus(200);
+app.post("/paste/:id/edit", (req, res) => {
+  const paste = findPaste(req.params.id);
+  const { title, code, language } = req.body;
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (!canManage(req, paste)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot edit this paste.</p>', req));
+  }
+  if (!title || !code) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Title and code are required.</p>', req));
+  }
+  
+  const access = readVisibility(req.body, paste);
+  if (access.error) {
+    return res.status(400).send(renderPage('Error', `<p class="error">${access.error}</p>`, req));
+  }
+  
+  db.pastes.update(paste.id, { title, code, language: resolveLanguage(language, code), ...access }, req.user?.id);
+  db.tags.set('paste', paste.id, parseTags(req.body.tags));
+  res.redirect(withToken(req, `/paste/${paste.id}`));
 });
 
-// Video routes
-app.get("/videos", (req, res) => {
-  const data = loadData();
-  const videos = data.videos.reverse();
+app.post("/paste/:id/delete", (req, res) => {
+  const paste = findPaste(req.params.id);
+  
+  if (!paste) return sendPasteMissing(req, res);
+  if (!canManage(req, paste)) {
+    return res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot delete this paste.</p>', req));
+  }
+  
+  deleteContent('paste', paste.id);
+  res.send(renderPage('Deleted', '<p class="success">Paste deleted.</p><a href="/pastes" class="button">Back to Pastes</a>', req, false));
+});
+
+// Tag routes
+app.get("/tag/:name", (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const { videos, images, pastes } = db.tags.items(name);
+  const total = videos.length + images.length + pastes.length;
   
   const content = `
     <section>
-      <h2 class="center-content">All Videos</h2>
-      <div class="center-content" style="margin-bottom: 1rem;">
-        <a href="/upload/video" class="button">Upload New Video</a>
-      </div>
+      <h2 class="center-content">#${escapeHtml(name)}</h2>
+      ${total === 0 ? '<p class="center-content">Nothing is tagged with this yet.</p>' : ''}
       
       ${videos.length > 0 ? `
-        <div class="grid">
-          ${videos.map(video => `
-            <div class="card" onclick="location.href='/video/${video.id}'">
-              ${video.thumbnail ? `<img src="/${video.thumbnail}" alt="${video.title}" loading="lazy" />` : ''}
-              <div class="card-content">
-                <h3>${video.title}</h3>
-                <p>${video.description.substring(0, 50)}${video.description.length > 50 ? '...' : ''}</p>
-                <p class="timestamp">${new Date(video.createdAt).toLocaleString()}</p>
-              </div>
-            </div>
-          `).join('')}
-        </div>
-      ` : '<p class="center-content">No videos uploaded yet.</p>'}
+        <section>
+          <h2 class="center-content">Videos (${videos.length})</h2>
+          <div class="grid">${videos.map(videoCard).join('')}</div>
+        </section>
+      ` : ''}
+      
+      ${images.length > 0 ? `
+        <section>
+          <h2 class="center-content">Images (${images.length})</h2>
+          <div class="grid">${images.map(imageCard).join('')}</div>
+        </section>
+      ` : ''}
+      
+      ${pastes.length > 0 ? `
+        <section>
+          <h2 class="center-content">Pastes (${pastes.length})</h2>
+          <div class="grid">${pastes.map(pasteCard).join('')}</div>
+        </section>
+      ` : ''}
     </section>
   `;
   
-  res.send(renderPage('Videos', content, req));
+  res.status(total === 0 ? 404 : 200).send(renderPage(`#${escapeHtml(name)}`, content, req));
 });
 
-app.get("/upload/video", (req, res) => {
+// Album routes
+function renderAlbumForm(req, album = null, error = '') {
   const content = `
     <section>
-      <h2 class="center-content">Upload Video</h2>
-      <form class="form-container" action="/upload/video" method="POST" enctype="multipart/form-data">
+      <h2 class="center-content">${album ? 'Edit Album' : 'New Album'}</h2>
+      ${error ? `<p class="error">${error}</p>` : ''}
+      <form class="form-container" method="POST" action="${album ? `/album/${album.id}/edit` : '/albums/new'}">
         <div class="form-group">
           <label for="title">Title</label>
-          <input type="text" id="title" name="title" required>
+          <input type="text" id="title" name="title" value="${album ? escapeHtml(album.title) : ''}" required>
         </div>
         
         <div class="form-group">
           <label for="description">Description</label>
-          <textarea id="description" name="description" required></textarea>
-        </div>
-        
-        <div class="form-group">
-          <label for="video">Video File (MP4, WEBM, MOV - max 100MB)</label>
-          <input type="file" id="video" name="video" accept="video/mp4,video/webm,video/quicktime" required>
-        </div>
-        
-        <div class="form-group">
-          <label for="thumbnail">Thumbnail Image (Optional)</label>
-          <input type="file" id="thumbnail" name="thumbnail" accept="image/*">
+          <textarea id="description" name="description">${album ? escapeHtml(album.description) : ''}</textarea>
         </div>
         
-        <button type="submit" class="button">Upload Video</button>
+        <button type="submit" class="button">${album ? 'Save Changes' : 'Create Album'}</button>
       </form>
     </section>
   `;
   
-  res.send(renderPage('Upload Video', content, req));
+  return renderPage(album ? 'Edit Album' : 'New Album', content, req);
+}
+
+// Looks up an album the current user owns, answering 404 or 403 otherwise
+function findOwnAlbum(req, res) {
+  const album = db.albums.get(req.params.id);
+  
+  if (!album) {
+    res.status(404).send(renderPage('Not Found', '<p class="error">Album not found.</p>', req));
+    return null;
+  }
+  if (!ownsAlbum(req, album)) {
+    res.status(403).send(renderPage('Forbidden', '<p class="error">You cannot change this album.</p>', req));
+    return null;
+  }
+  return album;
+}
+
+app.get("/albums/new", requireLogin, (req, res) => {
+  res.send(renderAlbumForm(req));
 });
 
-app.post("/upload/video", (req, res, next) => {
-  videoUpload.fields([
-    { name: 'video', maxCount: 1 },
-    { name: 'thumbnail', maxCount: 1 }
-  ])(req, res, (err) => {
-    if (err) return next(err);
-    
-    const { title, description } = req.body;
-    const videoFile = req.files["video"]?.[0];
-    
-    if (!videoFile) {
-      return res.status(400).send(renderPage('Error', '<p class="error">Video file is required.</p>', req));
-    }
-    
-    const data = loadData();
-    const id = Date.now().toString();
-    const thumbFile = req.files["thumbnail"]?.[0];
-    
-    data.videos.push({
-      id,
-      title,
-      description,
-      video: videoFile.filename,
-      thumbnail: thumbFile ? thumbFile.filename : null,
-      comments: [],
-      createdAt: new Date().toISOString()
-    });
-    
-    saveData(data);
-    res.send(renderPage('Success', '<p class="success">Video uploaded successfully!</p><a href="/video/' + id + '" class="button">View Video</a>', req));
-  });
+app.post("/albums/new", requireLogin, (req, res) => {
+  const { title, description } = req.body;
+  
+  if (!title) return res.status(400).send(renderAlbumForm(req, null, 'Title is required.'));
+  
+  const album = db.albums.create({ title, description: description || '', ownerId: req.user.id });
+  res.redirect(`/album/${album.id}`);
 });
 
-app.get("/video/:id", (req, res) => {
-  const data = loadData();
-  const video = data.videos.find(v => v.id === req.params.id);
+// Adds an item from its own page to one of the user's albums
+app.post("/albums/add", requireLogin, (req, res) => {
+  const { type, key, albumId } = req.body;
+  const item = type === 'video' ? db.videos.get(key) : type === 'image' ? db.images.get(key) : null;
   
-  if (!video) {
-    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
+  if (!item || !canView(req, type, item)) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Item not found.</p>', req));
+  }
+  if (!addToAlbum(req, albumId, type, key)) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Choose one of your albums.</p>', req));
+  }
+  
+  res.redirect(`/album/${albumId}`);
+});
+
+app.get("/album/:id", (req, res) => {
+  const album = db.albums.get(req.params.id);
+  
+  if (!album) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">Album not found.</p>', req));
   }
   
-  const comments = video.comments.map(c => `
-    <div class="comment">
-      <div class="comment-author">${c.name}</div>
-      <div class="comment-text">${c.text}</div>
-      <div class="comment-date">${new Date(c.createdAt).toLocaleString()}</div>
+  const owner = ownsAlbum(req, album);
+  const items = albumItems(req, album);
+  const itemControls = ({ type, key }) => `
+    <div class="album-item-controls">
+      ${[['-1', 'Move earlier', '&uarr;'], ['1', 'Move later', '&darr;']].map(([direction, label, arrow]) => `
+        <form method="POST" action="/album/${album.id}/items/move" class="inline-form">
+          <input type="hidden" name="type" value="${type}">
+          <input type="hidden" name="key" value="${escapeHtml(key)}">
+          <input type="hidden" name="direction" value="${direction}">
+          <button type="submit" class="button button-outline" title="${label}">${arrow}</button>
+        </form>
+      `).join('')}
+      <form method="POST" action="/album/${album.id}/items/remove" class="inline-form">
+        <input type="hidden" name="type" value="${type}">
+        <input type="hidden" name="key" value="${escapeHtml(key)}">
+        <button type="submit" class="button button-danger">Remove</button>
+      </form>
     </div>
-  `).join('');
+  `;
   
   const content = `
     <section>
       <div class="center-content">
-        <h2>${video.title}</h2>
-        <p>${video.description}</p>
+        <h2>${escapeHtml(album.title)}</h2>
+        ${album.description ? `<p>${escapeHtml(album.description)}</p>` : ''}
+        <p class="timestamp">Album by ${ownerLink(album)} &middot; ${items.length} item${items.length === 1 ? '' : 's'}</p>
       </div>
       
-      <div class="video-player">
-        <video controls>
-          <source src="/${video.video}" type="video/mp4">
-          Your browser does not support the video tag.
-        </video>
-      </div>
+      ${owner ? `
+        <div class="button-group" style="justify-content: center;">
+          <a href="/album/${album.id}/edit" class="button button-outline">Edit</a>
+          <form method="POST" action="/album/${album.id}/delete" class="inline-form" onsubmit="return confirm('Delete this album? Its images and videos are kept.')">
+            <button type="submit" class="button button-danger">Delete</button>
+          </form>
+        </div>
+      ` : ''}
       
-      <div class="comments">
-        <h3>Comments (${video.comments.length})</h3>
-        ${comments || '<p>No comments yet.</p>'}
-        
-        <form class="form-container" method="POST" action="/video/${video.id}/comment">
-          <div class="form-group">
-            <label for="name">Your Name</label>
-            <input type="text" id="name" name="name" required>
-          </div>
-          
-          <div class="form-group">
-            <label for="text">Your Comment</label>
-            <textarea id="text" name="text" required></textarea>
-          </div>
-          
-          <button type="submit" class="button">Post Comment</button>
-        </form>
-      </div>
+      ${items.length > 0 ? `
+        <div class="grid">
+          ${items.map(ref => `
+            <div>
+              ${ref.type === 'video' ? videoCard(ref.item) : imageCard(ref.item)}
+              ${owner ? itemControls(ref) : ''}
+            </div>
+          `).join('')}
+        </div>
+      ` : '<p class="center-content">This album is empty.</p>'}
     </section>
   `;
   
-  res.send(renderPage(video.title, content, req));
+  res.send(renderPage(escapeHtml(album.title), content, req));
+});
+
+app.get("/album/:id/edit", requireLogin, (req, res) => {
+  const album = findOwnAlbum(req, res);
+  if (album) res.send(renderAlbumForm(req, album));
 });
 
-app.post("/video/:id/comment", (req, res) => {
-  const { name, text } = req.body;
-  const data = loadData();
-  const video = data.videos.find(v => v.id === req.params.id);
+app.post("/album/:id/edit", requireLogin, (req, res) => {
+  const album = findOwnAlbum(req, res);
+  if (!album) return;
   
-  if (!video) {
-    return res.status(404).send(renderPage('Not Found', '<p class="error">Video not found.</p>', req));
-  }
+  const { title, description } = req.body;
+  if (!title) return res.status(400).send(renderAlbumForm(req, album, 'Title is required.'));
   
-  if (!name || !text) {
-    return res.status(400).send(renderPage('Error', '<p class="error">Name and comment text are required.</p>', req));
-  }
+  db.albums.update(album.id, { title, description: description || '' });
+  res.redirect(`/album/${album.id}`);
+});
+
+app.post("/album/:id/delete", requireLogin, (req, res) => {
+  const album = findOwnAlbum(req, res);
+  if (!album) return;
   
-  video.comments.push({
-    name,
-    text,
-    createdAt: new Date().toISOString()
-  });
+  db.albums.delete(album.id);
+  res.redirect(`/user/${encodeURIComponent(req.user.username)}`);
+});
+
+app.post("/album/:id/items/move", requireLogin, (req, res) => {
+  const album = findOwnAlbum(req, res);
+  if (!album) return;
   
-  saveData(data);
-  res.redirect("/video/" + video.id);
+  const { type, key, direction } = req.body;
+  db.albums.moveItem(album.id, type, key, direction === '-1' ? -1 : 1);
+  res.redirect(`/album/${album.id}`);
 });
 
-// Image routes
-app.get("/images", (req, res) => {
-  const data = loadData();
-  const images = data.images.reverse();
+app.post("/album/:id/items/remove", requireLogin, (req, res) => {
+  const album = findOwnAlbum(req, res);
+  if (!album) return;
+  
+  db.albums.removeItem(album.id, req.body.type, req.body.key);
+  res.redirect(`/album/${album.id}`);
+});
+
+// Admin routes
+// Sorts every file in uploads/ by the record that uses it. Files no record
+// points at are orphans, e.g. left behind by a crash mid-upload.
+async function scanUploads() {
+  const kinds = new Map(db.admin.uploadFiles().map(f => [f.filename, f.kind]));
+  const entries = await fs.promises.readdir(uploadDir, { withFileTypes: true });
+  const files = [];
+  
+  for (const entry of entries) {
+    // Dotfiles and the placeholder that keeps uploads/ in git are not uploads
+    if (!entry.isFile() || entry.name.startsWith('.') || entry.name === 'placeholder') continue;
+    const stats = await fs.promises.stat(path.join(uploadDir, entry.name));
+    files.push({
+      filename: entry.name,
+      kind: kinds.get(entry.name) || 'orphan',
+      size: stats.size,
+      modifiedAt: stats.mtime,
+      recent: Date.now() - stats.mtimeMs < ORPHAN_GRACE_MS
+    });
+  }
+  return files;
+}
+
+function sumSizes(files, kind) {
+  return files.filter(f => f.kind === kind).reduce((total, f) => total + f.size, 0);
+}
+
+app.get("/admin", requireAdmin, async (req, res) => {
+  const counts = db.admin.counts();
+  const files = await scanUploads();
+  const databaseSize = ['', '-wal'].reduce((total, suffix) => {
+    try {
+      return total + fs.statSync(db.dbFile + suffix).size;
+    } catch {
+      return total;
+    }
+  }, 0);
+  const orphans = files.filter(f => f.kind === 'orphan');
+  
+  const rows = [
+    ['Videos', counts.videos, sumSizes(files, 'video') + sumSizes(files, 'thumbnail')],
+    ['Images', counts.images, sumSizes(files, 'image')],
+    ['Resized variants', files.filter(f => f.kind === 'variant').length, sumSizes(files, 'variant')],
+    ['Pastes (all revisions)', counts.pastes, db.admin.pasteBytes()],
+    ['Orphaned files', orphans.length, sumSizes(files, 'orphan')]
+  ];
   
   const content = `
     <section>
-      <h2 class="center-content">All Images</h2>
-      <div class="center-content" style="margin-bottom: 1rem;">
-        <a href="/upload/image" class="button">Upload New Image</a>
+      <h2 class="center-content">Admin</h2>
+      <div class="button-group" style="justify-content: center;">
+        <a href="/admin/moderation" class="button">Moderation</a>
+        <a href="/admin/orphans" class="button button-outline">Orphaned Files</a>
+        <a href="/admin/audit" class="button button-outline">Audit Log</a>
+        <a href="/admin/webhooks" class="button button-outline">Webhooks</a>
       </div>
       
-      ${images.length > 0 ? `
-        <div class="grid">
-          ${images.map(image => `
-            <div class="card" onclick="location.href='/image/${image.filename}'">
-              <img src="/${image.filename}" alt="Uploaded image" loading="lazy" />
-              <div class="card-content">
-                <p class="timestamp">${new Date(image.uploadedAt).toLocaleString()}</p>
-              </div>
-            </div>
-          `).join('')}
-        </div>
-      ` : '<p class="center-content">No images uploaded yet.</p>'}
+      <h3>Content and storage</h3>
+      <table class="admin-table">
+        <tr><th>Type</th><th class="number">Items</th><th class="number">Storage</th></tr>
+        ${rows.map(([label, count, bytes]) => `
+          <tr><td>${label}</td><td class="number">${count}</td><td class="number">${formatBytes(bytes)}</td></tr>
+        `).join('')}
+        <tr>
+          <th>uploads/ total</th>
+          <th class="number">${files.length}</th>
+          <th class="number">${formatBytes(files.reduce((total, f) => total + f.size, 0))}</th>
+        </tr>
+        <tr><td>Database file</td><td class="number"></td><td class="number">${formatBytes(databaseSize)}</td></tr>
+      </table>
+      
+      <h3>Community</h3>
+      <table class="admin-table">
+        <tr><td>Users</td><td class="number">${counts.users}</td></tr>
+        <tr><td>Comments</td><td class="number">${counts.comments}</td></tr>
+        <tr><td>Albums</td><td class="number">${counts.albums}</td></tr>
+        <tr><td>Tags</td><td class="number">${counts.tags}</td></tr>
+        <tr><td>Held comments</td><td class="number">${db.comments.listByStatus('held').length}</td></tr>
+        <tr><td>Reported items</td><td class="number">${db.reports.openCount()}</td></tr>
+      </table>
+      
+      <h3>Background jobs</h3>
+      <table class="admin-table">
+        ${Object.entries(db.jobs.counts()).map(([status, count]) => `
+          <tr><td>${status[0].toUpperCase() + status.slice(1)}</td><td class="number">${count}</td></tr>
+        `).join('')}
+      </table>
     </section>
   `;
   
-  res.send(renderPage('Images', content, req));
+  res.send(renderPage('Admin', content, req));
 });
 
-app.get("/upload/image", (req, res) => {
+app.get("/admin/orphans", requireAdmin, async (req, res) => {
+  const orphans = (await scanUploads()).filter(f => f.kind === 'orphan');
+  const removable = orphans.filter(f => !f.recent);
+  
   const content = `
     <section>
-      <h2 class="center-content">Upload Image</h2>
-      <form class="form-container" action="/upload/image" method="POST" enctype="multipart/form-data">
-        <div class="form-group">
-          <label for="image">Image File (JPEG, PNG, GIF - max 20MB)</label>
-          <input type="file" id="image" name="image" accept="image/*" required>
-        </div>
-        
-        <button type="submit" class="button">Upload Image</button>
-      </form>
+      <h2 class="center-content">Orphaned Files (${orphans.length})</h2>
+      <p class="center-content">
+        Files in uploads/ that no video or image uses. Files changed in the last
+        ${ORPHAN_GRACE_MS / 60000} minutes may belong to an upload in progress and cannot be removed yet.
+      </p>
+      
+      ${orphans.length > 0 ? `
+        <form method="POST" action="/admin/orphans/delete" onsubmit="return confirm('Delete the selected files permanently?')">
+          <table class="admin-table">
+            <tr>
+              <th><input type="checkbox" aria-label="Select all" onclick="document.querySelectorAll('input[name=filenames]').forEach(box => box.checked = this.checked)"></th>
+              <th>File</th>
+              <th class="number">Size</th>
+              <th>Modified</th>
+            </tr>
+            ${orphans.map(f => `
+              <tr>
+                <td>${f.recent ? '' : `<input type="checkbox" name="filenames" value="${escapeHtml(f.filename)}" aria-label="Select ${escapeHtml(f.filename)}">`}</td>
+                <td>${escapeHtml(f.filename)}${f.recent ? ' <span class="badge">Recent</span>' : ''}</td>
+                <td class="number">${formatBytes(f.size)}</td>
+                <td>${f.modifiedAt.toLocaleString()}</td>
+              </tr>
+            `).join('')}
+          </table>
+          ${removable.length > 0 ? '<button type="submit" class="button button-danger">Delete Selected</button>' : ''}
+        </form>
+      ` : '<p class="center-content">No orphaned files.</p>'}
     </section>
   `;
   
-  res.send(renderPage('Upload Image', content, req));
+  res.send(renderPage('Orphaned Files', content, req));
 });
 
-app.post("/upload/image", (req, res, next) => {
-  imageUpload.single('image')(req, res, (err) => {
-    if (err) return next(err);
-    
-    if (!req.file) {
-      return res.status(400).send(renderPage('Error', '<p class="error">Image file is required.</p>', req));
-    }
-    
-    const data = loadData();
-    data.images.push({
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      size: req.file.size,
-      uploadedAt: new Date().toISOString()
+// The scan runs again so only files that are still orphans get deleted
+app.post("/admin/orphans/delete", requireAdmin, async (req, res) => {
+  const selected = new Set([].concat(req.body.filenames || []));
+  const orphans = (await scanUploads()).filter(f => f.kind === 'orphan' && !f.recent && selected.has(f.filename));
+  
+  for (const file of orphans) {
+    db.storedFiles.delete(file.filename);
+    await fs.promises.unlink(path.join(uploadDir, file.filename)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
     });
-    
-    saveData(data);
-    res.send(renderPage('Success', '<p class="success">Image uploaded successfully!</p><a href="/image/' + req.file.filename + '" class="button">View Image</a>', req));
-  });
+  }
+  if (orphans.length > 0) {
+    db.audit.log({
+      userId: req.user.id,
+      action: 'orphan-cleanup',
+      details: `${orphans.length} files, ${formatBytes(sumSizes(orphans, 'orphan'))}: ${orphans.map(f => f.filename).join(', ')}`
+    });
+  }
+  res.redirect('/admin/orphans');
 });
 
-app.get("/image/:filename", (req, res) => {
-  const data = loadData();
-  const image = data.images.find(img => img.filename === req.params.filename);
+app.post("/admin/bulk-delete", requireAdmin, (req, res) => {
+  const { type } = req.body;
+  const keys = [].concat(req.body.keys || []).map(String);
   
-  if (!image) {
-    return res.status(404).send(renderPage('Not Found', '<p class="error">Image not found.</p>', req));
+  if (!['video', 'image', 'paste'].includes(type)) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Unknown content type.</p>', req));
   }
   
+  const found = keys.filter(key => moderationTarget(type, key));
+  for (const key of found) deleteContent(type, key);
+  if (found.length > 0) {
+    db.audit.log({ userId: req.user.id, action: 'bulk-delete', type, details: `${found.length} ${type}s: ${found.join(', ')}` });
+  }
+  res.redirect(safeRedirect(req.body.next));
+});
+
+const AUDIT_LABELS = {
+  approve: 'Approved',
+  hide: 'Hid',
+  delete: 'Deleted',
+  'bulk-delete': 'Bulk deleted',
+  'orphan-cleanup': 'Removed orphaned files',
+  'spam-filter': 'Changed the spam filter',
+  'webhook-create': 'Added a webhook',
+  'webhook-delete': 'Removed a webhook'
+};
+
+app.get("/admin/audit", requireAdmin, (req, res) => {
+  const paging = paginate(db.audit, readPaging(req.query, db.audit));
+  
   const content = `
     <section>
-      <div class="center-content">
-        <h2>Image</h2>
+      <h2 class="center-content">Audit Log (${paging.total})</h2>
+      ${paging.items.length > 0 ? `
+        <table class="admin-table">
+          <tr><th>When</th><th>Admin</th><th>Action</th><th>Item</th><th>Details</th></tr>
+          ${paging.items.map(entry => `
+            <tr>
+              <td>${new Date(entry.createdAt).toLocaleString()}</td>
+              <td>${entry.user ? escapeHtml(entry.user) : 'deleted user'}</td>
+              <td>${AUDIT_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+              <td>${entry.type ? `${entry.type}${entry.key ? ` ${escapeHtml(entry.key)}` : ''}` : ''}</td>
+              <td>${escapeHtml(entry.details)}</td>
+            </tr>
+          `).join('')}
+        </table>
+        ${pageLinks('/admin/audit', paging)}
+      ` : '<p class="center-content">No admin actions yet.</p>'}
+    </section>
+  `;
+  
+  res.send(renderPage('Audit Log', content, req));
+});
+
+// Webhook subscriptions. The secret is only shown when a webhook is added.
+function deliveryStatus(delivery) {
+  if (!delivery) return 'Never delivered';
+  const outcome = delivery.error ? `<span class="error">${escapeHtml(delivery.error)}</span>` : `${delivery.statusCode} OK`;
+  return `${outcome} &middot; ${new Date(delivery.createdAt).toLocaleString()}`;
+}
+
+function webhookForm() {
+  return `
+    <form class="form-container" method="POST" action="/admin/webhooks">
+      <div class="form-group">
+        <label for="url">Payload URL</label>
+        <input type="url" id="url" name="url" placeholder="https://example.com/hooks/gallery" required>
       </div>
       
-      <div style="max-width: 100%; overflow: hidden; border-radius: 0.5rem; margin: 1rem 0; display: flex; justify-content: center;">
-        <img src="/${image.filename}" alt="Uploaded image" style="max-width: 100%; max-height: 80vh; height: auto; display: block;">
+      <div class="form-group">
+        <label>Events</label>
+        ${Object.entries(webhooks.EVENTS).map(([event, label]) => `
+          <label class="checkbox-label">
+            <input type="checkbox" name="events" value="${event}" checked>
+            ${label} <code>${event}</code>
+          </label>
+        `).join('')}
       </div>
       
+      <button type="submit" class="button">Add Webhook</button>
+    </form>
+  `;
+}
+
+function findWebhook(req, res) {
+  const webhook = db.webhooks.get(Number(req.params.id));
+  if (!webhook) res.status(404).send(renderPage('Not Found', '<p class="error">Webhook not found.</p>', req));
+  return webhook;
+}
+
+app.get("/admin/webhooks", requireAdmin, (req, res) => {
+  const list = db.webhooks.list();
+  
+  const content = `
+    <section>
+      <h2 class="center-content">Webhooks</h2>
+      <p class="center-content">
+        Each event is POSTed as JSON. The <code>X-Gallery-Signature</code> header holds
+        <code>sha256=</code> and the HMAC-SHA256, keyed with the webhook's secret, of the
+        <code>X-Gallery-Timestamp</code> header (Unix seconds), a dot and the body. Refuse
+        deliveries whose timestamp is more than a few minutes old.
+        Failed deliveries are retried with increasing delays for about three hours.
+      </p>
+      ${list.length > 0 ? `
+        <table class="admin-table">
+          <tr><th>URL</th><th>Events</th><th>Last delivery</th><th></th></tr>
+          ${list.map(webhook => `
+            <tr>
+              <td><a href="/admin/webhooks/${webhook.id}">${escapeHtml(webhook.url)}</a>${webhook.active ? '' : ' <span class="badge">Paused</span>'}</td>
+              <td>${webhook.events.map(escapeHtml).join(', ')}</td>
+              <td>${webhook.lastDeliveryAt ? deliveryStatus({ statusCode: webhook.lastStatus, error: webhook.lastError, createdAt: webhook.lastDeliveryAt }) : 'Never delivered'}</td>
+              <td><a href="/admin/webhooks/${webhook.id}">Deliveries</a></td>
+            </tr>
+          `).join('')}
+        </table>
+      ` : '<p class="center-content">No webhooks yet.</p>'}
+      
+      <h3>Add a webhook</h3>
+      ${webhookForm()}
+    </section>
+  `;
+  
+  res.send(renderPage('Webhooks', content, req));
+});
+
+app.post("/admin/webhooks", requireAdmin, (req, res) => {
+  const events = [].concat(req.body.events || []).filter(event => webhooks.EVENTS[event]);
+  let url;
+  try {
+    url = new URL(String(req.body.url || ''));
+  } catch {
+    url = null;
+  }
+  
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return res.status(400).send(renderPage('Error', '<p class="error">The payload URL must be an http or https address.</p>', req));
+  }
+  if (!events.length) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Pick at least one event.</p>', req));
+  }
+  
+  const webhook = db.webhooks.create({ url: url.href, secret: webhooks.createSecret(), events, createdBy: req.user.id });
+  db.audit.log({ userId: req.user.id, action: 'webhook-create', details: `${webhook.url} (${events.join(', ')})` });
+  
+  const content = `
+    <section>
+      <p class="success">Webhook added. Copy its secret now; it is not shown again.</p>
       <div class="paste-container">
-        <p><strong>Original name:</strong> ${image.originalName}</p>
-        <p><strong>Size:</strong> ${(image.size / 1024).toFixed(2)} KB</p>
-        <p><strong>Uploaded:</strong> ${new Date(image.uploadedAt).toLocaleString()}</p>
+        <p><strong>URL:</strong> ${escapeHtml(webhook.url)}</p>
+        <p><strong>Secret:</strong> <code>${webhook.secret}</code></p>
       </div>
+      <a href="/admin/webhooks/${webhook.id}" class="button">View Webhook</a>
     </section>
   `;
-  
-  res.send(renderPage('Image', content, req));
+  res.send(renderPage('Webhook Added', content, req, false));
 });
 
-// Paste routes
-app.get("/pastes", (req, res) => {
-  const data = loadData();
-  const pastes = data.pastes.reverse();
+app.get("/admin/webhooks/:id", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  const deliveries = db.webhooks.deliveries(webhook.id);
   
   const content = `
     <section>
-      <h2 class="center-content">All Pastes</h2>
-      <div class="center-content" style="margin-bottom: 1rem;">
-        <a href="/upload/paste" class="button">Create New Paste</a>
+      <h2 class="center-content">${escapeHtml(webhook.url)}</h2>
+      <p class="center-content">
+        ${webhook.active ? 'Active' : 'Paused'} &middot; ${webhook.events.map(escapeHtml).join(', ')}
+        &middot; added ${new Date(webhook.createdAt).toLocaleString()}
+      </p>
+      <div class="button-group" style="justify-content: center;">
+        <form method="POST" action="/admin/webhooks/${webhook.id}/test" class="inline-form">
+          <button type="submit" class="button">Send Test Event</button>
+        </form>
+        <form method="POST" action="/admin/webhooks/${webhook.id}/${webhook.active ? 'pause' : 'resume'}" class="inline-form">
+          <button type="submit" class="button button-outline">${webhook.active ? 'Pause' : 'Resume'}</button>
+        </form>
+        <form method="POST" action="/admin/webhooks/${webhook.id}/delete" class="inline-form" onsubmit="return confirm('Remove this webhook and its delivery log?')">
+          <button type="submit" class="button button-danger">Remove</button>
+        </form>
       </div>
       
-      ${pastes.length > 0 ? `
-        <div class="grid">
-          ${pastes.map(paste => `
-            <div class="card" onclick="location.href='/paste/${paste.id}'">
-              <div class="card-content">
-                <h3>${paste.title}</h3>
-                <p>${paste.code.substring(0, 50)}${paste.code.length > 50 ? '...' : ''}</p>
-                <p class="timestamp">${new Date(paste.createdAt).toLocaleString()}</p>
-              </div>
-            </div>
+      <h3>Recent deliveries</h3>
+      ${deliveries.length > 0 ? `
+        <table class="admin-table">
+          <tr><th>When</th><th>Event</th><th>Delivery</th><th class="number">Attempt</th><th>Result</th><th class="number">Time</th></tr>
+          ${deliveries.map(delivery => `
+            <tr>
+              <td>${new Date(delivery.createdAt).toLocaleString()}</td>
+              <td><code>${escapeHtml(delivery.event)}</code></td>
+              <td><code>${delivery.deliveryId.slice(0, 8)}</code></td>
+              <td class="number">${delivery.attempt}</td>
+              <td>${delivery.error ? `<span class="error">${escapeHtml(delivery.error)}</span>` : `${delivery.statusCode} OK`}</td>
+              <td class="number">${delivery.durationMs} ms</td>
+            </tr>
           `).join('')}
-        </div>
-      ` : '<p class="center-content">No pastes created yet.</p>'}
+        </table>
+      ` : '<p class="center-content">Nothing delivered yet.</p>'}
     </section>
   `;
   
-  res.send(renderPage('Pastes', content, req));
+  res.send(renderPage('Webhook', content, req));
 });
 
-app.get("/upload/paste", (req, res) => {
+app.post("/admin/webhooks/:id/test", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  
+  dispatcher.emit('ping', { webhook: { id: webhook.id, events: webhook.events } }, { webhookId: webhook.id });
+  res.redirect(`/admin/webhooks/${webhook.id}`);
+});
+
+for (const [action, active] of [['pause', false], ['resume', true]]) {
+  app.post(`/admin/webhooks/:id/${action}`, requireAdmin, (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    
+    db.webhooks.setActive(webhook.id, active);
+    res.redirect(`/admin/webhooks/${webhook.id}`);
+  });
+}
+
+app.post("/admin/webhooks/:id/delete", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  
+  db.webhooks.delete(webhook.id);
+  db.audit.log({ userId: req.user.id, action: 'webhook-delete', details: webhook.url });
+  res.redirect('/admin/webhooks');
+});
+
+// Report and moderation routes
+const MODERATION_TYPES = ['video', 'image', 'paste', 'comment'];
+
+function moderationTarget(type, key) {
+  if (!MODERATION_TYPES.includes(type)) return null;
+  return (type === 'comment' ? db.comments.get(Number(key)) : lookups[type](key)) || null;
+}
+
+// Comments can be reported by anyone who can see them and the item they are on
+function canReport(req, type, item) {
+  if (type !== 'comment') return canView(req, type, item);
+  const target = lookups[item.targetType](item.targetKey);
+  return Boolean(target && canView(req, item.targetType, target) && visibleComments(req, [item]).length);
+}
+
+function findReportTarget(req, res) {
+  const { type, key } = req.params;
+  const item = moderationTarget(type, key);
+  
+  if (!item || !canReport(req, type, item)) {
+    res.status(404).send(renderPage('Not Found', '<p class="error">There is nothing to report here.</p>', req));
+    return null;
+  }
+  return item;
+}
+
+function reportTargetUrl(type, item) {
+  return type === 'comment' ? commentUrl(item) : itemPath(type, itemKey(type, item));
+}
+
+// Deletes a video, image, paste or comment, along with any stored files
+function deleteContent(type, key) {
+  if (type === 'video') {
+    const video = db.videos.delete(key);
+    if (video) fileStore.release(...videoFiles(video));
+    if (video) dispatcher.emit('video.deleted', { video: serializeVideo(video) });
+  } else if (type === 'image') {
+    const image = db.images.delete(key);
+    if (image) fileStore.release(image.file);
+    if (image) dispatcher.emit('image.deleted', { image: serializeImage(image) });
+  } else if (type === 'paste') {
+    const paste = db.pastes.get(key);
+    if (paste && db.pastes.delete(key)) dispatcher.emit('paste.deleted', { paste: serializePaste(paste) });
+  } else {
+    db.comments.delete(Number(key));
+  }
+}
+
+// Approving makes an item or comment visible again, hiding takes it out of
+// public view, and either way its open reports are resolved
+function moderate(type, key, action, user) {
+  db.audit.log({ userId: user.id, action, type, key });
+  if (action === 'delete') {
+    deleteContent(type, key);
+  } else if (type === 'comment') {
+    db.comments.setStatus(Number(key), action === 'approve' ? 'visible' : 'hidden');
+  } else {
+    db.moderation.setHidden(type, key, action === 'hide');
+  }
+  db.reports.resolve(type, key, action, user.id);
+}
+
+// The header link shows how many comments and reports wait for review
+function adminLink() {
+  const count = db.comments.listByStatus('held').length + db.reports.openCount();
+  return `<a href="/admin">Admin${count ? ` (${count})` : ''}</a>`;
+}
+
+app.get("/report/:type/:key", (req, res) => {
+  const item = findReportTarget(req, res);
+  if (!item) return;
+  
+  const { type, key } = req.params;
   const content = `
     <section>
-      <h2 class="center-content">Create New Paste</h2>
-      <form class="form-container" method="POST" action="/upload/paste">
+      <h2 class="center-content">Report ${type === 'comment' ? 'Comment' : escapeHtml(itemTitle(type, item))}</h2>
+      <form class="form-container" method="POST" action="/report/${type}/${encodeURIComponent(key)}">
         <div class="form-group">
-          <label for="title">Title</label>
-          <input type="text" id="title" name="title" required>
+          <label for="reason">Reason</label>
+          <select id="reason" name="reason">
+            ${Object.entries(REPORT_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
         </div>
         
         <div class="form-group">
-          <label for="code">Code</label>
-          <textarea id="code" name="code" required></textarea>
+          <label for="details">Details (optional)</label>
+          <textarea id="details" name="details" maxlength="1000"></textarea>
         </div>
         
-        <button type="submit" class="button">Create Paste</button>
+        <button type="submit" class="button">Send Report</button>
       </form>
     </section>
   `;
   
-  res.send(renderPage('Create Paste', content, req));
+  res.send(renderPage('Report', content, req));
 });
 
-app.post("/upload/paste", (req, res) => {
-  const { title, code } = req.body;
-  
-  if (!title || !code) {
-    return res.status(400).send(renderPage('Error', '<p class="error">Title and code are required.</p>', req));
-  }
+app.post("/report/:type/:key", rateLimit('report'), (req, res) => {
+  const item = findReportTarget(req, res);
+  if (!item) return;
   
-  const data = loadData();
-  const id = Date.now().toString();
-  
-  data.pastes.push({
-    id,
-    title,
-    code,
-    createdAt: new Date().toISOString()
+  const { type } = req.params;
+  db.reports.create({
+    type,
+    key: String(type === 'comment' ? item.id : itemKey(type, item)),
+    reason: REPORT_REASONS[req.body.reason] ? req.body.reason : 'other',
+    details: String(req.body.details || '').slice(0, 1000),
+    reporterId: req.user?.id ?? null,
+    ip: req.ip
   });
   
-  saveData(data);
-  res.send(renderPage('Success', '<p class="success">Paste created successfully!</p><a href="/paste/' + id + '" class="button">View Paste</a>', req));
+  res.send(renderPage('Reported', `<p class="success">Thanks for the report. An admin will review it.</p><a href="${reportTargetUrl(type, item)}" class="button">Go Back</a>`, req, false));
 });
 
-app.get("/paste/:id", (req, res) => {
-  const data = loadData();
-  const paste = data.pastes.find(p => p.id === req.params.id);
+// One queue entry: what the item is, why it is there and the admin's
+// options, given as labels keyed by action
+const MODERATION_LABELS = { video: 'Video', image: 'Image', paste: 'Paste', comment: 'Comment' };
+
+function moderationEntry(type, key, body, actions) {
+  const item = moderationTarget(type, key);
+  if (!item) return '';
   
-  if (!paste) {
-    return res.status(404).send(renderPage('Not Found', '<p class="error">Paste not found.</p>', req));
+  let summary;
+  if (type === 'comment') {
+    const target = lookups[item.targetType](item.targetKey);
+    summary = `
+      <h3>Comment by ${escapeHtml(item.name)} on <a href="${commentUrl(item)}">${target ? escapeHtml(itemTitle(item.targetType, target)) : 'a removed item'}</a></h3>
+      <p>${escapeHtml(item.text)}</p>
+    `;
+  } else {
+    summary = `<h3>${MODERATION_LABELS[type]} <a href="${itemPath(type, itemKey(type, item))}">${escapeHtml(itemTitle(type, item))}</a> by ${ownerLink(item)}</h3>`;
   }
   
-  const filename = `${paste.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${paste.id.slice(-6)}.txt`;
+  return `
+    <div class="search-result">
+      ${summary}
+      ${body}
+      <form method="POST" action="/admin/moderation/${type}/${encodeURIComponent(key)}" class="button-group">
+        ${Object.entries(actions).map(([action, label]) => `
+          <button type="submit" name="action" value="${action}" class="button ${action === 'delete' ? 'button-danger' : 'button-outline'}"${action === 'delete' ? ` onclick="return confirm('Delete this ${type} permanently?')"` : ''}>${label}</button>
+        `).join('')}
+      </form>
+    </div>
+  `;
+}
+
+app.get("/admin/moderation", requireAdmin, (req, res) => {
+  const held = db.comments.listByStatus('held');
+  const reported = db.reports.open();
+  const hidden = [
+    ...db.moderation.hiddenItems(),
+    ...db.comments.listByStatus('hidden').map(c => ({ type: 'comment', key: String(c.id) }))
+  ];
+  const filter = spamFilter();
   
   const content = `
     <section>
-      <div class="center-content">
-        <h2>${paste.title}</h2>
-        <p style="color: var(--text-secondary); margin-bottom: 1rem;">
-          Created: ${new Date(paste.createdAt).toLocaleString()}
-        </p>
-      </div>
+      <h2 class="center-content">Moderation</h2>
       
-      <div class="paste-container">
-        <pre>${escapeHtml(paste.code)}</pre>
-      </div>
+      <section>
+        <h2 class="center-content">Held Comments (${held.length})</h2>
+        ${held.length > 0 ? held.map(c => moderationEntry('comment', String(c.id), `
+          <p>Held by the spam filter: ${escapeHtml(c.heldReason || 'no reason recorded')}</p>
+        `, { approve: 'Approve', hide: 'Hide', delete: 'Delete' })).join('') : '<p class="center-content">No comments are waiting for review.</p>'}
+      </section>
       
-      <div class="center-content">
-        <div class="paste-actions">
-          <button onclick="copyToClipboard(\`${escapeHtml(paste.code.replace(/`/g, '\\`'))}\`)" class="button">
-            Copy to Clipboard
-          </button>
-          <button onclick="downloadPaste(\`${escapeHtml(paste.code.replace(/`/g, '\\`'))}\`, \`${filename}\`)" class="button button-outline">
-            Download Paste
-          </button>
-          <a href="/paste/${paste.id}/raw" target="_blank" class="button button-outline">
-            View Raw
-          </a>
-        </div>
-      </div>
+      <section>
+        <h2 class="center-content">Reports (${reported.length})</h2>
+        ${reported.length > 0 ? reported.map(({ type, key, reports }) => moderationEntry(type, key, `
+          <ul class="report-list">
+            ${reports.map(r => `
+              <li>
+                <strong>${REPORT_REASONS[r.reason] || escapeHtml(r.reason)}</strong>
+                ${r.details ? `: ${escapeHtml(r.details)}` : ''}
+                <span class="timestamp">&middot; ${r.reporter ? escapeHtml(r.reporter) : 'anonymous'}, ${new Date(r.createdAt).toLocaleString()}</span>
+              </li>
+            `).join('')}
+          </ul>
+        `, { approve: 'Dismiss', hide: 'Hide', delete: 'Delete' })).join('') : '<p class="center-content">No open reports.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Hidden (${hidden.length})</h2>
+        ${hidden.length > 0 ? hidden.map(({ type, key }) => moderationEntry(type, key, '', { approve: 'Restore', delete: 'Delete' })).join('') : '<p class="center-content">Nothing is hidden.</p>'}
+      </section>
+      
+      <section>
+        <h2 class="center-content">Spam Filter</h2>
+        <form class="form-container" method="POST" action="/admin/moderation/spam-filter">
+          <div class="form-group">
+            <label for="words">Blocked words and phrases (one per line). Comments containing any of them are held for review.</label>
+            <textarea id="words" name="words">${escapeHtml(filter.words.join('\n'))}</textarea>
+          </div>
+          
+          <div class="form-group">
+            <label for="maxLinks">Hold comments with more links than</label>
+            <input type="number" id="maxLinks" name="maxLinks" min="0" value="${filter.maxLinks}">
+          </div>
+          
+          <button type="submit" class="button">Save Filter</button>
+        </form>
+      </section>
     </section>
   `;
   
-  res.send(renderPage(paste.title, content, req));
+  res.send(renderPage('Moderation', content, req));
 });
 
-app.get("/paste/:id/raw", (req, res) => {
-  const data = loadData();
-  const paste = data.pastes.find(p => p.id === req.params.id);
+app.post("/admin/moderation/spam-filter", requireAdmin, (req, res) => {
+  const maxLinks = Number.parseInt(req.body.maxLinks, 10);
+  const filter = {
+    words: moderation.parseWords(req.body.words),
+    maxLinks: Number.isInteger(maxLinks) && maxLinks >= 0 ? maxLinks : moderation.DEFAULT_SPAM_FILTER.maxLinks
+  };
+  db.settings.set('spamFilter', filter);
+  db.audit.log({
+    userId: req.user.id,
+    action: 'spam-filter',
+    details: `${filter.words.length} blocked words, up to ${filter.maxLinks} links`
+  });
+  res.redirect('/admin/moderation');
+});
+
+app.post("/admin/moderation/:type/:key", requireAdmin, (req, res) => {
+  const { type, key } = req.params;
+  const { action } = req.body;
   
-  if (!paste) {
-    return res.status(404).send('Paste not found');
+  if (!moderationTarget(type, key)) {
+    return res.status(404).send(renderPage('Not Found', '<p class="error">This item no longer exists.</p>', req));
+  }
+  if (!['approve', 'hide', 'delete'].includes(action)) {
+    return res.status(400).send(renderPage('Error', '<p class="error">Unknown moderation action.</p>', req));
   }
   
-  res.type('text/plain');
-  res.send(paste.code);
+  moderate(type, key, action, req.user);
+  res.redirect('/admin/moderation');
+});
+
+// JSON API (v1)
+const api = express.Router();
+
+function apiError(res, status, message) {
+  return res.status(status).json({ error: { status, message } });
+}
+
+function apiPasteMissing(res, id) {
+  const { status, message } = pasteMissing(id);
+  return apiError(res, status, message);
+}
+
+// Items hidden by a moderator answer as if they did not exist
+function apiLocked(res, type, item) {
+  if (item.hidden) return apiError(res, 404, `${type[0].toUpperCase()}${type.slice(1)} not found.`);
+  return apiError(res, 401, `This ${type} is password protected.`);
+}
+
+function serializeVideo(video, withComments = false) {
+  const result = {
+    id: video.id,
+    title: video.title,
+    description: video.description,
+    url: `/video/${video.id}`,
+    file: mediaUrl(video.video),
+    download: mediaUrl(video.video, { download: true }),
+    thumbnail: video.thumbnail ? mediaUrl(video.thumbnail) : null,
+    thumbnailVariants: video.thumbnailVariants.map(serializeVariant),
+    sources: videoSources(video).map(source => ({ url: mediaUrl(source.file), type: source.type })),
+    transcodeStatus: video.transcodeStatus,
+    duration: video.duration,
+    width: video.width,
+    height: video.height,
+    size: video.size,
+    visibility: video.visibility,
+    owner: video.owner,
+    tags: video.tags,
+    commentCount: video.commentCount,
+    views: video.views,
+    likes: video.likes,
+    createdAt: video.createdAt
+  };
+  if (withComments) result.comments = video.comments.map(serializeComment);
+  return result;
+}
+
+function serializeComment(comment) {
+  return {
+    id: comment.id,
+    name: comment.name,
+    targetType: comment.targetType,
+    targetKey: comment.targetKey,
+    parentId: comment.parentId,
+    line: comment.line,
+    revision: comment.revision,
+    text: comment.text,
+    status: comment.status,
+    url: `/comment/${comment.id}`,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+  };
+}
+
+function serializeVariant(variant) {
+  return { url: mediaUrl(variant.filename), width: variant.width, height: variant.height, format: variant.format };
+}
+
+function serializeImage(image) {
+  return {
+    filename: image.filename,
+    title: imageTitle(image),
+    originalName: image.originalName,
+    size: image.size,
+    width: image.width,
+    height: image.height,
+    format: image.format,
+    camera: image.camera,
+    takenAt: image.takenAt,
+    variants: image.variants.map(serializeVariant),
+    visibility: image.visibility,
+    owner: image.owner,
+    tags: image.tags,
+    commentCount: image.commentCount,
+    views: image.views,
+    likes: image.likes,
+    url: `/image/${image.filename}`,
+    file: mediaUrl(image.file),
+    download: mediaUrl(image.file, { download: true }),
+    uploadedAt: image.uploadedAt
+  };
+}
+
+function serializePaste(paste, withCode = false) {
+  const result = {
+    id: paste.id,
+    title: paste.title,
+    language: paste.language,
+    revision: paste.revision,
+    forkedFrom: paste.forkedFrom,
+    expiresAt: paste.expiresAt,
+    burnAfterRead: paste.burnAfterRead,
+    visibility: paste.visibility,
+    owner: paste.owner,
+    tags: paste.tags,
+    commentCount: paste.commentCount,
+    views: paste.views,
+    likes: paste.likes,
+    url: `/paste/${paste.id}`,
+    raw: `/paste/${paste.id}/raw`,
+    createdAt: paste.createdAt
+  };
+  if (withCode) result.code = paste.code;
+  return result;
+}
+
+function serializeRevision(revision, withCode = false) {
+  const result = {
+    revision: revision.revision,
+    title: revision.title,
+    language: revision.language,
+    author: revision.author,
+    raw: `/paste/${revision.pasteId}/raw?rev=${revision.revision}`,
+    createdAt: revision.createdAt
+  };
+  if (withCode) result.code = revision.code;
+  return result;
+}
+
+api.get("/videos", (req, res) => {
+  const { items, ...paging } = paginate(db.videos, readPaging(req.query, db.videos));
+  res.json({ videos: items.map(v => serializeVideo(v)), ...paging });
+});
+
+api.get("/videos/:id", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  if (!video) return apiError(res, 404, 'Video not found.');
+  if (!canView(req, 'video', video)) return apiLocked(res, 'video', video);
+  res.json({ video: serializeVideo({ ...video, comments: visibleComments(req, video.comments) }, true) });
+});
+
+api.post("/videos", rateLimit('upload'), async (req, res) => {
+  await receiveFiles(videoFields, req, res);
+
+  const { title, description, uploadId } = req.body || {};
+  let thumbFile = req.files?.["thumbnail"]?.[0];
+  const access = readVisibility(req.body);
+  let videoFile = req.files?.["video"]?.[0];
+  let error = !title ? 'Title is required.' : access.error;
+
+  // Instead of a file, clients may name a finished chunked upload
+  if (!error && !videoFile && uploadId) {
+    const chunked = await claimChunkedUpload(req, uploadId);
+    videoFile = chunked.file;
+    error = chunked.error;
+  }
+  if (!error && !videoFile) error = 'Video file is required.';
+  if (!error && thumbFile) {
+    const thumbnail = await removeMetadata(thumbFile);
+    thumbFile = thumbnail.file;
+    error = thumbnail.error;
+  }
+
+  if (error) {
+    fileStore.release(videoFile?.filename, thumbFile?.filename);
+    return apiError(res, 400, error);
+  }
+
+  const video = addVideo({ title, description, tags: parseTags(req.body.tags), ...access }, videoFile, thumbFile, req.user);
+  res.status(201).json({ video: serializeVideo(video), manageToken: video.manageToken || undefined });
+});
+
+api.patch("/videos/:id", (req, res) => {
+  const video = db.videos.get(req.params.id);
+  const { title = video?.title, description = video?.description } = req.body || {};
+
+  if (!video) return apiError(res, 404, 'Video not found.');
+  if (!canManage(req, video)) return apiError(res, 403, 'You cannot edit this video.');
+  if (!title) return apiError(res, 400, 'Title is required.');
+
+  const access = readVisibility(req.body, video);
+  if (access.error) return apiError(res, 400, access.error);
+
+  db.videos.update(video.id, { title, description, ...access });
+  if (req.body?.tags !== undefined) db.tags.set('video', video.id, parseTags(req.body.tags));
+  res.json({ video: serializeVideo(db.videos.get(video.id)) });
+});
+
+api.delete("/videos/:id", (req, res) => {
+  const video = db.videos.get(req.params.id);
+
+  if (!video) return apiError(res, 404, 'Video not found.');
+  if (!canManage(req, video)) return apiError(res, 403, 'You cannot delete this video.');
+
+  deleteContent('video', video.id);
+  res.sendStatus(204);
+});
+
+// Comment endpoints for every content type. Returns the target, or null
+// after sending the error response.
+// The item a comment or like is for; burned pastes take neither
+function apiItemTarget(req, res, type) {
+  const key = type === 'image' ? req.params.filename : req.params.id;
+  const item = lookups[type](key);
+
+  if (!item) {
+    if (type === 'paste') apiPasteMissing(res, key);
+    else apiError(res, 404, `${type === 'video' ? 'Video' : 'Image'} not found.`);
+    return null;
+  }
+  if (!canView(req, type, item)) {
+    apiLocked(res, type, item);
+    return null;
+  }
+  if (type === 'paste' && item.burnAfterRead) {
+    apiError(res, 400, 'Burn-after-read pastes cannot be commented on or liked.');
+    return null;
+  }
+  return item;
+}
+
+function apiListComments(type) {
+  return (req, res) => {
+    const item = apiItemTarget(req, res, type);
+    if (item) res.json({ comments: visibleComments(req, db.comments.listFor(type, itemKey(type, item))).map(serializeComment) });
+  };
+}
+
+function apiPostComment(type) {
+  return (req, res) => {
+    const { text, parentId, line, revision } = req.body || {};
+
+    if (!req.user) return apiError(res, 401, 'Log in to post comments.');
+    const item = apiItemTarget(req, res, type);
+    if (!item) return;
+    if (!text) return apiError(res, 400, 'Comment text is required.');
+
+    const { comment, error } = addComment(type, item, req.user, { text, parentId, line, revision });
+    if (error) return apiError(res, 400, error);
+    res.status(201).json({ comment: serializeComment(comment) });
+  };
+}
+
+api.get("/videos/:id/comments", apiListComments('video'));
+api.post("/videos/:id/comments", rateLimit('comment'), apiPostComment('video'));
+api.get("/images/:filename/comments", apiListComments('image'));
+api.post("/images/:filename/comments", rateLimit('comment'), apiPostComment('image'));
+api.get("/pastes/:id/comments", apiListComments('paste'));
+api.post("/pastes/:id/comments", rateLimit('comment'), apiPostComment('paste'));
+
+// PUT likes an item and DELETE takes the like back
+function apiLike(type, liked) {
+  return (req, res) => {
+    if (!req.user) return apiError(res, 401, 'Log in to like items.');
+    const item = apiItemTarget(req, res, type);
+    if (!item) return;
+
+    const key = String(itemKey(type, item));
+    db.engagement.setLiked(type, key, req.user.id, liked);
+    res.json({ liked, likes: lookups[type](key).likes });
+  };
+}
+
+api.put("/videos/:id/like", apiLike('video', true));
+api.delete("/videos/:id/like", apiLike('video', false));
+api.put("/images/:filename/like", apiLike('image', true));
+api.delete("/images/:filename/like", apiLike('image', false));
+api.put("/pastes/:id/like", apiLike('paste', true));
+api.delete("/pastes/:id/like", apiLike('paste', false));
+
+api.patch("/comments/:id", (req, res) => {
+  const comment = db.comments.get(req.params.id);
+  const { text } = req.body || {};
+
+  if (!comment) return apiError(res, 404, 'Comment not found.');
+  if (!canEditComment(req, comment)) return apiError(res, 403, 'You can only edit your own comments.');
+  if (!text) return apiError(res, 400, 'Comment text is required.');
+
+  res.json({ comment: serializeComment(editComment(comment, text)) });
+});
+
+api.delete("/comments/:id", (req, res) => {
+  const comment = db.comments.get(req.params.id);
+
+  if (!comment) return apiError(res, 404, 'Comment not found.');
+  if (!canDeleteComment(req, comment)) return apiError(res, 403, 'You cannot delete this comment.');
+
+  db.comments.delete(comment.id);
+  res.sendStatus(204);
+});
+
+api.get("/images", (req, res) => {
+  const { items, ...paging } = paginate(db.images, readPaging(req.query, db.images));
+  res.json({ images: items.map(serializeImage), ...paging });
+});
+
+api.get("/images/:filename", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  if (!image) return apiError(res, 404, 'Image not found.');
+  if (!canView(req, 'image', image)) return apiLocked(res, 'image', image);
+  res.json({ image: serializeImage(image) });
+});
+
+api.post("/images", rateLimit('upload'), async (req, res) => {
+  await receiveFiles(imageUpload.single('image'), req, res);
+  if (!req.file) return apiError(res, 400, 'Image file is required.');
+
+  const access = readVisibility(req.body);
+  if (access.error) {
+    fileStore.release(req.file.filename);
+    return apiError(res, 400, access.error);
+  }
+
+  // Multipart fields are strings: keepMetadata=1 or keepMetadata=true
+  const stripped = await removeMetadata(req.file, { keep: ['1', 'true'].includes(req.body.keepMetadata) });
+  if (stripped.error) return apiError(res, 400, stripped.error);
+
+  const image = addImage(stripped.file, { title: req.body.title, tags: parseTags(req.body.tags), ...access }, req.user);
+  res.status(201).json({ image: serializeImage(image), manageToken: image.manageToken || undefined });
+});
+
+api.patch("/images/:filename", (req, res) => {
+  const image = db.images.get(req.params.filename);
+  const { title = image?.title, originalName = image?.originalName } = req.body || {};
+
+  if (!image) return apiError(res, 404, 'Image not found.');
+  if (!canManage(req, image)) return apiError(res, 403, 'You cannot edit this image.');
+  if (!originalName) return apiError(res, 400, 'Name is required.');
+
+  const access = readVisibility(req.body, image);
+  if (access.error) return apiError(res, 400, access.error);
+
+  db.images.update(image.filename, { title: title || null, originalName, ...access });
+  if (req.body?.tags !== undefined) db.tags.set('image', image.filename, parseTags(req.body.tags));
+  res.json({ image: serializeImage(db.images.get(image.filename)) });
 });
 
+api.delete("/images/:filename", (req, res) => {
+  const image = db.images.get(req.params.filename);
+
+  if (!image) return apiError(res, 404, 'Image not found.');
+  if (!canManage(req, image)) return apiError(res, 403, 'You cannot delete this image.');
+
+  deleteContent('image', image.filename);
+  res.sendStatus(204);
+});
+
+api.get("/pastes", (req, res) => {
+  const { items, ...paging } = paginate(db.pastes, readPaging(req.query, db.pastes));
+  res.json({ pastes: items.map(p => serializePaste(p)), ...paging });
+});
+
+api.get("/pastes/:id", (req, res) => {
+  const paste = findPaste(req.params.id);
+  if (!paste) return apiPasteMissing(res, req.params.id);
+  if (!canView(req, 'paste', paste)) return apiLocked(res, 'paste', paste);
+
+  markPasteRead(req, paste);
+  res.json({ paste: serializePaste(paste, true) });
+});
+
+api.get("/pastes/:id/revisions", (req, res) => {
+  const paste = findPaste(req.params.id);
+  if (!paste) return apiPasteMissing(res, req.params.id);
+  if (paste.burnAfterRead) return apiError(res, 400, 'Burn-after-read pastes have no history.');
+  if (!canView(req, 'paste', paste)) return apiLocked(res, 'paste', paste);
+
+  res.json({ revisions: db.pastes.revisions(paste.id).map(r => serializeRevision(r)) });
+});
+
+api.get("/pastes/:id/revisions/:revision", (req, res) => {
+  const paste = findPaste(req.params.id);
+  if (!paste) return apiPasteMissing(res, req.params.id);
+  if (paste.burnAfterRead) return apiError(res, 400, 'Burn-after-read pastes have no history.');
+  if (!canView(req, 'paste', paste)) return apiLocked(res, 'paste', paste);
+
+  const revision = db.pastes.getRevision(paste.id, Number(req.params.revision));
+  if (!revision) return apiError(res, 404, 'Revision not found.');
+  res.json({ revision: serializeRevision(revision, true) });
+});
+
+api.post("/pastes", rateLimit('upload'), (req, res) => {
+  const { title, code, language, expiresIn, burnAfterRead, forkOf } = req.body || {};
+
+  if (!title || !code) return apiError(res, 400, 'Title and code are required.');
+  if (expiresIn && !PASTE_EXPIRY[expiresIn]) {
+    return apiError(res, 400, `expiresIn must be one of: ${Object.keys(PASTE_EXPIRY).join(', ')}.`);
+  }
+
+  const source = forkOf ? findPaste(String(forkOf)) : null;
+  if (forkOf && (!source || source.burnAfterRead || !canView(req, 'paste', source))) {
+    return apiError(res, 400, 'The paste being forked is no longer available.');
+  }
+
+  const access = readVisibility(req.body);
+  if (access.error) return apiError(res, 400, access.error);
+
+  const paste = addPaste({
+    title, code, language, expiresIn, burnAfterRead: burnAfterRead === true, tags: parseTags(req.body.tags),
+    forkedFrom: source?.id, ...access
+  }, req.user);
+  res.status(201).json({ paste: serializePaste(paste, true), manageToken: paste.manageToken || undefined });
+});
+
+api.patch("/pastes/:id", (req, res) => {
+  const paste = findPaste(req.params.id);
+  const { title = paste?.title, code = paste?.code, language = paste?.language } = req.body || {};
+
+  if (!paste) return apiPasteMissing(res, req.params.id);
+  if (!canManage(req, paste)) return apiError(res, 403, 'You cannot edit this paste.');
+  if (!title || !code) return apiError(res, 400, 'Title and code are required.');
+
+  const access = readVisibility(req.body, paste);
+  if (access.error) return apiError(res, 400, access.error);
+
+  db.pastes.update(paste.id, { title, code, language: resolveLanguage(language, code), ...access }, req.user?.id);
+  if (req.body?.tags !== undefined) db.tags.set('paste', paste.id, parseTags(req.body.tags));
+  res.json({ paste: serializePaste(db.pastes.get(paste.id), true) });
+});
+
+api.delete("/pastes/:id", (req, res) => {
+  const paste = findPaste(req.params.id);
+
+  if (!paste) return apiPasteMissing(res, req.params.id);
+  if (!canManage(req, paste)) return apiError(res, 403, 'You cannot delete this paste.');
+
+  deleteContent('paste', paste.id);
+  res.sendStatus(204);
+});
+
+api.get("/tags/:name", (req, res) => {
+  const { videos, images, pastes } = db.tags.items(req.params.name.toLowerCase());
+  res.json({
+    tag: req.params.name.toLowerCase(),
+    videos: videos.map(v => serializeVideo(v)),
+    images: images.map(serializeImage),
+    pastes: pastes.map(p => serializePaste(p))
+  });
+});
+
+api.get("/albums/:id", (req, res) => {
+  const album = db.albums.get(req.params.id);
+  if (!album) return apiError(res, 404, 'Album not found.');
+
+  const { ownerId, itemCount, ...fields } = album;
+  res.json({
+    album: {
+      ...fields,
+      url: `/album/${album.id}`,
+      items: albumItems(req, album).map(({ type, item }) => ({
+        type,
+        [type]: type === 'video' ? serializeVideo(item) : serializeImage(item)
+      }))
+    }
+  });
+});
+
+api.post("/reports", rateLimit('report'), (req, res) => {
+  const { type, key, reason = 'other', details = '' } = req.body || {};
+  const item = moderationTarget(type, key);
+
+  if (!item || !canReport(req, type, item)) return apiError(res, 404, 'Nothing to report here.');
+  if (!REPORT_REASONS[reason]) return apiError(res, 400, `Reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}.`);
+
+  db.reports.create({
+    type,
+    key: String(type === 'comment' ? item.id : itemKey(type, item)),
+    reason,
+    details: String(details).slice(0, 1000),
+    reporterId: req.user?.id ?? null,
+    ip: req.ip
+  });
+  res.status(202).json({ report: { type, key: String(key), reason } });
+});
+
+api.get("/search", (req, res) => {
+  const { text, type, from, to, results } = readSearch(req.query);
+  if (!text) return apiError(res, 400, 'A search query (q) is required.');
+
+  const serializers = {
+    video: v => serializeVideo(v),
+    image: serializeImage,
+    paste: p => serializePaste(p),
+    comment: serializeComment
+  };
+  res.json({
+    query: text,
+    type,
+    from,
+    to,
+    results: results.map(r => ({ type: r.type, rank: r.rank, result: serializers[r.type](r.item) }))
+  });
+});
+
+api.use((req, res) => apiError(res, 404, 'Not found.'));
+
+api.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) return apiError(res, 400, `File upload error: ${err.message}`);
+  // Messages of unexpected errors can hold SQL and file paths, so only
+  // expected ones reach the client
+  if (!err.status || err.status >= 500) {
+    console.error('API error:', err);
+    return apiError(res, 500, 'Server error.');
+  }
+  apiError(res, err.status, err.message);
+});
+
+app.use("/api/v1", api);
+
+// Error handling middleware, after every route so their errors reach it
+app.use((err, req, res, next) => {
+  if (err && req.originalUrl.startsWith('/api/')) {
+    if (err.status && err.status < 500) return apiError(res, err.status, err.message);
+    console.error('API error:', err);
+    return apiError(res, 500, 'Server error.');
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(400).send(renderPage('Error', `<p class="error">File upload error: ${escapeHtml(err.message)}</p><a href="/" class="button">Go Home</a>`, req));
+  } else if (err?.status && err.status < 500) {
+    return res.status(err.status).send(renderPage('Error', `<p class="error">${escapeHtml(err.message)}</p><a href="/" class="button">Go Home</a>`, req));
+  } else if (err) {
+    console.error('Server error:', err);
+    return res.status(500).send(renderPage('Error', '<p class="error">Something went wrong on our side. Please try again later.</p><a href="/" class="button">Go Home</a>', req));
+  }
+  next();
+});
+
+// Background sweeper for expired pastes, abandoned chunked uploads, old
+// finished jobs and webhook deliveries, and views too old to matter
+db.pastes.purgeExpired();
+videoChunks.purgeStale();
+setInterval(() => {
+  const purged = db.pastes.purgeExpired();
+  if (purged) console.log(`Purged ${purged} expired paste(s)`);
+  const dropped = videoChunks.purgeStale();
+  if (dropped) console.log(`Dropped ${dropped} abandoned chunked upload(s)`);
+  db.jobs.purgeFinished(new Date(Date.now() - FINISHED_JOB_TTL).toISOString());
+  db.webhooks.purgeDeliveries(new Date(Date.now() - WEBHOOK_LOG_TTL).toISOString());
+  db.engagement.purgeViews(new Date(Date.now() - Math.max(VIEW_WINDOW, TRENDING_WINDOW)).toISOString());
+}, 60 * 1000).unref();
+
+imageQueue.start();
+transcodeQueue.start();
+webhookQueue.start();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Upload directory: ${uploadDir}`);
-  console.log(`Data file: ${dataFile}`);
+  console.log(`Database: ${db.dbFile}`);
 });
@@ -0,0 +1,65 @@
+const db = require("./db");
+
+// Persistent background jobs. Queued work lives in the database, so it
+// survives a restart; jobs run one at a time, oldest due first. Each queue
+// runs only the types registered with it, so separate queues share the table
+// without waiting on each other.
+function createQueue({ pollInterval = 5000 } = {}) {
+  const handlers = {};
+  let running = false;
+
+  // `run(job)` does the work. A job that throws is tried again, up to
+  // `attempts` runs in all, `retryDelay(attempts)` ms after each failure.
+  function register(type, run, { attempts = 1, retryDelay = n => 60 * 1000 * 2 ** (n - 1) } = {}) {
+    handlers[type] = { run, attempts, retryDelay };
+  }
+
+  // Work already queued for the same key is not queued twice
+  function enqueue(type, key = null, payload = {}) {
+    const job = (key !== null && db.jobs.queued(type, key)) || db.jobs.create({ type, key, payload });
+    setImmediate(work);
+    return job;
+  }
+
+  async function runJob(job) {
+    const handler = handlers[job.type];
+    try {
+      await handler.run(job);
+      db.jobs.finish(job.id);
+    } catch (err) {
+      if (job.attempts < handler.attempts) {
+        db.jobs.retry(job.id, err.message, new Date(Date.now() + handler.retryDelay(job.attempts)).toISOString());
+      } else {
+        db.jobs.fail(job.id, err.message);
+        console.error(`Job ${job.id} (${job.type} ${job.key ?? ''}) failed:`, err.message);
+      }
+    }
+  }
+
+  // Works through every due job, then waits for the next enqueue or poll
+  async function work() {
+    if (running) return;
+    running = true;
+    try {
+      let job;
+      while ((job = db.jobs.claim(Object.keys(handlers)))) await runJob(job);
+    } catch (err) {
+      console.error('Error running jobs:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    const interrupted = db.jobs.requeueInterrupted(Object.keys(handlers));
+    if (interrupted) console.log(`Requeued ${interrupted} interrupted job(s)`);
+    setInterval(work, pollInterval).unref();
+    work();
+  }
+
+  return { register, enqueue, start };
+}
+
+module.exports = {
+  createQueue
+};
@@ -0,0 +1,88 @@
+const { diffArrays } = require("diff");
+
+// Line diff between two revisions. Each row carries the 0-based index of its
+// line on either side, so callers can render pre-highlighted lines.
+function diffLines(oldLines, newLines) {
+  const rows = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  for (const part of diffArrays(oldLines, newLines)) {
+    for (let i = 0; i < part.count; i++) {
+      if (part.removed) {
+        rows.push({ type: 'removed', oldIndex: oldIndex++, newIndex: null });
+      } else if (part.added) {
+        rows.push({ type: 'added', oldIndex: null, newIndex: newIndex++ });
+      } else {
+        rows.push({ type: 'context', oldIndex: oldIndex++, newIndex: newIndex++ });
+      }
+    }
+  }
+  return rows;
+}
+
+function stats(rows) {
+  return {
+    added: rows.filter(r => r.type === 'added').length,
+    removed: rows.filter(r => r.type === 'removed').length
+  };
+}
+
+// Long unchanged stretches are folded into a single "skip" row, keeping
+// `context` lines around each change
+function collapse(rows, context = 3) {
+  const keep = rows.map(() => false);
+  rows.forEach((row, i) => {
+    if (row.type === 'context') return;
+    for (let j = Math.max(0, i - context); j <= Math.min(rows.length - 1, i + context); j++) keep[j] = true;
+  });
+
+  const result = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (keep[i]) {
+      result.push(rows[i]);
+      continue;
+    }
+    const last = result[result.length - 1];
+    if (last?.type === 'skip') last.count++;
+    else result.push({ type: 'skip', count: 1 });
+  }
+  return result;
+}
+
+// Pairs removed and added runs for a side-by-side view. Context and skip
+// rows appear on both sides.
+function sideBySide(rows) {
+  const pairs = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      pairs.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const row of rows) {
+    if (row.type === 'removed') {
+      if (added.length) flush();
+      removed.push(row);
+    } else if (row.type === 'added') {
+      added.push(row);
+    } else {
+      flush();
+      pairs.push({ left: row, right: row });
+    }
+  }
+  flush();
+  return pairs;
+}
+
+module.exports = {
+  diffLines,
+  stats,
+  collapse,
+  sideBySide
+};
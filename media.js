@@ -0,0 +1,177 @@
+const path = require("path");
+const { spawn } = require("child_process");
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+
+// Processing after upload: resized copies of images, and browser-safe
+// renditions and poster frames for videos (with a local ffmpeg)
+
+// Widths of the resized copies made of every stored image. The smallest is
+// always made and doubles as the thumbnail; larger ones only when the
+// original is wider.
+const VARIANT_WIDTHS = [320, 640, 1280];
+const VARIANT_FORMAT = 'webp';
+
+// EXIF fields that say nothing about where a photo was taken or whose camera
+// took it, which uploaders may keep. Everything else goes, including GPS
+// positions, serial numbers, owner names, and all XMP and IPTC data.
+const KEPT_EXIF = {
+  Image: ['Make', 'Model'],
+  Photo: ['DateTimeOriginal', 'LensModel']
+};
+
+// exif-reader's groups by the names sharp writes them under
+const EXIF_IFDS = { Image: 'IFD0', Photo: 'IFD2' };
+
+function readExif(buffer) {
+  try {
+    return buffer ? exifReader(buffer) : {};
+  } catch {
+    return {};
+  }
+}
+
+// EXIF dates carry no time zone, so they are kept as the camera's local time
+function exifDate(date) {
+  return date instanceof Date && !isNaN(date) ? date.toISOString().slice(0, 19).replace('T', ' ') : null;
+}
+
+// Size as displayed (after EXIF rotation), the source format, and the camera
+// and capture date when the file still says
+async function imageInfo(file) {
+  const metadata = await sharp(file).metadata();
+  const { Image: image = {}, Photo: photo = {} } = readExif(metadata.exif);
+  const make = String(image.Make || '').trim();
+  const model = String(image.Model || '').trim();
+
+  return {
+    width: metadata.autoOrient?.width ?? metadata.width,
+    height: metadata.autoOrient?.height ?? metadata.height,
+    format: metadata.format,
+    camera: model && make && !model.startsWith(make) ? `${make} ${model}` : model || make || null,
+    takenAt: exifDate(photo.DateTimeOriginal || image.DateTime)
+  };
+}
+
+function keptExif(buffer) {
+  const exif = readExif(buffer);
+  const kept = {};
+  for (const [group, fields] of Object.entries(KEPT_EXIF)) {
+    for (const field of fields) {
+      let value = exif[group]?.[field];
+      if (value instanceof Date) value = exifDate(value).replace(/-/g, ':');
+      if (typeof value !== 'string' || !value) continue;
+      kept[EXIF_IFDS[group]] = { ...kept[EXIF_IFDS[group]], [field]: value };
+    }
+  }
+  return kept;
+}
+
+// Writes `input` to `output` without its metadata, turned upright first as
+// the orientation tag goes too. Colour profiles stay, and with `keep` so do
+// the KEPT_EXIF fields. Resolves to false, writing nothing, for files with no
+// metadata. GIFs carry no EXIF, but their comment and XMP blocks are not all
+// reported, so every GIF is re-encoded, all of its frames.
+async function stripMetadata(input, output, { keep = false } = {}) {
+  const metadata = await sharp(input).metadata();
+  const { format } = metadata;
+  if (format === 'gif') {
+    await sharp(input, { animated: true }).gif().toFile(output);
+    return true;
+  }
+
+  const hasMetadata = metadata.exif || metadata.xmp || metadata.iptc || metadata.comments?.length ||
+    (metadata.orientation ?? 1) !== 1;
+  if (!hasMetadata) return false;
+
+  let image = sharp(input).rotate().keepIccProfile();
+  if (keep) image = image.withExif(keptExif(metadata.exif));
+  await image
+    .toFormat(format, format === 'jpeg' ? { quality: 95 } : { palette: Boolean(metadata.isPalette) })
+    .toFile(output);
+  return true;
+}
+
+// Writes the variants of `filename` next to it. Animated GIFs stay animated.
+async function makeVariants(directory, filename, { width, height }) {
+  const base = path.basename(filename, path.extname(filename));
+  const widths = VARIANT_WIDTHS.filter((target, i) => i === 0 || target < width);
+  const variants = [];
+
+  for (const target of widths) {
+    const variant = `${base}-${Math.min(target, width)}w.${VARIANT_FORMAT}`;
+    const info = await sharp(path.join(directory, filename), { animated: true })
+      .rotate()
+      .resize({ width: target, withoutEnlargement: true })
+      .toFormat(VARIANT_FORMAT)
+      .toFile(path.join(directory, variant));
+    variants.push({ filename: variant, width: info.width, height: Math.round(height * info.width / width), format: VARIANT_FORMAT });
+  }
+  return variants;
+}
+
+// Longest a single ffmpeg run may take before it is stopped
+const FFMPEG_TIMEOUT = 2 * 60 * 60 * 1000;
+
+// Runs ffmpeg or ffprobe and resolves to what it printed
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    // Not spawn's own `timeout`, whose timer outlives a failed start
+    const timer = setTimeout(() => child.kill(), FFMPEG_TIMEOUT);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => stdout += chunk);
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`${command} was not found; install ffmpeg to process videos`) : err);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${path.basename(command)} exited with ${code ?? 'a signal'}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+// Duration in seconds and the size of the first video stream
+async function probe(ffprobe, input) {
+  const output = JSON.parse(await run(ffprobe, [
+    '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=width,height:format=duration', '-of', 'json', input
+  ]));
+  const stream = output.streams?.[0];
+  if (!stream) throw new Error('The file has no video stream.');
+  return { duration: Number(output.format?.duration) || null, width: stream.width, height: stream.height };
+}
+
+// Encoder settings for the renditions every browser can play: H.264/AAC in
+// MP4 and VP9/Opus in WebM, at most 1080 lines high
+const RENDITIONS = {
+  mp4: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '33', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1', '-pix_fmt', 'yuv420p', '-c:a', 'libopus', '-b:a', '96k']
+};
+
+function transcode(ffmpeg, input, output, format) {
+  return run(ffmpeg, [
+    '-v', 'error', '-y', '-i', input, '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', "scale=-2:'min(1080,ih)'", ...RENDITIONS[format], '-f', format, output
+  ]);
+}
+
+// Saves a representative frame from the start of a video as a JPEG
+function extractPoster(ffmpeg, input, output) {
+  return run(ffmpeg, ['-v', 'error', '-y', '-i', input, '-vf', 'thumbnail', '-frames:v', '1', output]);
+}
+
+module.exports = {
+  VARIANT_WIDTHS,
+  RENDITIONS,
+  imageInfo,
+  stripMetadata,
+  makeVariants,
+  probe,
+  transcode,
+  extractPoster
+};
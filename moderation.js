@@ -0,0 +1,64 @@
+// Per-IP rate limits and the comment spam filter
+
+// Fixed-window counters kept in memory, keyed by client address. Limits reset
+// when the server restarts.
+function rateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  // Finished windows are dropped so the map does not keep every address seen
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs).unref();
+
+  // Counts a hit. Returns how many seconds to wait once over the limit, else 0.
+  return function hit(key) {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  };
+}
+
+// Spam filter settings used until an admin saves their own
+const DEFAULT_SPAM_FILTER = { words: [], maxLinks: 2 };
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\[url[=\]]/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Blocked words match whole words or phrases, ignoring case
+function containsWord(text, word) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// Why a comment looks like spam, or null when it passes the filter
+function spamReason(text, { words = [], maxLinks = DEFAULT_SPAM_FILTER.maxLinks } = {}) {
+  const word = words.find(w => containsWord(text, w));
+  if (word) return `Contains "${word}"`;
+
+  const links = (String(text).match(LINK_PATTERN) || []).length;
+  if (links > maxLinks) return `${links} links (limit ${maxLinks})`;
+  return null;
+}
+
+// Blocked words are entered one per line or separated by commas
+function parseWords(input) {
+  const words = String(input || '').split(/[,\n]/).map(w => w.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(words)];
+}
+
+module.exports = {
+  DEFAULT_SPAM_FILTER,
+  rateLimiter,
+  spamReason,
+  parseWords
+};
@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const db = require("./db");
+
+// Stored uploads. Files are checked by their contents rather than the name
+// and type the client claims, and identical bytes are only stored once.
+
+// Enough of the start of a file to recognise every format below
+const HEAD_BYTES = 64;
+
+const ascii = (head, start, end) => head.toString('latin1', start, end);
+const startsWith = (head, bytes) => Buffer.from(bytes).equals(head.subarray(0, bytes.length));
+
+// File signatures of the formats that may be uploaded, with the extensions
+// each may be stored under
+const SIGNATURES = [
+  { kind: 'image', mime: 'image/jpeg', extensions: ['.jpg', '.jpeg'], test: head => startsWith(head, [0xff, 0xd8, 0xff]) },
+  { kind: 'image', mime: 'image/png', extensions: ['.png'], test: head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { kind: 'image', mime: 'image/gif', extensions: ['.gif'], test: head => ['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6)) },
+  // Matroska with the "webm" doctype
+  { kind: 'video', mime: 'video/webm', extensions: ['.webm'], test: head => startsWith(head, [0x1a, 0x45, 0xdf, 0xa3]) && head.includes('webm') },
+  // ISO media files start with an ftyp box; MP4 and QuickTime share it
+  { kind: 'video', mime: 'video/mp4', extensions: ['.mp4', '.mov'], test: head => ascii(head, 4, 8) === 'ftyp' },
+  // Older QuickTime files start straight with another atom
+  { kind: 'video', mime: 'video/quicktime', extensions: ['.mov'], test: head => ['moov', 'mdat', 'wide', 'free', 'skip'].includes(ascii(head, 4, 8)) }
+];
+
+function sniff(head) {
+  return SIGNATURES.find(signature => signature.test(head)) || null;
+}
+
+// The type files are served with, so it never depends on their name
+function mimeOf(head) {
+  return sniff(head)?.mime || 'application/octet-stream';
+}
+
+// Whether a file starting with `head` really is a `kind` file of the type its
+// name says
+function contentsMatch(head, kind, originalName) {
+  const signature = sniff(head);
+  return Boolean(signature) && signature.kind === kind &&
+    signature.extensions.includes(path.extname(originalName).toLowerCase());
+}
+
+// UTF-8 text without NUL bytes, or null for anything else
+function decodeText(buffer) {
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return null;
+  }
+}
+
+// Hashes a stream, keeping its first bytes. With a `destination` the bytes
+// are written there on the way; past `maxSize` bytes it fails with a 413.
+async function hashStream(stream, destination, maxSize = Infinity) {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  let size = 0;
+
+  const take = (chunk) => {
+    hash.update(chunk);
+    if (head.length < HEAD_BYTES) head = Buffer.concat([head, chunk.subarray(0, HEAD_BYTES - head.length)]);
+    size += chunk.length;
+    if (size > maxSize) throw Object.assign(new Error(`Uploads are limited to ${maxSize} bytes.`), { status: 413 });
+  };
+
+  if (destination) {
+    await pipeline(stream, async function* (chunks) {
+      for await (const chunk of chunks) {
+        take(chunk);
+        yield chunk;
+      }
+    }, fs.createWriteStream(destination));
+  } else {
+    for await (const chunk of stream) take(chunk);
+  }
+  return { sha256: hash.digest('hex'), head, size };
+}
+
+// `filename(originalName)` names newly stored files
+function createFileStore({ directory, filename }) {
+  const tempPath = () => path.join(directory, `.incoming-${crypto.randomBytes(8).toString('hex')}`);
+
+  // Moves a checked file into place, or drops it in favour of a stored file
+  // with the same contents
+  function keep(temp, { sha256, head, size, originalName }) {
+    const existing = db.storedFiles.byHash(sha256);
+    if (existing && fs.existsSync(path.join(directory, existing.filename))) {
+      fs.rmSync(temp, { force: true });
+      return { filename: existing.filename, size, sha256, deduplicated: true };
+    }
+    if (existing) db.storedFiles.delete(existing.filename);
+
+    const name = filename(originalName);
+    fs.renameSync(temp, path.join(directory, name));
+
+    // The same bytes may have been stored since the lookup above, such as by
+    // another server process on the same database. The first file stays.
+    const stored = db.storedFiles.add({ filename: name, sha256, size, mime: mimeOf(head) });
+    if (stored.filename !== name) {
+      fs.rmSync(path.join(directory, name), { force: true });
+      return { filename: stored.filename, size, sha256, deduplicated: true };
+    }
+    return { filename: name, size, sha256, deduplicated: false };
+  }
+
+  // Deletes stored files no record uses any more, with their resized
+  // variants. Deduplicated files stay while another record still points at
+  // them.
+  function release(...filenames) {
+    for (const name of filenames) {
+      if (!name || db.storedFiles.isReferenced(name)) continue;
+      db.storedFiles.delete(name);
+      for (const file of [name, ...db.imageVariants.deleteFor(name)]) {
+        fs.unlink(path.join(directory, file), (err) => {
+          if (err && err.code !== 'ENOENT') console.error('Error removing upload:', err);
+        });
+      }
+    }
+  }
+
+  // Multer storage engine. Files are written under a temporary dotfile name,
+  // hashed on the way, and checked once complete: `accept(file, head)`
+  // returns an error for files whose contents are refused.
+  function multerStorage({ accept }) {
+    return {
+      _handleFile(req, file, cb) {
+        const temp = tempPath();
+        hashStream(file.stream, temp).then(({ sha256, head, size }) => {
+          const error = accept(file, head);
+          if (error) {
+            fs.rmSync(temp, { force: true });
+            return cb(Object.assign(new Error(error), { status: 400 }));
+          }
+          cb(null, keep(temp, { sha256, head, size, originalName: file.originalname }));
+        }).catch(err => {
+          fs.rm(temp, { force: true }, () => {});
+          cb(err);
+        });
+      },
+
+      _removeFile(req, file, cb) {
+        release(file.filename);
+        cb(null);
+      }
+    };
+  }
+
+  // Multer storage engine for files of any kind, as storeStream takes them.
+  // Its result is merged into the file.
+  function detectingStorage(options) {
+    return {
+      _handleFile(req, file, cb) {
+        storeStream(file.stream, { ...options, originalName: file.originalname }).then(result => {
+          if (result.error) return cb(Object.assign(new Error(result.error), { status: 400 }));
+          cb(null, result);
+        }).catch(cb);
+      },
+
+      _removeFile(req, file, cb) {
+        release(file.file?.filename);
+        cb(null);
+      }
+    };
+  }
+
+  // Stores a file that is already on disk, such as a finished chunked upload.
+  // Returns the stored file, or an error after removing the original.
+  async function storeFile(source, { kind, originalName }) {
+    const { sha256, head, size } = await hashStream(fs.createReadStream(source));
+    if (!contentsMatch(head, kind, originalName)) {
+      await fs.promises.rm(source, { force: true });
+      return { error: `The file is not a valid ${kind}.` };
+    }
+    return { file: keep(source, { sha256, head, size, originalName }) };
+  }
+
+  // Stores a stream whose kind is not known in advance, such as a raw request
+  // body. Images and videos are kept under a name with the right extension
+  // and returned as { kind, file }; UTF-8 text up to `maxTextSize` bytes is
+  // returned as { kind: 'text', text } and not stored.
+  async function storeStream(stream, { originalName, maxSize, maxTextSize }) {
+    const temp = tempPath();
+    let received;
+    try {
+      received = await hashStream(stream, temp, maxSize);
+    } catch (err) {
+      await fs.promises.rm(temp, { force: true });
+      throw err;
+    }
+
+    const { sha256, head, size } = received;
+    const signature = sniff(head);
+    if (signature) {
+      const extension = path.extname(originalName);
+      const name = signature.extensions.includes(extension.toLowerCase())
+        ? originalName
+        : `${path.basename(originalName, extension) || 'upload'}${signature.extensions[0]}`;
+      return { kind: signature.kind, file: { ...keep(temp, { sha256, head, size, originalName: name }), originalname: name, mimetype: signature.mime } };
+    }
+
+    const contents = size <= maxTextSize ? await fs.promises.readFile(temp) : null;
+    await fs.promises.rm(temp, { force: true });
+    const text = contents && decodeText(contents);
+    if (text === null) return { error: `Only images, videos and text up to ${maxTextSize} bytes can be uploaded.` };
+    return { kind: 'text', text };
+  }
+
+  // Replaces a stored file no record uses yet with a rewritten copy, which
+  // `transform(source, destination)` writes; it resolves to false to keep
+  // the file as it is. Returns the file now stored, or an error after
+  // removing the original.
+  async function rewrite(file, { kind, transform }) {
+    const temp = tempPath();
+    let changed;
+    try {
+      changed = await transform(path.join(directory, file.filename), temp);
+    } catch (err) {
+      console.error('Error rewriting upload:', err);
+      await fs.promises.rm(temp, { force: true });
+      release(file.filename);
+      return { error: `The ${kind} could not be processed.` };
+    }
+    if (!changed) return { file };
+
+    const stored = await storeFile(temp, { kind, originalName: file.originalname });
+    release(file.filename);
+    return stored.error ? stored : { file: { ...file, ...stored.file } };
+  }
+
+  // Hashes and types a stored file that predates either
+  async function register(name) {
+    const { sha256, head, size } = await hashStream(fs.createReadStream(path.join(directory, name)));
+    const existing = db.storedFiles.byHash(sha256);
+    if (!existing) db.storedFiles.add({ filename: name, sha256, size, mime: mimeOf(head) });
+    else if (existing.filename === name) db.storedFiles.setMime(name, mimeOf(head));
+  }
+
+  return { multerStorage, detectingStorage, storeStream, storeFile, rewrite, release, register };
+}
+
+module.exports = {
+  sniff,
+  contentsMatch,
+  createFileStore
+};
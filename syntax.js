@@ -0,0 +1,103 @@
+const hljs = require("highlight.js");
+
+// Languages offered on the paste form, with the file extension used for
+// raw and downloaded pastes
+const LANGUAGES = [
+  { id: 'plaintext', name: 'Plain Text', ext: 'txt' },
+  { id: 'bash', name: 'Bash', ext: 'sh' },
+  { id: 'c', name: 'C', ext: 'c' },
+  { id: 'cpp', name: 'C++', ext: 'cpp' },
+  { id: 'csharp', name: 'C#', ext: 'cs' },
+  { id: 'css', name: 'CSS', ext: 'css' },
+  { id: 'diff', name: 'Diff', ext: 'diff' },
+  { id: 'dockerfile', name: 'Dockerfile', ext: 'dockerfile' },
+  { id: 'go', name: 'Go', ext: 'go' },
+  { id: 'xml', name: 'HTML / XML', ext: 'html' },
+  { id: 'ini', name: 'INI / TOML', ext: 'ini' },
+  { id: 'java', name: 'Java', ext: 'java' },
+  { id: 'javascript', name: 'JavaScript', ext: 'js' },
+  { id: 'json', name: 'JSON', ext: 'json' },
+  { id: 'kotlin', name: 'Kotlin', ext: 'kt' },
+  { id: 'lua', name: 'Lua', ext: 'lua' },
+  { id: 'makefile', name: 'Makefile', ext: 'mk' },
+  { id: 'markdown', name: 'Markdown', ext: 'md' },
+  { id: 'php', name: 'PHP', ext: 'php' },
+  { id: 'python', name: 'Python', ext: 'py' },
+  { id: 'ruby', name: 'Ruby', ext: 'rb' },
+  { id: 'rust', name: 'Rust', ext: 'rs' },
+  { id: 'sql', name: 'SQL', ext: 'sql' },
+  { id: 'swift', name: 'Swift', ext: 'swift' },
+  { id: 'typescript', name: 'TypeScript', ext: 'ts' },
+  { id: 'yaml', name: 'YAML', ext: 'yaml' }
+];
+
+const languageIds = LANGUAGES.map(l => l.id);
+
+function isLanguage(id) {
+  return languageIds.includes(id);
+}
+
+function languageName(id) {
+  return LANGUAGES.find(l => l.id === id)?.name || 'Plain Text';
+}
+
+function extensionFor(id) {
+  return LANGUAGES.find(l => l.id === id)?.ext || 'txt';
+}
+
+// The language a file name's extension stands for, if any
+function languageForFile(filename) {
+  const ext = String(filename).split('.').pop().toLowerCase();
+  return String(filename).includes('.') ? LANGUAGES.find(l => l.ext === ext)?.id || null : null;
+}
+
+// Auto-detection runs every language over the code, so on long pastes it
+// only looks at the first DETECT_LENGTH characters, cut at a line end
+const DETECT_LENGTH = 10 * 1024;
+
+// Auto-detection only considers the languages offered on the form
+function detectLanguage(code) {
+  let sample = code.slice(0, DETECT_LENGTH);
+  if (code.length > DETECT_LENGTH && sample.includes('\n')) sample = sample.slice(0, sample.lastIndexOf('\n'));
+
+  const result = hljs.highlightAuto(sample, languageIds.filter(id => id !== 'plaintext'));
+  return result.relevance >= 3 && result.language ? result.language : 'plaintext';
+}
+
+// Source lines as the code view numbers them: a trailing newline does not
+// start an extra empty line
+function splitLines(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Highlighted HTML split into one string per source line. Spans that cross
+// a newline are closed at the end of the line and reopened on the next, so
+// every line can be rendered on its own.
+function highlightLines(code, language) {
+  const html = isLanguage(language) && language !== 'plaintext'
+    ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+    : hljs.highlight(code, { language: 'plaintext' }).value;
+
+  const open = [];
+  return splitLines(html).map(line => {
+    const prefix = open.join('');
+    for (const [tag] of line.matchAll(/<span[^>]*>|<\/span>/g)) {
+      if (tag === '</span>') open.pop();
+      else open.push(tag);
+    }
+    return prefix + line + '</span>'.repeat(open.length);
+  });
+}
+
+module.exports = {
+  LANGUAGES,
+  isLanguage,
+  languageName,
+  extensionFor,
+  languageForFile,
+  detectLanguage,
+  splitLines,
+  highlightLines
+};
@@ -0,0 +1,109 @@
+const { HEADS, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+function sessionCookie(res) {
+  return res.headers.getSetCookie().find(cookie => cookie.startsWith('gallery_session='));
+}
+
+test('registering logs the new user in and goes back where they were', async () => {
+  const request = createClient(server.url);
+  const res = await request('/register', { method: 'POST', form: { username: 'alice', password: 'password123', next: '/pastes' } });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('Location'), '/pastes');
+  assert.match(sessionCookie(res), /HttpOnly/);
+  assert.match(sessionCookie(res), /SameSite=Lax/);
+  assert.match(await (await request('/')).text(), /href="\/user\/alice"/);
+});
+
+test('redirects after logging in stay on the site', async () => {
+  const request = createClient(server.url);
+  const res = await request('/register', { method: 'POST', form: { username: 'bob', password: 'password123', next: '//example.com' } });
+  assert.equal(res.headers.get('Location'), '/');
+});
+
+test('registration checks the username and password', async () => {
+  const request = createClient(server.url);
+  const attempts = [
+    [{ username: 'a', password: 'password123' }, /Usernames must be/],
+    [{ username: 'carol', password: 'short' }, /at least 8 characters/],
+    [{ username: 'alice', password: 'password123' }, /already taken/]
+  ];
+  for (const [form, message] of attempts) {
+    const res = await request('/register', { method: 'POST', form });
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), message);
+    assert.equal(sessionCookie(res), undefined);
+  }
+});
+
+test('logging in needs the right password', async () => {
+  const request = createClient(server.url);
+  const wrong = await request('/login', { method: 'POST', form: { username: 'alice', password: 'wrong-password' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(sessionCookie(wrong), undefined);
+
+  const right = await request('/login', { method: 'POST', form: { username: 'alice', password: 'password123' } });
+  assert.equal(right.status, 302);
+  assert.ok(sessionCookie(right));
+});
+
+test('logging out ends the session on the server too', async () => {
+  const request = createClient(server.url);
+  const login = await request('/login', { method: 'POST', form: { username: 'alice', password: 'password123' } });
+  const [cookie] = sessionCookie(login).split(';');
+
+  await request('/logout', { method: 'POST' });
+  const replayed = await fetch(`${server.url}/api/v1/videos/1/comments`, {
+    method: 'POST', headers: { Cookie: cookie, 'Content-Type': 'application/json' }, body: JSON.stringify({ text: 'hi' })
+  });
+  assert.equal(replayed.status, 401);
+});
+
+test('comment forms send anonymous visitors to log in', async () => {
+  const res = await createClient(server.url)('/video/1/comment', { method: 'POST', form: { text: 'hi' } });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('Location'), '/login?next=%2F');
+});
+
+test('uploads belong to the user who made them and show on their profile', async () => {
+  const request = createClient(server.url);
+  await register(request, 'dave');
+  const { paste } = await (await request('/api/v1/pastes', { method: 'POST', json: { title: 'Mine', code: 'x' } })).json();
+  assert.equal(paste.owner, 'dave');
+
+  const anonymous = await (await createClient(server.url)('/api/v1/pastes', { method: 'POST', json: { title: 'Nobody', code: 'x' } })).json();
+  assert.equal(anonymous.paste.owner, null);
+
+  const profile = await (await request('/user/dave')).text();
+  assert.match(profile, /Mine/);
+  assert.doesNotMatch(profile, /Nobody/);
+  assert.equal((await request('/user/nobody-here')).status, 404);
+});
+
+test('titles and text from users are escaped on item pages and cards', async () => {
+  const request = createClient(server.url);
+  const title = '<script>alert(1)</script>';
+  const { paste } = await (await request('/api/v1/pastes', { method: 'POST', json: { title, code: '<img src=x>' } })).json();
+
+  const body = new FormData();
+  body.append('title', title);
+  body.append('description', '<img src=x>');
+  body.append('video', new Blob([HEADS.mp4, 'mp4 bytes'], { type: 'video/mp4' }), 'clip.mp4');
+  const { video } = await (await request('/api/v1/videos', { method: 'POST', body })).json();
+
+  for (const url of [`/paste/${paste.id}`, `/video/${video.id}`, '/pastes', '/videos', '/']) {
+    const page = await (await request(url)).text();
+    assert.doesNotMatch(page, /<script>alert|<img src=x>/, url);
+    assert.match(page, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/, url);
+  }
+});
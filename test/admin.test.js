@@ -0,0 +1,96 @@
+const { pngImage, startServer, createClient, eventually, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const auth = require("../auth");
+const db = require("../db");
+
+let server;
+let admin;
+let alice;
+
+// The server shares this process's database, where the admin account is
+// created before it starts
+test.before(async () => {
+  db.users.create({ username: 'root', passwordHash: auth.hashPassword('password123') });
+  server = await startServer({ DB_FILE: process.env.DB_FILE, ADMIN_USERS: 'root' });
+  admin = createClient(server.url);
+  alice = createClient(server.url);
+  await admin('/login', { method: 'POST', form: { username: 'root', password: 'password123' } });
+  await register(alice, 'alice');
+});
+
+test.after(() => server.stop());
+
+function plantFile(name, ageMs) {
+  const file = path.join(server.dir, 'uploads', name);
+  fs.writeFileSync(file, 'left behind');
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, time, time);
+  return file;
+}
+
+test('the dashboard is for admins only', async () => {
+  assert.equal((await alice('/admin')).status, 403);
+  assert.equal((await createClient(server.url)('/admin')).status, 302);
+
+  const page = await (await admin('/admin')).text();
+  assert.match(page, /Content and storage/);
+  assert.match(page, /<td>Users<\/td><td class="number">2<\/td>/);
+});
+
+test('old orphaned files can be removed, recent ones are left for uploads in progress', async () => {
+  const old = plantFile('crashed-upload.png', 2 * 60 * 60 * 1000);
+  const recent = plantFile('in-progress.png', 0);
+
+  const page = await (await admin('/admin/orphans')).text();
+  assert.match(page, /crashed-upload\.png/);
+  assert.match(page, /in-progress\.png/);
+
+  const res = await admin('/admin/orphans/delete', {
+    method: 'POST',
+    form: new URLSearchParams([['filenames', 'crashed-upload.png'], ['filenames', 'in-progress.png']])
+  });
+  assert.equal(res.status, 302);
+  assert.equal(fs.existsSync(old), false);
+  assert.equal(fs.existsSync(recent), true);
+  assert.match(await (await admin('/admin/audit')).text(), /Removed orphaned files[\s\S]*1 files/);
+});
+
+test('files in use are never orphans', async () => {
+  const body = new FormData();
+  body.append('image', new Blob([await pngImage('cat')], { type: 'image/png' }), 'cat.png');
+  const { image } = await (await alice('/api/v1/images', { method: 'POST', body })).json();
+  assert.doesNotMatch(await (await admin('/admin/orphans')).text(), new RegExp(image.filename));
+});
+
+test('bulk deletes remove the items and are written to the audit log', async () => {
+  const ids = [];
+  for (const title of ['One', 'Two']) {
+    const { paste } = await (await alice('/api/v1/pastes', { method: 'POST', json: { title, code: 'x' } })).json();
+    ids.push(paste.id);
+  }
+
+  const form = new URLSearchParams([['type', 'paste'], ['next', '/pastes'], ...ids.map(id => ['keys', id]), ['keys', 'missing']]);
+  const res = await admin('/admin/bulk-delete', { method: 'POST', form });
+  assert.equal(res.headers.get('Location'), '/pastes');
+  for (const id of ids) assert.equal((await alice(`/api/v1/pastes/${id}`)).status, 404);
+
+  const audit = await (await admin('/admin/audit')).text();
+  assert.match(audit, /Bulk deleted/);
+  assert.match(audit, new RegExp(`2 pastes: ${ids.join(', ')}`));
+
+  assert.equal((await admin('/admin/bulk-delete', { method: 'POST', form: { type: 'user', keys: '1' } })).status, 400);
+  assert.equal((await alice('/admin/bulk-delete', { method: 'POST', form })).status, 403);
+});
+
+test('deleting an image through the dashboard removes its file', async () => {
+  const body = new FormData();
+  body.append('image', new Blob([await pngImage('dog')], { type: 'image/png' }), 'dog.png');
+  const { image } = await (await alice('/api/v1/images', { method: 'POST', body })).json();
+  const file = path.join(server.dir, 'uploads', image.filename);
+
+  await admin('/admin/bulk-delete', { method: 'POST', form: { type: 'image', keys: image.filename } });
+  await eventually(() => assert.equal(fs.existsSync(file), false));
+});
@@ -0,0 +1,119 @@
+const { HEADS, pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+});
+
+test.after(() => server.stop());
+
+function upload(url, field, contents, filename, type, fields = {}) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) body.append(name, value);
+  body.append(field, new Blob([contents], { type }), filename);
+  return request(url, { method: 'POST', body });
+}
+
+test('pastes are created and read back as JSON', async () => {
+  const created = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Hello', code: 'print(1)' } });
+  assert.equal(created.status, 201);
+  const { paste } = await created.json();
+  assert.equal(paste.title, 'Hello');
+  assert.equal(paste.code, 'print(1)');
+  assert.equal(paste.url, `/paste/${paste.id}`);
+
+  const read = await (await request(`/api/v1/pastes/${paste.id}`)).json();
+  assert.equal(read.paste.code, 'print(1)');
+
+  const list = await (await request('/api/v1/pastes')).json();
+  assert.ok(list.pastes.some(p => p.id === paste.id));
+  assert.equal(list.pastes[0].code, undefined);
+});
+
+test('pastes can be created from form fields too', async () => {
+  const res = await request('/api/v1/pastes', { method: 'POST', form: { title: 'Form', code: 'x' } });
+  assert.equal(res.status, 201);
+});
+
+test('invalid input is a 400 with a JSON error', async () => {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'No code' } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: { status: 400, message: 'Title and code are required.' } });
+
+  const malformed = await request('/api/v1/pastes', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"title":'
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).error.status, 400);
+});
+
+test('unexpected errors are logged, and only a generic message is sent', async () => {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: { nested: true }, code: 'x' } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { error: { status: 500, message: 'Server error.' } });
+  await server.waitForOutput(/API error/);
+});
+
+test('unknown items and routes are JSON 404s', async () => {
+  const paste = await request('/api/v1/pastes/nope');
+  assert.equal(paste.status, 404);
+  assert.equal((await paste.json()).error.message, 'Paste not found.');
+
+  const route = await request('/api/v1/nothing-here');
+  assert.equal(route.status, 404);
+  assert.equal((await route.json()).error.message, 'Not found.');
+});
+
+test('images are uploaded as multipart form data', async () => {
+  const contents = await pngImage();
+  const res = await upload('/api/v1/images', 'image', contents, 'cat.png', 'image/png');
+  assert.equal(res.status, 201);
+  const { image } = await res.json();
+  assert.equal(image.originalName, 'cat.png');
+  assert.equal(image.size, contents.length);
+
+  const read = await (await request(`/api/v1/images/${image.filename}`)).json();
+  assert.equal(read.image.url, `/image/${image.filename}`);
+});
+
+test('files of the wrong type are refused with their reason', async () => {
+  const res = await upload('/api/v1/images', 'image', 'text', 'notes.txt', 'text/plain');
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.message, 'Only image files are allowed!');
+});
+
+test('files are checked by their contents rather than their name and type', async () => {
+  const fake = await upload('/api/v1/images', 'image', '<?php echo 1; ?>', 'shell.png', 'image/png');
+  assert.equal(fake.status, 400);
+  assert.match((await fake.json()).error.message, /not a valid image/);
+
+  const renamed = await upload('/api/v1/images', 'image', Buffer.concat([HEADS.mp4, Buffer.from('x')]), 'clip.png', 'image/png');
+  assert.equal(renamed.status, 400);
+});
+
+test('videos need a title, and take comments from users', async () => {
+  const untitled = await upload('/api/v1/videos', 'video', Buffer.concat([HEADS.mp4, Buffer.from('mp4 bytes')]), 'clip.mp4', 'video/mp4');
+  assert.equal(untitled.status, 400);
+
+  const res = await upload('/api/v1/videos', 'video', Buffer.concat([HEADS.mp4, Buffer.from('mp4 bytes')]), 'clip.mp4', 'video/mp4', { title: 'Clip' });
+  assert.equal(res.status, 201);
+  const { video } = await res.json();
+  assert.equal(video.commentCount, 0);
+
+  const anonymous = await request(`/api/v1/videos/${video.id}/comments`, { method: 'POST', json: { text: 'Nice' } });
+  assert.equal(anonymous.status, 401);
+
+  const commenter = createClient(server.url);
+  await register(commenter, 'ann');
+  const comment = await commenter(`/api/v1/videos/${video.id}/comments`, { method: 'POST', json: { text: 'Nice' } });
+  assert.equal(comment.status, 201);
+
+  const read = await (await request(`/api/v1/videos/${video.id}`)).json();
+  assert.deepEqual(read.video.comments.map(c => [c.name, c.text]), [['ann', 'Nice']]);
+  assert.equal((await commenter('/api/v1/videos/nope/comments', { method: 'POST', json: { text: 'b' } })).status, 404);
+});
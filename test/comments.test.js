@@ -0,0 +1,95 @@
+const { pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+let address = 0;
+
+// Comments are rate limited per address, so each one comes from its own
+test.before(async () => {
+  server = await startServer({ TRUST_PROXY: 'loopback' });
+  request = createClient(server.url);
+  await register(request, 'commenter');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields = {}) {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'one\ntwo\nthree', ...fields } });
+  return (await res.json()).paste;
+}
+
+async function comment(paste, fields) {
+  const headers = { 'X-Forwarded-For': `10.0.0.${++address}` };
+  return request(`/api/v1/pastes/${paste.id}/comments`, { method: 'POST', headers, json: fields });
+}
+
+test('replies thread under their parent and keep its line', async () => {
+  const paste = await createPaste();
+  const top = (await (await comment(paste, { text: 'On line two', line: 2 })).json()).comment;
+  assert.deepEqual({ line: top.line, revision: top.revision }, { line: 2, revision: 1 });
+
+  const reply = (await (await comment(paste, { text: 'Agreed', parentId: top.id, line: 3 })).json()).comment;
+  assert.deepEqual({ parentId: reply.parentId, line: reply.line }, { parentId: top.id, line: 2 });
+
+  const page = await (await request(`/paste/${paste.id}`)).text();
+  assert.match(page, new RegExp(`id="comment-${top.id}"[\\s\\S]*id="comment-${reply.id}"`));
+});
+
+test('line comments must point at a line of the paste', async () => {
+  const paste = await createPaste();
+  assert.equal((await comment(paste, { text: 'Nowhere', line: 4 })).status, 400);
+  assert.equal((await comment(paste, { text: 'Nowhere', line: 'two' })).status, 400);
+  assert.equal((await comment(paste, { text: 'Old line', line: 1, revision: 7 })).status, 400);
+});
+
+test('replies must be to a comment on the same item', async () => {
+  const first = await createPaste();
+  const second = await createPaste();
+  const { comment: other } = await (await comment(first, { text: 'Elsewhere' })).json();
+  const res = await comment(second, { text: 'Reply', parentId: other.id });
+  assert.equal(res.status, 400);
+  assert.equal((await comment(second, { text: 'Reply', parentId: 99999 })).status, 400);
+});
+
+test('comment links open the revision they were made on', async () => {
+  const { paste, manageToken } = await (await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'a\nb' } })).json();
+  const { comment: old } = await (await comment(paste, { text: 'Typo', line: 2 })).json();
+  await request(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', headers: { 'X-Manage-Token': manageToken }, json: { code: 'a\nc' } });
+
+  const res = await request(`/comment/${old.id}`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('Location'), `/paste/${paste.id}?rev=1#comment-${old.id}`);
+});
+
+test('images and pastes take comments and can be sorted by them', async () => {
+  const quiet = await createPaste({ title: 'Quiet' });
+  const busy = await createPaste({ title: 'Busy' });
+  await comment(busy, { text: 'One' });
+  await comment(busy, { text: 'Two' });
+
+  const { pastes } = await (await request('/api/v1/pastes?sort=comments')).json();
+  assert.equal(pastes[0].id, busy.id);
+  assert.equal(pastes[0].commentCount, 2);
+  assert.equal(pastes.find(p => p.id === quiet.id).commentCount, 0);
+
+  const body = new FormData();
+  body.append('image', new Blob([await pngImage()], { type: 'image/png' }), 'cat.png');
+  const { image } = await (await request('/api/v1/images', { method: 'POST', body })).json();
+  const res = await request(`/api/v1/images/${image.filename}/comments`, {
+    method: 'POST',
+    headers: { 'X-Forwarded-For': `10.0.0.${++address}` },
+    json: { text: 'Nice cat' }
+  });
+  assert.equal(res.status, 201);
+
+  const { images } = await (await request('/api/v1/images?sort=comments')).json();
+  assert.equal(images[0].commentCount, 1);
+  assert.match(await (await request(`/image/${image.filename}`)).text(), /Nice cat/);
+});
+
+test('burn-after-read pastes take no comments', async () => {
+  const paste = await createPaste({ burnAfterRead: true });
+  assert.equal((await comment(paste, { text: 'Hi' })).status, 400);
+});
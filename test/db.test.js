@@ -0,0 +1,128 @@
+const { tempDir, startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const Database = require("better-sqlite3");
+const db = require("../db");
+
+// Opens `file` with db.js in a fresh process, which migrates it, and returns
+// what `expression` (with `db` in scope) evaluates to
+function openWithDb(file, expression) {
+  const script = `const db = require(${JSON.stringify(path.join(__dirname, '..', 'db'))});
+    process.stdout.write(JSON.stringify(${expression}));`;
+  return JSON.parse(execFileSync(process.execPath, ['-e', script], { env: { ...process.env, DB_FILE: file } }));
+}
+
+// A database migrated up to `version`, filled in by `seed`
+function oldDatabase(name, version, seed) {
+  const file = path.join(tempDir, name);
+  const old = new Database(file);
+  for (const migration of db.migrations.slice(0, version)) old.exec(migration);
+  old.pragma(`user_version = ${version}`);
+  seed(old);
+  old.close();
+  return file;
+}
+
+// A data.json as the app wrote it before the move to SQLite
+function legacyData(file, data) {
+  fs.writeFileSync(file, JSON.stringify({ videos: [], images: [], pastes: [], settings: { darkMode: true }, ...data }));
+  return file;
+}
+
+test('a new database is at the latest schema version', () => {
+  assert.equal(db.db.pragma('user_version', { simple: true }), db.migrations.length);
+});
+
+test('opening a migrated database again changes nothing', () => {
+  const file = oldDatabase('again.db', db.migrations.length, () => {});
+  const version = "db.db.pragma('user_version', { simple: true })";
+  assert.equal(openWithDb(file, version), db.migrations.length);
+  assert.equal(openWithDb(file, version), db.migrations.length);
+});
+
+test('data from the first schema survives every migration', () => {
+  const file = oldDatabase('first.db', 1, (old) => {
+    old.prepare("INSERT INTO videos (id, title, description, video, created_at) VALUES ('1', 'Clip', 'A clip', 'clip.mp4', '2024-01-01T00:00:00.000Z')").run();
+    old.prepare("INSERT INTO comments (video_id, name, text, created_at) VALUES ('1', 'ann', 'Nice', '2024-01-02T00:00:00.000Z')").run();
+    old.prepare("INSERT INTO images (filename, original_name, size, uploaded_at) VALUES ('a.png', 'cat.png', 10, '2024-01-01T00:00:00.000Z')").run();
+    old.prepare("INSERT INTO pastes (id, title, code, created_at) VALUES ('2', 'Notes', 'hello', '2024-01-01T00:00:00.000Z')").run();
+  });
+
+  const result = openWithDb(file, `({
+    version: db.db.pragma('user_version', { simple: true }),
+    video: db.videos.get('1'),
+    image: db.images.get('a.png'),
+    paste: db.pastes.get('2')
+  })`);
+
+  assert.equal(result.version, db.migrations.length);
+  assert.equal(result.video.title, 'Clip');
+  assert.equal(result.video.owner, null);
+  assert.deepEqual(result.video.comments.map(c => [c.name, c.text]), [['ann', 'Nice']]);
+  assert.equal(result.image.originalName, 'cat.png');
+  assert.equal(result.paste.code, 'hello');
+});
+
+test('records created in the same millisecond get their own ids', () => {
+  const createdAt = new Date().toISOString();
+  const ids = [1, 2, 3].map(n => db.pastes.create({ title: `Paste ${n}`, code: 'x', createdAt }).id);
+  assert.equal(new Set(ids).size, 3);
+});
+
+test('importJson loads a legacy data.json once', () => {
+  const file = legacyData(path.join(tempDir, 'data.json'), {
+    videos: [{
+      id: '100', title: 'Old video', video: 'old.mp4', createdAt: '2023-05-01T00:00:00.000Z',
+      comments: [{ name: 'bob', text: 'First!', createdAt: '2023-05-02T00:00:00.000Z' }]
+    }],
+    images: [{ filename: 'old.png', originalName: 'dog.png', size: 42, uploadedAt: '2023-05-01T00:00:00.000Z' }],
+    pastes: [{ id: '200', title: 'Old paste', code: 'print(1)', createdAt: '2023-05-01T00:00:00.000Z' }],
+    settings: { darkMode: false }
+  });
+
+  assert.equal(db.importJson(file), true);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(fs.existsSync(`${file}.imported`), true);
+
+  const video = db.videos.get('100');
+  assert.equal(video.description, '');
+  assert.deepEqual(video.comments.map(c => c.text), ['First!']);
+  assert.equal(db.images.get('old.png').size, 42);
+  assert.equal(db.pastes.get('200').code, 'print(1)');
+  assert.equal(db.settings.get('darkMode'), false);
+
+  assert.equal(db.importJson(file), false);
+});
+
+test('importJson keeps records that already exist', () => {
+  const file = legacyData(path.join(tempDir, 'again.json'), {
+    videos: [{
+      id: '100', title: 'Changed', video: 'old.mp4', createdAt: '2023-05-01T00:00:00.000Z',
+      comments: [{ name: 'bob', text: 'Again', createdAt: '2023-05-03T00:00:00.000Z' }]
+    }]
+  });
+
+  db.importJson(file);
+  const video = db.videos.get('100');
+  assert.equal(video.title, 'Old video');
+  assert.equal(video.comments.length, 1);
+});
+
+test('the server imports data.json on start and keeps the data in SQLite', async () => {
+  const file = legacyData(path.join(tempDir, 'server.json'), {
+    pastes: [{ id: '300', title: 'Kept', code: 'still here', createdAt: '2023-05-01T00:00:00.000Z' }]
+  });
+  const dbFile = path.join(tempDir, 'server.db');
+
+  const first = await startServer({ DATA_FILE: file, DB_FILE: dbFile });
+  assert.match(first.output(), /Imported/);
+  first.stop();
+
+  const second = await startServer({ DATA_FILE: file, DB_FILE: dbFile });
+  const res = await createClient(second.url)('/api/v1/pastes/300');
+  assert.equal((await res.json()).paste.code, 'still here');
+  second.stop();
+});
@@ -0,0 +1,69 @@
+const { startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+  await register(request, 'sharer');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  return (await (await request('/api/v1/pastes', { method: 'POST', json: { code: 'a\nb\nc', ...fields } })).json()).paste;
+}
+
+function oembed(url, params = {}) {
+  return request(`/oembed?${new URLSearchParams({ url, ...params })}`);
+}
+
+test('item pages carry OpenGraph and Twitter tags and point to oEmbed', async () => {
+  const paste = await createPaste({ title: 'Shared "snippet"' });
+  const page = await (await request(`/paste/${paste.id}`)).text();
+  assert.match(page, /<meta property="og:title" content="Shared &quot;snippet&quot;">/);
+  assert.match(page, /<meta name="twitter:card" content="summary">/);
+  assert.match(page, new RegExp(`<link rel="alternate" type="application/json\\+oembed" href="[^"]*/oembed\\?url=[^"]*%2Fpaste%2F${paste.id}&amp;format=json"`));
+});
+
+test('burn-after-read pastes are not previewed or burned by link previews', async () => {
+  const paste = await createPaste({ title: 'Once only', burnAfterRead: true });
+  const preview = await request(`/paste/${paste.id}`, { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0' } });
+  const text = await preview.text();
+  assert.match(text, /can only be viewed once/);
+  assert.doesNotMatch(text, /og:title/);
+  assert.equal((await oembed(`${server.url}/paste/${paste.id}`)).status, 401);
+
+  // Still there for the first real reader
+  assert.equal((await request(`/paste/${paste.id}`)).status, 200);
+  assert.notEqual((await request(`/paste/${paste.id}`)).status, 200);
+});
+
+test('oEmbed describes pastes as iframes sized to fit', async () => {
+  const paste = await createPaste({ title: 'Embedded' });
+  const result = await (await oembed(`${server.url}/paste/${paste.id}`, { maxwidth: '320' })).json();
+  assert.equal(result.type, 'rich');
+  assert.equal(result.author_name, 'sharer');
+  assert.deepEqual([result.width, result.height], [320, 50]);
+  assert.match(result.html, new RegExp(`<iframe src="${server.url}/embed/paste/${paste.id}" width="320" height="50"`));
+
+  assert.equal((await oembed(`${server.url}/paste/${paste.id}`, { format: 'xml' })).status, 501);
+  assert.equal((await oembed(`http://elsewhere.example/paste/${paste.id}`)).status, 404);
+  assert.equal((await oembed(`${server.url}/paste/nothing`)).status, 404);
+});
+
+test('embed players show public items and refuse protected ones', async () => {
+  const paste = await createPaste({ title: 'Player' });
+  const embed = await (await request(`/embed/paste/${paste.id}`)).text();
+  assert.match(embed, /<a href="\/paste\/[^"]+" target="_top">Player<\/a>/);
+  assert.doesNotMatch(embed, /<nav/);
+
+  const locked = await createPaste({ title: 'Locked', visibility: 'password', password: 'open sesame' });
+  assert.equal((await oembed(`${server.url}/paste/${locked.id}`)).status, 401);
+  const refused = await createClient(server.url)(`/embed/paste/${locked.id}`);
+  assert.equal(refused.status, 401);
+  assert.match(await refused.text(), /password protected/);
+});
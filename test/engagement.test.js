@@ -0,0 +1,73 @@
+const { startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let owner;
+
+test.before(async () => {
+  server = await startServer();
+  owner = createClient(server.url);
+  await register(owner, 'owner');
+});
+
+test.after(() => server.stop());
+
+// Anonymous visitors are told apart by address and browser
+function visitor(userAgent) {
+  const request = createClient(server.url);
+  return (url, options = {}) => request(url, { ...options, headers: { 'User-Agent': userAgent, ...options.headers } });
+}
+
+async function createPaste(title) {
+  return (await (await owner('/api/v1/pastes', { method: 'POST', json: { title, code: 'x' } })).json()).paste;
+}
+
+async function views(paste) {
+  return (await (await owner(`/api/v1/pastes/${paste.id}`)).json()).paste.views;
+}
+
+test('a visitor\'s views count once, and crawlers not at all', async () => {
+  const paste = await createPaste('Counted');
+  const reader = visitor('Firefox');
+  await reader(`/paste/${paste.id}`);
+  await reader(`/paste/${paste.id}`);
+  assert.equal(await views(paste), 1);
+
+  await visitor('Safari')(`/paste/${paste.id}`);
+  await visitor('Googlebot/2.1')(`/paste/${paste.id}`);
+  await visitor('WhatsApp/2.23')(`/paste/${paste.id}`);
+  assert.equal(await views(paste), 2);
+});
+
+test('signed-in users like an item once', async () => {
+  const paste = await createPaste('Liked');
+  assert.equal((await createClient(server.url)(`/api/v1/pastes/${paste.id}/like`, { method: 'PUT' })).status, 401);
+
+  const fan = createClient(server.url);
+  await register(fan, 'fan');
+  await fan(`/api/v1/pastes/${paste.id}/like`, { method: 'PUT' });
+  const liked = await (await fan(`/api/v1/pastes/${paste.id}/like`, { method: 'PUT' })).json();
+  assert.deepEqual(liked, { liked: true, likes: 1 });
+
+  const form = await owner(`/paste/${paste.id}/like`, { method: 'POST', form: { like: '1' } });
+  assert.equal(form.status, 302);
+  assert.equal((await (await owner(`/api/v1/pastes/${paste.id}`)).json()).paste.likes, 2);
+
+  const unliked = await (await fan(`/api/v1/pastes/${paste.id}/like`, { method: 'DELETE' })).json();
+  assert.deepEqual(unliked, { liked: false, likes: 1 });
+});
+
+test('the most viewed come first, and recent activity trends', async () => {
+  const quiet = await createPaste('Quiet paste');
+  const popular = await createPaste('Popular paste');
+  for (const userAgent of ['Chrome', 'Edge', 'Opera']) await visitor(userAgent)(`/paste/${popular.id}`);
+  await visitor('Chrome')(`/paste/${quiet.id}`);
+
+  const { pastes } = await (await owner('/api/v1/pastes?sort=views')).json();
+  const order = pastes.map(p => p.id);
+  assert.ok(order.indexOf(popular.id) < order.indexOf(quiet.id));
+
+  const home = await (await owner('/')).text();
+  assert.match(home, /<h2 class="center-content">Trending<\/h2>[\s\S]*Popular paste[\s\S]*Recent Videos/);
+});
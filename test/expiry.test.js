@@ -0,0 +1,88 @@
+const { startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../db");
+
+let server;
+let request;
+
+// The server shares this process's database, so tests can plant pastes that
+// have already expired
+test.before(async () => {
+  server = await startServer({ DB_FILE: process.env.DB_FILE });
+  request = createClient(server.url);
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'secret', ...fields } });
+  return (await res.json()).paste;
+}
+
+function expiredPaste() {
+  return db.pastes.create({ title: 'Old', code: 'x', expiresAt: new Date(Date.now() - 1000).toISOString() });
+}
+
+test('pastes expire after the lifetime picked for them', async () => {
+  const paste = await createPaste({ expiresIn: '1h' });
+  const lifetime = new Date(paste.expiresAt) - new Date(paste.createdAt);
+  assert.ok(Math.abs(lifetime - 60 * 60 * 1000) < 1000);
+
+  assert.equal((await createPaste({ expiresIn: 'never' })).expiresAt, null);
+  assert.equal((await createPaste({})).expiresAt, null);
+});
+
+test('expired pastes are gone, with 410 rather than 404', async () => {
+  const paste = expiredPaste();
+
+  const page = await request(`/paste/${paste.id}`);
+  assert.equal(page.status, 410);
+  assert.match(await page.text(), /This paste has expired/);
+  assert.equal((await request(`/paste/${paste.id}/raw`)).status, 410);
+  assert.equal((await request(`/api/v1/pastes/${paste.id}`)).status, 410);
+  assert.equal(db.pastes.get(paste.id), undefined);
+
+  assert.equal((await request('/paste/999')).status, 404);
+});
+
+test('expired pastes are left out of listings and swept up', async () => {
+  const paste = expiredPaste();
+  const { pastes } = await (await request('/api/v1/pastes')).json();
+  assert.equal(pastes.some(p => p.id === paste.id), false);
+
+  assert.ok(db.pastes.purgeExpired() >= 1);
+  assert.equal(db.pastes.tombstone(paste.id).reason, 'expired');
+});
+
+test('burn-after-read pastes can be read once', async () => {
+  const paste = await createPaste({ burnAfterRead: true });
+  const { pastes } = await (await request('/api/v1/pastes')).json();
+  assert.equal(pastes.some(p => p.id === paste.id), false);
+
+  const first = await request(`/paste/${paste.id}`);
+  assert.equal(first.status, 200);
+  assert.match(await first.text(), /burned after reading/);
+
+  const second = await request(`/paste/${paste.id}`);
+  assert.equal(second.status, 410);
+  assert.match(await second.text(), /burned after reading/);
+  assert.equal((await request(`/paste/${paste.id}/raw`)).status, 410);
+});
+
+test('HEAD requests and link previews leave burn-after-read pastes alone', async () => {
+  const paste = await createPaste({ burnAfterRead: true });
+
+  assert.equal((await request(`/paste/${paste.id}`, { method: 'HEAD' })).status, 200);
+  assert.equal((await request(`/paste/${paste.id}/raw`, { method: 'HEAD' })).status, 200);
+
+  const preview = { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' } };
+  const page = await request(`/paste/${paste.id}`, preview);
+  assert.match(await page.text(), /can only be viewed once/);
+  const raw = await request(`/paste/${paste.id}/raw`, preview);
+  assert.doesNotMatch(await raw.text(), /secret/);
+
+  const read = await request(`/paste/${paste.id}/raw`);
+  assert.equal(await read.text(), 'secret');
+  assert.equal((await request(`/api/v1/pastes/${paste.id}`)).status, 410);
+});
@@ -0,0 +1,78 @@
+const { HEADS, pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const feeds = require("../feeds");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+  await register(request, 'author');
+});
+
+test.after(() => server.stop());
+
+async function uploadVideo(fields) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) body.append(name, value);
+  body.append('video', new Blob([HEADS.mp4, fields.title], { type: 'video/mp4' }), 'clip.mp4');
+  return (await (await request('/api/v1/videos', { method: 'POST', body })).json()).video;
+}
+
+test('feeds are dated by their newest entry and escape what they quote', () => {
+  const xml = feeds.renderFeed({
+    title: 'Tom & Jerry',
+    link: 'http://example.com/',
+    self: 'http://example.com/feed.xml',
+    updated: '2020-01-01T00:00:00Z',
+    entries: [
+      { id: 'a', title: '<b>', link: 'http://example.com/a', published: '2024-01-01T00:00:00Z' },
+      { id: 'b', title: 'B', link: 'http://example.com/b', published: '2024-01-02T00:00:00Z', updated: '2024-03-01T00:00:00Z' }
+    ]
+  });
+  assert.match(xml, /<title>Tom &amp; Jerry<\/title>/);
+  assert.match(xml, /<title>&lt;b&gt;<\/title>/);
+  assert.match(xml, /<generator>Gallery<\/generator>/);
+  assert.match(xml, /^  <updated>2024-03-01T00:00:00.000Z<\/updated>$/m);
+
+  const empty = feeds.renderFeed({ title: 'Empty', link: 'l', self: 's', updated: '2020-01-01T00:00:00Z', entries: [] });
+  assert.match(empty, /<updated>2020-01-01T00:00:00.000Z<\/updated>/);
+});
+
+test('the uploads feed lists public uploads, with their files as enclosures', async () => {
+  await request('/api/v1/pastes', { method: 'POST', json: { title: 'Feed paste', code: 'let a = 1 < 2;' } });
+  await request('/api/v1/pastes', { method: 'POST', json: { title: 'Secret paste', code: 'x', visibility: 'unlisted' } });
+  const contents = await pngImage('feed');
+  const body = new FormData();
+  body.append('title', 'Feed image');
+  body.append('image', new Blob([contents], { type: 'image/png' }), 'feed.png');
+  const { image } = await (await request('/api/v1/images', { method: 'POST', body })).json();
+
+  const res = await request('/feed.xml');
+  assert.equal(res.headers.get('Content-Type'), 'application/atom+xml; charset=utf-8');
+  const xml = await res.text();
+  assert.match(xml, /<title>Feed paste<\/title>/);
+  assert.match(xml, /let a = 1 &amp;lt; 2;/);
+  assert.doesNotMatch(xml, /Secret paste/);
+  assert.match(xml, new RegExp(`<link rel="enclosure" href="${server.url}/media/${image.filename}" type="image/png" length="${contents.length}"/>`));
+
+  const images = await (await request('/images/feed.xml')).text();
+  assert.match(images, /<title>Feed image<\/title>/);
+  assert.doesNotMatch(images, /Feed paste/);
+  assert.match(await (await request('/images')).text(), /<link rel="alternate" type="application\/atom\+xml" title="Images" href="\/images\/feed.xml">/);
+});
+
+test('videos have a feed of their comments, locked like the video', async () => {
+  const video = await uploadVideo({ title: 'Commented' });
+  await request(`/api/v1/videos/${video.id}/comments`, { method: 'POST', json: { text: 'First!' } });
+  const xml = await (await request(`/video/${video.id}/feed.xml`)).text();
+  assert.match(xml, /<title>Comments on Commented \| Gallery<\/title>/);
+  assert.match(xml, /<title>Comment by author<\/title>/);
+  assert.match(xml, /&lt;p&gt;First!&lt;\/p&gt;/);
+
+  const locked = await uploadVideo({ title: 'Locked', visibility: 'password', password: 'open sesame' });
+  assert.equal((await createClient(server.url)(`/video/${locked.id}/feed.xml`)).status, 401);
+  assert.equal((await request('/video/999999/feed.xml')).status, 404);
+});
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const sharp = require("sharp");
+
+// Every test file runs in its own process with a scratch directory and
+// database, removed on exit along with any server it started. Require this
+// before anything that loads db.js.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_FILE = path.join(tempDir, 'gallery.db');
+const servers = [];
+
+process.on('exit', () => {
+  for (const server of servers) server.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1');
+    probe.once('error', reject);
+    probe.once('listening', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts the app in a child process with data and uploads of its own, and
+// `env` added to its environment. Resolves once it listens.
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(tempDir, 'server-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPLOAD_DIR: path.join(dir, 'uploads'),
+      DATA_FILE: path.join(dir, 'data.json'),
+      DB_FILE: path.join(dir, 'gallery.db'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  servers.push(child);
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) resolve();
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+  });
+
+  // Logs may arrive after the response that caused them
+  function waitForOutput(pattern) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${pattern} in:\n${output}`)), 5000);
+      const check = () => {
+        if (!pattern.test(output)) return;
+        clearTimeout(timer);
+        child.stdout.off('data', check);
+        child.stderr.off('data', check);
+        resolve(output);
+      };
+      child.stdout.on('data', check);
+      child.stderr.on('data', check);
+      check();
+    });
+  }
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dir,
+    output: () => output,
+    waitForOutput,
+    stop: () => child.kill()
+  };
+}
+
+// A browser of sorts: it keeps cookies and leaves redirects to the test.
+// `form` is sent URL-encoded and `json` as JSON.
+function createClient(base) {
+  const cookies = new Map();
+
+  return async function request(url, { method = 'GET', headers = {}, body, form, json } = {}) {
+    if (form) body = new URLSearchParams(form);
+    if (json) {
+      body = JSON.stringify(json);
+      headers = { 'Content-Type': 'application/json', ...headers };
+    }
+    if (cookies.size) {
+      headers = { Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; '), ...headers };
+    }
+
+    const res = await fetch(base + url, { method, headers, body, redirect: 'manual' });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair, ...attributes] = cookie.split(';');
+      const name = pair.slice(0, pair.indexOf('='));
+      const expired = attributes.some(attribute => /^\s*(max-age=0|expires=thu, 01 jan 1970)/i.test(attribute));
+      if (expired) cookies.delete(name);
+      else cookies.set(name, pair.slice(name.length + 1));
+    }
+    return res;
+  };
+}
+
+// Retries `check` until it stops throwing, for work the server finishes
+// after responding
+async function eventually(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  }
+}
+
+// Registers `username` through the form, which logs the client in
+async function register(request, username, password = 'password123') {
+  const res = await request('/register', { method: 'POST', form: { username, password } });
+  if (res.status !== 302) throw new Error(`Registering ${username} failed with ${res.status}`);
+  return res;
+}
+
+// First bytes of each format uploads are checked for
+const HEADS = {
+  jpeg: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]),
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]),
+  gif: Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'),
+  webm: Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81]), Buffer.from('\x01B\x82\x84webm', 'latin1')]),
+  mp4: Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypisom\x00\x00\x02\x00', 'latin1')]),
+  quicktime: Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x08]), Buffer.from('wide\x00\x00\x00\x00', 'latin1')])
+};
+
+// A small PNG that sharp can read, coloured by `seed` so that different
+// seeds are different files, as identical uploads are stored once
+function pngImage(seed = '') {
+  const background = `#${crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 6)}`;
+  return sharp({ create: { width: 8, height: 8, channels: 3, background } }).png().toBuffer();
+}
+
+module.exports = {
+  tempDir,
+  HEADS,
+  pngImage,
+  startServer,
+  createClient,
+  eventually,
+  register
+};
@@ -0,0 +1,74 @@
+const { startServer, createClient, eventually, register, HEADS } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../db");
+const jobs = require("../jobs");
+
+test('jobs are retried until they run out of attempts', async () => {
+  const queue = jobs.createQueue();
+  let runs = 0;
+  queue.register('flaky', () => {
+    if (++runs < 2) throw new Error('try again');
+  }, { attempts: 2, retryDelay: () => 0 });
+  queue.register('broken', () => {
+    throw new Error('always fails');
+  }, { attempts: 2, retryDelay: () => 0 });
+
+  const flaky = queue.enqueue('flaky', 'a');
+  const broken = queue.enqueue('broken', 'b');
+  await eventually(() => assert.equal(db.jobs.get(flaky.id).status, 'done'));
+  await eventually(() => assert.equal(db.jobs.get(broken.id).status, 'failed'));
+  assert.equal(runs, 2);
+  assert.equal(db.jobs.get(broken.id).attempts, 2);
+  assert.equal(db.jobs.get(broken.id).error, 'always fails');
+});
+
+test('work already queued for a key is not queued twice', () => {
+  const queue = jobs.createQueue();
+  const first = queue.enqueue('unhandled', 'same');
+  assert.equal(queue.enqueue('unhandled', 'same').id, first.id);
+  assert.notEqual(queue.enqueue('unhandled', 'other').id, first.id);
+});
+
+test('each queue runs and requeues only its own types', async () => {
+  const slow = jobs.createQueue();
+  const fast = jobs.createQueue();
+  let finishSlow;
+  slow.register('slow', () => new Promise(resolve => finishSlow = resolve));
+  fast.register('fast', () => {});
+
+  const blocking = slow.enqueue('slow', 1);
+  await eventually(() => assert.equal(db.jobs.get(blocking.id).status, 'processing'));
+  const quick = fast.enqueue('fast', 1);
+  await eventually(() => assert.equal(db.jobs.get(quick.id).status, 'done'));
+
+  const other = jobs.createQueue();
+  other.register('fast', () => {});
+  other.start();
+  assert.equal(db.jobs.get(blocking.id).status, 'processing');
+
+  finishSlow();
+  await eventually(() => assert.equal(db.jobs.get(blocking.id).status, 'done'));
+});
+
+// The server shares this process's database, to look at its jobs
+test('videos are marked as processing while they wait for a transcode', async () => {
+  const server = await startServer({ DB_FILE: process.env.DB_FILE, FFMPEG_PATH: 'no-such-ffmpeg', FFPROBE_PATH: 'no-such-ffprobe' });
+  const request = createClient(server.url);
+  try {
+    await register(request, 'filmmaker');
+    const body = new FormData();
+    body.append('title', 'Unplayable');
+    body.append('video', new Blob([HEADS.mp4, 'mp4 bytes'], { type: 'video/mp4' }), 'clip.mp4');
+    const { video } = await (await request('/api/v1/videos', { method: 'POST', body })).json();
+
+    assert.match(await (await request('/videos')).text(), /Unplayable\s+<span class="badge">Processing<\/span>/);
+
+    // Without ffmpeg the job fails, and waits to be tried again
+    await eventually(() => assert.match(db.jobs.latest('transcode', video.id).error ?? '', /no-such-ffprobe was not found/));
+    const { video: waiting } = await (await request(`/api/v1/videos/${video.id}`)).json();
+    assert.equal(waiting.transcodeStatus, 'queued');
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const linediff = require("../linediff");
+
+test('diff rows point at their line on either side', () => {
+  const rows = linediff.diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']);
+  assert.deepEqual(rows, [
+    { type: 'context', oldIndex: 0, newIndex: 0 },
+    { type: 'removed', oldIndex: 1, newIndex: null },
+    { type: 'added', oldIndex: null, newIndex: 1 },
+    { type: 'context', oldIndex: 2, newIndex: 2 },
+    { type: 'added', oldIndex: null, newIndex: 3 }
+  ]);
+  assert.deepEqual(linediff.stats(rows), { added: 2, removed: 1 });
+});
+
+test('long unchanged stretches are folded', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i}`);
+  const rows = linediff.collapse(linediff.diffLines(lines, [...lines.slice(0, 19), 'changed']), 2);
+  assert.deepEqual(rows[0], { type: 'skip', count: 17 });
+  assert.deepEqual(rows.slice(1).map(r => r.type), ['context', 'context', 'removed', 'added']);
+});
+
+test('side by side pairs removed lines with the lines that replaced them', () => {
+  const pairs = linediff.sideBySide(linediff.diffLines(['a', 'b', 'c'], ['a', 'x', 'y', 'c']));
+  assert.deepEqual(pairs.map(p => [p.left?.type ?? null, p.right?.type ?? null]), [
+    ['context', 'context'],
+    ['removed', 'added'],
+    [null, 'added'],
+    ['context', 'context']
+  ]);
+});
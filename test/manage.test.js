@@ -0,0 +1,102 @@
+const { HEADS, pngImage, startServer, createClient, eventually, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+let server;
+let anonymous;
+let alice;
+let bob;
+
+test.before(async () => {
+  server = await startServer();
+  anonymous = createClient(server.url);
+  alice = createClient(server.url);
+  bob = createClient(server.url);
+  await register(alice, 'alice');
+  await register(bob, 'bob');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(request, title = 'Paste') {
+  return (await request('/api/v1/pastes', { method: 'POST', json: { title, code: 'x' } })).json();
+}
+
+test('anonymous uploads come with a manage token that edits and deletes them', async () => {
+  const { paste, manageToken } = await createPaste(anonymous);
+  assert.match(manageToken, /^[0-9a-f]{48}$/);
+
+  const edit = { method: 'PATCH', json: { title: 'Renamed' } };
+  assert.equal((await anonymous(`/api/v1/pastes/${paste.id}`, edit)).status, 403);
+  assert.equal((await anonymous(`/api/v1/pastes/${paste.id}`, { ...edit, headers: { 'X-Manage-Token': 'f'.repeat(48) } })).status, 403);
+
+  const edited = await anonymous(`/api/v1/pastes/${paste.id}`, { ...edit, headers: { 'X-Manage-Token': manageToken } });
+  assert.equal(edited.status, 200);
+  assert.equal((await edited.json()).paste.title, 'Renamed');
+
+  const deleted = await anonymous(`/api/v1/pastes/${paste.id}?token=${manageToken}`, { method: 'DELETE' });
+  assert.equal(deleted.status, 204);
+  assert.equal((await anonymous(`/api/v1/pastes/${paste.id}`)).status, 404);
+});
+
+test('the manage token is shown once, on the success page', async () => {
+  const res = await anonymous('/upload/paste', { method: 'POST', form: { title: 'Form paste', code: 'x' } });
+  const [, id, token] = (await res.text()).match(/href="\/paste\/(\d+)\?token=([0-9a-f]+)"/);
+
+  const page = await (await anonymous(`/paste/${id}`)).text();
+  assert.doesNotMatch(page, new RegExp(token));
+
+  const edited = await anonymous(`/paste/${id}/edit`, { method: 'POST', form: { title: 'Edited', code: 'y', token } });
+  assert.equal(edited.status, 302);
+  assert.equal(edited.headers.get('Location'), `/paste/${id}?token=${token}`);
+  assert.match(await (await anonymous(`/paste/${id}`)).text(), /Edited/);
+});
+
+test('owners manage their uploads without a token, and nobody else can', async () => {
+  const { paste, manageToken } = await createPaste(alice);
+  assert.equal(manageToken, undefined);
+
+  assert.equal((await bob(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { code: 'hacked' } })).status, 403);
+  assert.equal((await bob(`/paste/${paste.id}/delete`, { method: 'POST' })).status, 403);
+
+  const edited = await alice(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { code: 'changed' } });
+  assert.equal((await edited.json()).paste.code, 'changed');
+  assert.equal((await alice(`/paste/${paste.id}/delete`, { method: 'POST' })).status, 200);
+  assert.equal((await alice(`/api/v1/pastes/${paste.id}`)).status, 404);
+});
+
+test('edits keep required fields', async () => {
+  const { paste } = await createPaste(alice);
+  const res = await alice(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { title: '' } });
+  assert.equal(res.status, 400);
+});
+
+test('deleting an image removes its file', async () => {
+  const body = new FormData();
+  body.append('image', new Blob([await pngImage()], { type: 'image/png' }), 'cat.png');
+  const { image } = await (await alice('/api/v1/images', { method: 'POST', body })).json();
+  const file = path.join(server.dir, 'uploads', image.filename);
+  assert.equal(fs.existsSync(file), true);
+
+  assert.equal((await alice(`/api/v1/images/${image.filename}`, { method: 'DELETE' })).status, 204);
+  await eventually(() => assert.equal(fs.existsSync(file), false));
+});
+
+test('comment authors edit their comments; the video owner may also delete them', async () => {
+  const body = new FormData();
+  body.append('title', 'Clip');
+  body.append('video', new Blob([HEADS.mp4, 'mp4 bytes'], { type: 'video/mp4' }), 'clip.mp4');
+  const { video } = await (await alice('/api/v1/videos', { method: 'POST', body })).json();
+
+  const { comment } = await (await bob(`/api/v1/videos/${video.id}/comments`, { method: 'POST', json: { text: 'First' } })).json();
+  assert.equal((await alice(`/api/v1/comments/${comment.id}`, { method: 'PATCH', json: { text: 'Changed' } })).status, 403);
+
+  const edited = await bob(`/api/v1/comments/${comment.id}`, { method: 'PATCH', json: { text: 'Second' } });
+  assert.equal((await edited.json()).comment.text, 'Second');
+
+  assert.equal((await anonymous(`/api/v1/comments/${comment.id}`, { method: 'DELETE' })).status, 403);
+  assert.equal((await alice(`/api/v1/comments/${comment.id}`, { method: 'DELETE' })).status, 204);
+  assert.deepEqual((await (await alice(`/api/v1/videos/${video.id}`)).json()).video.comments, []);
+});
@@ -0,0 +1,161 @@
+const { tempDir, startServer, createClient, eventually, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const media = require("../media");
+
+const workDir = path.join(tempDir, 'media');
+fs.mkdirSync(workDir);
+
+function png(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+}
+
+test('variants are made at each width below the original, and the smallest always', async () => {
+  fs.writeFileSync(path.join(workDir, 'wide.png'), await png(1000, 500));
+  const info = await media.imageInfo(path.join(workDir, 'wide.png'));
+  assert.deepEqual(info, { width: 1000, height: 500, format: 'png', camera: null, takenAt: null });
+
+  const variants = await media.makeVariants(workDir, 'wide.png', info);
+  assert.deepEqual(variants.map(v => [v.filename, v.width, v.height]), [
+    ['wide-320w.webp', 320, 160],
+    ['wide-640w.webp', 640, 320]
+  ]);
+  assert.equal((await sharp(path.join(workDir, 'wide-640w.webp')).metadata()).format, 'webp');
+
+  fs.writeFileSync(path.join(workDir, 'small.png'), await png(100, 100));
+  const small = await media.makeVariants(workDir, 'small.png', { width: 100, height: 100 });
+  assert.deepEqual(small.map(v => [v.filename, v.width]), [['small-100w.webp', 100]]);
+});
+
+test('sizes are read after EXIF rotation', async () => {
+  const file = path.join(workDir, 'portrait.jpg');
+  await sharp(await png(400, 200)).jpeg().withMetadata({ orientation: 6 }).toFile(file);
+  const info = await media.imageInfo(file);
+  assert.deepEqual([info.width, info.height], [200, 400]);
+});
+
+test('a missing ffmpeg is reported by name', async () => {
+  await assert.rejects(
+    media.extractPoster(path.join(workDir, 'no-ffmpeg'), 'clip.mp4', 'poster.jpg'),
+    /no-ffmpeg was not found; install ffmpeg/
+  );
+});
+
+test('uploaded images get their size and variants in the background', async () => {
+  const server = await startServer();
+  const request = createClient(server.url);
+  try {
+    await register(request, 'photographer');
+    const body = new FormData();
+    body.append('image', new Blob([await png(800, 600)], { type: 'image/png' }), 'photo.png');
+    const { image } = await (await request('/api/v1/images', { method: 'POST', body })).json();
+
+    let processed;
+    await eventually(async () => {
+      processed = (await (await request(`/api/v1/images/${image.filename}`)).json()).image;
+      assert.equal(processed.variants.length, 2);
+    });
+    assert.deepEqual([processed.width, processed.height, processed.format], [800, 600, 'png']);
+    assert.deepEqual(processed.variants.map(v => v.width), [320, 640]);
+    assert.equal((await request(processed.variants[0].url)).status, 200);
+
+    const page = await (await request(`/image/${image.filename}`)).text();
+    assert.match(page, /srcset="[^"]*-320w\.webp 320w, [^"]*-640w\.webp 640w, [^"]* 800w"/);
+
+    assert.equal((await request(`/api/v1/images/${image.filename}`, { method: 'DELETE' })).status, 204);
+    const variant = path.join(server.dir, 'uploads', processed.variants[0].url.slice(1));
+    await eventually(() => assert.equal(fs.existsSync(variant), false));
+  } finally {
+    server.stop();
+  }
+});
+
+// A JPEG as a phone would send it: on its side, with a position and owner
+function phonePhoto(file) {
+  return sharp({ create: { width: 40, height: 20, channels: 3, background: '#996633' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Acme', Model: 'Acme Phone 3', Artist: 'Jane Doe' },
+      IFD2: { DateTimeOriginal: '2024:05:06 07:08:09' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' }
+    })
+    .withMetadata({ orientation: 6 })
+    .toFile(file);
+}
+
+test('metadata is stripped, or only the camera details kept', async () => {
+  const input = path.join(workDir, 'phone.jpg');
+  await phonePhoto(input);
+
+  const stripped = path.join(workDir, 'phone-stripped.jpg');
+  assert.equal(await media.stripMetadata(input, stripped), true);
+  const plain = await sharp(stripped).metadata();
+  assert.equal(plain.exif, undefined);
+  assert.deepEqual([plain.width, plain.height], [20, 40]);
+
+  const kept = path.join(workDir, 'phone-kept.jpg');
+  await media.stripMetadata(input, kept, { keep: true });
+  const info = await media.imageInfo(kept);
+  assert.deepEqual([info.camera, info.takenAt], ['Acme Phone 3', '2024-05-06 07:08:09']);
+  const exif = (await sharp(kept).metadata()).exif.toString('latin1');
+  assert.doesNotMatch(exif, /Jane Doe/);
+  assert.doesNotMatch(exif, /GPS/);
+
+  fs.writeFileSync(path.join(workDir, 'clean.png'), await png(10, 10));
+  assert.equal(await media.stripMetadata(path.join(workDir, 'clean.png'), path.join(workDir, 'unused.png')), false);
+});
+
+test('GIFs are re-encoded without their comments and keep every frame', async () => {
+  const frames = await Promise.all(['#ff0000', '#0000ff'].map(background =>
+    sharp({ create: { width: 20, height: 10, channels: 3, background } }).png().toBuffer()));
+  const gif = await sharp(frames, { join: { animated: true } }).gif({ delay: [100, 200], loop: 0 }).toBuffer();
+
+  // A comment extension after the header, logical screen and colour table
+  const packed = gif[10];
+  const at = 13 + (packed & 0x80 ? 3 * 2 ** ((packed & 7) + 1) : 0);
+  const comment = Buffer.from('Taken at 10 Main Street');
+  const input = path.join(workDir, 'animated.gif');
+  fs.writeFileSync(input, Buffer.concat([gif.subarray(0, at), Buffer.from([0x21, 0xfe, comment.length]), comment, Buffer.from([0]), gif.subarray(at)]));
+
+  const output = path.join(workDir, 'animated-stripped.gif');
+  assert.equal(await media.stripMetadata(input, output), true);
+  assert.equal(fs.readFileSync(output).includes(comment), false);
+  const metadata = await sharp(output).metadata();
+  assert.equal(metadata.pages, 2);
+  assert.deepEqual(metadata.delay, [100, 200]);
+});
+
+test('uploaded photos lose their location but may keep the camera', async () => {
+  const server = await startServer();
+  const request = createClient(server.url);
+  try {
+    await register(request, 'traveller');
+    const file = path.join(workDir, 'upload.jpg');
+    await phonePhoto(file);
+
+    const upload = async (fields) => {
+      const body = new FormData();
+      for (const [name, value] of Object.entries(fields)) body.append(name, value);
+      body.append('image', new Blob([fs.readFileSync(file)], { type: 'image/jpeg' }), 'IMG_0002.jpg');
+      return (await (await request('/api/v1/images', { method: 'POST', body })).json()).image;
+    };
+
+    // Only the rewritten copy is stored
+    await upload({});
+    const stored = fs.readdirSync(path.join(server.dir, 'uploads')).filter(name => name.endsWith('.jpg'));
+    assert.equal(stored.length, 1);
+    assert.equal((await sharp(path.join(server.dir, 'uploads', stored[0])).metadata()).exif, undefined);
+
+    const kept = await upload({ keepMetadata: 'true' });
+    await eventually(async () => {
+      const { image } = await (await request(`/api/v1/images/${kept.filename}`)).json();
+      assert.equal(image.camera, 'Acme Phone 3');
+    });
+    assert.match(await (await request(`/image/${kept.filename}`)).text(), /<strong>Camera:<\/strong> Acme Phone 3/);
+  } finally {
+    server.stop();
+  }
+});
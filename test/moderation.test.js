@@ -0,0 +1,114 @@
+const { startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const auth = require("../auth");
+const db = require("../db");
+const moderation = require("../moderation");
+
+let server;
+let admin;
+let alice;
+let address = 0;
+
+// Each client comes from its own address, so the per-IP limits only bite
+// where a test means them to. The server shares this process's database,
+// where the admin account is created before it starts.
+function client() {
+  const request = createClient(server.url);
+  const headers = { 'X-Forwarded-For': `10.0.0.${++address}` };
+  return (url, options = {}) => request(url, { ...options, headers: { ...headers, ...options.headers } });
+}
+
+test.before(async () => {
+  db.users.create({ username: 'mod', passwordHash: auth.hashPassword('password123') });
+  server = await startServer({ DB_FILE: process.env.DB_FILE, ADMIN_USERS: 'mod, nobody', TRUST_PROXY: 'loopback' });
+  admin = client();
+  alice = client();
+  await admin('/login', { method: 'POST', form: { username: 'mod', password: 'password123' } });
+  await register(alice, 'alice');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(request, title = 'Paste') {
+  return (await (await request('/api/v1/pastes', { method: 'POST', json: { title, code: 'x' } })).json()).paste;
+}
+
+test('only accounts named in ADMIN_USERS are admins', async () => {
+  assert.match(server.output(), /Admins: mod\b/);
+  assert.equal((await admin('/admin/moderation')).status, 200);
+  assert.equal((await alice('/admin/moderation')).status, 403);
+
+  const claimer = client();
+  await register(claimer, 'nobody');
+  assert.equal((await claimer('/admin/moderation')).status, 403);
+});
+
+test('the spam filter holds comments for review', () => {
+  assert.equal(moderation.spamReason('see http://a.example and http://b.example'), null);
+  assert.equal(moderation.spamReason('http://a.example http://b.example www.c.example'), '3 links (limit 2)');
+  assert.equal(moderation.spamReason('Buy cheap pills', { words: ['cheap pills'] }), 'Contains "cheap pills"');
+  assert.equal(moderation.spamReason('Cheapest pillsbury', { words: ['cheap pills'] }), null);
+  assert.deepEqual(moderation.parseWords('Casino,\n casino \nfree money'), ['casino', 'free money']);
+});
+
+test('held comments are shown to their author and admins until approved', async () => {
+  const paste = await createPaste(alice);
+  const text = 'Visit http://a.example http://b.example http://c.example';
+  const { comment } = await (await alice(`/api/v1/pastes/${paste.id}/comments`, { method: 'POST', json: { text } })).json();
+
+  const visitor = client();
+  assert.doesNotMatch(await (await visitor(`/paste/${paste.id}`)).text(), /c\.example/);
+  assert.match(await (await alice(`/paste/${paste.id}`)).text(), /Awaiting review/);
+  assert.match(await (await admin('/admin/moderation')).text(), /3 links \(limit 2\)/);
+
+  await admin(`/admin/moderation/comment/${comment.id}`, { method: 'POST', form: { action: 'approve' } });
+  assert.match(await (await visitor(`/paste/${paste.id}`)).text(), /c\.example/);
+});
+
+test('reported items can be hidden by an admin', async () => {
+  const paste = await createPaste(alice, 'Reported paste');
+  const visitor = client();
+  const report = await visitor('/api/v1/reports', { method: 'POST', json: { type: 'paste', key: paste.id, reason: 'spam' } });
+  assert.equal(report.status, 202);
+  assert.equal((await visitor('/api/v1/reports', { method: 'POST', json: { type: 'paste', key: paste.id, reason: 'bored' } })).status, 400);
+  assert.match(await (await admin('/admin/moderation')).text(), /Reported paste/);
+
+  const hidden = await admin(`/admin/moderation/paste/${paste.id}`, { method: 'POST', form: { action: 'hide' } });
+  assert.equal(hidden.status, 302);
+  const page = await visitor(`/paste/${paste.id}`);
+  assert.equal(page.status, 404);
+  assert.match(await page.text(), /removed by a moderator/);
+  assert.equal((await alice(`/paste/${paste.id}`)).status, 200);
+  const { pastes } = await (await visitor('/api/v1/pastes')).json();
+  assert.equal(pastes.some(p => p.id === paste.id), false);
+});
+
+test('comments are rate limited per address, on the API and the forms alike', async () => {
+  const paste = await createPaste(alice);
+  const request = client();
+  await register(request, 'chatty');
+
+  for (let i = 0; i < 10; i++) {
+    const res = await request(`/api/v1/pastes/${paste.id}/comments`, { method: 'POST', json: { text: `Comment ${i}` } });
+    assert.equal(res.status, 201);
+  }
+  const limited = await request(`/api/v1/pastes/${paste.id}/comments`, { method: 'POST', json: { text: 'One more' } });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+
+  const form = await request(`/paste/${paste.id}/comment`, { method: 'POST', form: { text: 'And from the form' } });
+  assert.equal(form.status, 429);
+  assert.equal((await alice(`/api/v1/pastes/${paste.id}/comments`, { method: 'POST', json: { text: 'Hi' } })).status, 201);
+});
+
+test('logging in is limited to ten attempts', async () => {
+  const request = client();
+  for (let i = 0; i < 10; i++) {
+    const res = await request('/login', { method: 'POST', form: { username: 'alice', password: 'wrong password' } });
+    assert.equal(res.status, 401);
+  }
+  const limited = await request('/login', { method: 'POST', form: { username: 'alice', password: 'password123' } });
+  assert.equal(limited.status, 429);
+  assert.equal((await request('/register', { method: 'POST', form: { username: 'newcomer', password: 'password123' } })).status, 429);
+});
@@ -0,0 +1,64 @@
+const { HEADS, pngImage, startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+});
+
+test.after(() => server.stop());
+
+test('the home page renders', async () => {
+  const res = await request('/');
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Welcome to Gallery/);
+});
+
+test('a paste is shown escaped and served raw', async () => {
+  const created = await request('/upload/paste', { method: 'POST', form: { title: 'Snippet', code: '<b>bold</b>' } });
+  assert.equal(created.status, 200);
+  const [, id] = (await created.text()).match(/href="\/paste\/(\d+)"/);
+
+  const page = await (await request(`/paste/${id}`)).text();
+  assert.match(page, /&lt;b&gt;bold&lt;\/b&gt;/);
+  assert.doesNotMatch(page, /<b>bold<\/b>/);
+
+  const raw = await request(`/paste/${id}/raw`);
+  assert.equal(raw.headers.get('Content-Type'), 'text/plain; charset=utf-8');
+  assert.equal(await raw.text(), '<b>bold</b>');
+});
+
+test('a paste needs a title and code', async () => {
+  const res = await request('/upload/paste', { method: 'POST', form: { title: 'Empty' } });
+  assert.equal(res.status, 400);
+});
+
+test('a video needs a title', async () => {
+  const body = new FormData();
+  body.append('video', new Blob([HEADS.mp4, 'mp4 bytes'], { type: 'video/mp4' }), 'clip.mp4');
+  const res = await request('/upload/video', { method: 'POST', body });
+  assert.equal(res.status, 400);
+  assert.match(await res.text(), /Title is required/);
+});
+
+test('missing pastes are 404', async () => {
+  assert.equal((await request('/paste/123')).status, 404);
+});
+
+test('uploaded images are kept in the upload directory', async () => {
+  const body = new FormData();
+  const contents = await pngImage();
+  body.append('image', new Blob([contents], { type: 'image/png' }), 'cat.png');
+  const res = await request('/upload/image', { method: 'POST', body });
+  assert.equal(res.status, 200);
+  const [, filename] = (await res.text()).match(/href="\/image\/([^"]+)"/);
+
+  assert.equal(fs.existsSync(path.join(server.dir, 'uploads', filename)), true);
+  assert.deepEqual(Buffer.from(await (await request(`/media/${filename}`)).arrayBuffer()), contents);
+});
@@ -0,0 +1,57 @@
+const { startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+// Thirty pastes, with titles and sizes that put each sort in its own order
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+  for (let i = 1; i <= 30; i++) {
+    const title = `Paste ${String((i + 10) % 30 + 1).padStart(2, '0')}`;
+    await request('/api/v1/pastes', { method: 'POST', json: { title, code: 'x'.repeat(i % 10 + 1) } });
+  }
+});
+
+test.after(() => server.stop());
+
+async function listPastes(query = '') {
+  return (await request(`/api/v1/pastes${query}`)).json();
+}
+
+test('listings come a page at a time, newest first', async () => {
+  const first = await listPastes();
+  assert.equal(first.pastes.length, 24);
+  assert.deepEqual({ total: first.total, page: first.page, pages: first.pages, limit: first.limit, sort: first.sort },
+    { total: 30, page: 1, pages: 2, limit: 24, sort: 'newest' });
+  assert.equal(first.pastes[0].title, 'Paste 11');
+
+  const second = await listPastes('?page=2');
+  assert.equal(second.pastes.length, 6);
+  assert.equal(second.pastes[5].title, 'Paste 12');
+});
+
+test('page sizes and sorts are limited to the ones offered', async () => {
+  assert.equal((await listPastes('?limit=12')).pastes.length, 12);
+  assert.equal((await listPastes('?limit=1000')).limit, 24);
+  assert.equal((await listPastes('?sort=oldest')).pastes[0].title, 'Paste 12');
+  assert.equal((await listPastes('?sort=size')).pastes[0].title, 'Paste 10');
+  assert.equal((await listPastes('?sort=title')).pastes[0].title, 'Paste 01');
+  assert.equal((await listPastes('?sort=drop%20table')).sort, 'newest');
+});
+
+test('pages past the end show the last page', async () => {
+  const last = await listPastes('?page=99');
+  assert.equal(last.page, 2);
+  assert.equal(last.pastes.length, 6);
+  assert.equal((await listPastes('?page=-1')).page, 1);
+});
+
+test('listing pages link to the pages around them and keep the options', async () => {
+  const page = await (await request('/pastes?sort=oldest&limit=12&page=2')).text();
+  assert.match(page, /Page 2 of 3/);
+  assert.match(page, /href="\/pastes\?sort=oldest&limit=12" class="button button-outline" rel="prev"/);
+  assert.match(page, /href="\/pastes\?sort=oldest&limit=12&page=3" class="button button-outline" rel="next"/);
+});
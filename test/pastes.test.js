@@ -0,0 +1,53 @@
+const { startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'x', ...fields } });
+  const { paste, manageToken } = await res.json();
+  return { ...paste, manageToken };
+}
+
+test('pastes keep the language they were given', async () => {
+  const paste = await createPaste({ title: 'Build', code: 'echo hi', language: 'bash' });
+  assert.equal(paste.language, 'bash');
+});
+
+test('auto and unknown languages are detected from the code', async () => {
+  const code = 'def greet(name):\n    print(f"Hello {name}")\n    return None\n\nclass Greeter(object):\n    def __init__(self):\n        self.count = 0\n';
+  assert.equal((await createPaste({ code, language: 'auto' })).language, 'python');
+  assert.equal((await createPaste({ code: 'just words', language: 'klingon' })).language, 'plaintext');
+});
+
+test('paste pages number and anchor every line', async () => {
+  const paste = await createPaste({ code: 'one\ntwo\nthree', language: 'plaintext' });
+  const page = await (await request(`/paste/${paste.id}`)).text();
+  for (const n of [1, 2, 3]) assert.match(page, new RegExp(`<tr id="L${n}">\\s*<td class="line-number"><a href="#L${n}">${n}</a>`));
+  assert.doesNotMatch(page, /id="L4"/);
+});
+
+test('raw pastes are named after their language', async () => {
+  const paste = await createPaste({ title: 'My Script', code: 'print(1)', language: 'python' });
+  const raw = await request(`/paste/${paste.id}/raw`);
+  assert.match(raw.headers.get('Content-Disposition'), new RegExp(`filename="my_script_${paste.id.slice(-6)}\\.py"`));
+});
+
+test('editing a paste detects the language again', async () => {
+  const paste = await createPaste({ code: 'plain', language: 'plaintext' });
+  const res = await request(`/api/v1/pastes/${paste.id}`, {
+    method: 'PATCH',
+    headers: { 'X-Manage-Token': paste.manageToken },
+    json: { code: '{"name": "gallery", "version": 1, "private": true}', language: 'auto' }
+  });
+  assert.equal((await res.json()).paste.language, 'json');
+});
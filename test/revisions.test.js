@@ -0,0 +1,77 @@
+const { startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'one\ntwo', language: 'plaintext', ...fields } });
+  const { paste, manageToken } = await res.json();
+  return { ...paste, manageToken };
+}
+
+async function editPaste(paste, fields) {
+  const res = await request(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', headers: { 'X-Manage-Token': paste.manageToken }, json: fields });
+  return (await res.json()).paste;
+}
+
+test('editing the code saves a new revision, and earlier ones stay readable', async () => {
+  const paste = await createPaste({});
+  assert.equal(paste.revision, 1);
+
+  assert.equal((await editPaste(paste, { code: 'one\nthree' })).revision, 2);
+  assert.equal((await editPaste(paste, { visibility: 'unlisted' })).revision, 2);
+
+  const { revisions } = await (await request(`/api/v1/pastes/${paste.id}/revisions`)).json();
+  assert.deepEqual(revisions.map(r => r.revision), [2, 1]);
+  const { revision } = await (await request(`/api/v1/pastes/${paste.id}/revisions/1`)).json();
+  assert.equal(revision.code, 'one\ntwo');
+
+  assert.equal(await (await request(`/paste/${paste.id}/raw?rev=1`)).text(), 'one\ntwo');
+  assert.equal(await (await request(`/paste/${paste.id}/raw`)).text(), 'one\nthree');
+  assert.match(await (await request(`/paste/${paste.id}?rev=1`)).text(), /You are viewing revision 1/);
+  assert.equal((await request(`/paste/${paste.id}?rev=9`)).status, 404);
+  assert.equal((await request(`/api/v1/pastes/${paste.id}/revisions/9`)).status, 404);
+});
+
+test('history and diff pages show what changed', async () => {
+  const paste = await createPaste({ title: '<b>Notes</b>' });
+  await editPaste(paste, { code: 'one\nthree' });
+
+  const history = await (await request(`/paste/${paste.id}/history`)).text();
+  assert.match(history, /<title>History: &lt;b&gt;Notes&lt;\/b&gt;/);
+  assert.match(history, new RegExp(`/paste/${paste.id}/diff\\?from=1&to=2`));
+
+  const diff = await (await request(`/paste/${paste.id}/diff?from=1&to=2`)).text();
+  assert.match(diff, /<title>Diff: &lt;b&gt;Notes&lt;\/b&gt;/);
+  assert.match(diff, /two/);
+  assert.match(diff, /three/);
+  assert.equal((await request(`/paste/${paste.id}/diff?from=1&to=5`)).status, 404);
+});
+
+test('forks remember the paste they came from', async () => {
+  const source = await createPaste({ title: 'Original', code: 'base' });
+
+  const form = await (await request(`/paste/${source.id}/fork`)).text();
+  assert.match(form, /Forking <a href="\/paste\/\d+">Original<\/a>/);
+
+  const fork = await createPaste({ title: 'Fork', code: 'base + more', forkOf: source.id });
+  assert.equal(fork.forkedFrom, source.id);
+  assert.match(await (await request(`/paste/${source.id}`)).text(), /Forks \(1\)/);
+});
+
+test('burn-after-read pastes have no history and cannot be forked', async () => {
+  const paste = await createPaste({ burnAfterRead: true });
+  assert.equal((await request(`/paste/${paste.id}/history`)).status, 400);
+  assert.equal((await request(`/paste/${paste.id}/fork`)).status, 400);
+  assert.equal((await request(`/api/v1/pastes/${paste.id}/revisions`)).status, 400);
+  assert.equal((await request('/api/v1/pastes', { method: 'POST', json: { title: 'Fork', code: 'x', forkOf: paste.id } })).status, 400);
+});
@@ -0,0 +1,77 @@
+const { HEADS, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+  await register(request, 'searcher');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  const res = await request('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'x', ...fields } });
+  return (await res.json()).paste;
+}
+
+async function search(query) {
+  return (await request(`/api/v1/search?${new URLSearchParams(query)}`)).json();
+}
+
+test('search finds uploads by title and content, with matches marked', async () => {
+  const byTitle = await createPaste({ title: 'Zebra notes' });
+  const byCode = await createPaste({ title: 'Other', code: 'the zebras run at noon' });
+
+  const { results } = await search({ q: 'zebra' });
+  const ids = results.map(r => r.result.id);
+  assert.ok(ids.includes(byTitle.id));
+  assert.ok(ids.includes(byCode.id));
+
+  const page = await (await request('/search?q=zebra')).text();
+  assert.match(page, /<mark>Zebra<\/mark> notes/);
+});
+
+test('search keeps to the type and dates asked for', async () => {
+  const paste = await createPaste({ title: 'Walrus facts' });
+  const body = new FormData();
+  body.append('title', 'Walrus video');
+  body.append('video', new Blob([HEADS.mp4, 'mp4 bytes'], { type: 'video/mp4' }), 'walrus.mp4');
+  await request('/api/v1/videos', { method: 'POST', body });
+
+  const { results } = await search({ q: 'walrus', type: 'paste' });
+  assert.deepEqual(results.map(r => r.type), ['paste']);
+  assert.equal(results[0].result.id, paste.id);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal((await search({ q: 'walrus', to: '2000-01-01' })).results.length, 0);
+  assert.equal((await search({ q: 'walrus', from: today })).results.length, 2);
+});
+
+test('edits and deletes reach the index', async () => {
+  const { paste, manageToken } = await (await request('/api/v1/pastes', { method: 'POST', json: { title: 'Penguin', code: 'x' } })).json();
+  assert.equal(manageToken, undefined);
+
+  await request(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { title: 'Puffin' } });
+  assert.equal((await search({ q: 'penguin' })).results.length, 0);
+  assert.equal((await search({ q: 'puffin' })).results.length, 1);
+
+  await request(`/api/v1/pastes/${paste.id}`, { method: 'DELETE' });
+  assert.equal((await search({ q: 'puffin' })).results.length, 0);
+});
+
+test('only public uploads are found', async () => {
+  await createPaste({ title: 'Hidden ocelot', visibility: 'unlisted' });
+  await createPaste({ title: 'Locked ocelot', visibility: 'password', password: 'open sesame' });
+  assert.equal((await search({ q: 'ocelot' })).results.length, 0);
+});
+
+test('odd queries are searched as plain words', async () => {
+  await createPaste({ title: 'Quoted "heron" AND stuff' });
+  assert.equal((await request('/api/v1/search?q=%22heron')).status, 200);
+  assert.equal((await request('/search?q=NOT%20(')).status, 200);
+  assert.equal((await request('/api/v1/search')).status, 400);
+});
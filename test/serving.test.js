@@ -0,0 +1,65 @@
+const { pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = createClient(server.url);
+  await register(request, 'server');
+});
+
+test.after(() => server.stop());
+
+async function uploadImage(seed, fields = {}) {
+  const contents = await pngImage(seed);
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) body.append(name, value);
+  body.append('image', new Blob([contents], { type: 'image/png' }), 'Holiday photo.png');
+  const { image } = await (await request('/api/v1/images', { method: 'POST', body })).json();
+  return { image, contents };
+}
+
+test('media is sent with the type of its contents and cached briefly', async () => {
+  const { image, contents } = await uploadImage('public');
+  const res = await request(`/media/${image.filename}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('Content-Type'), 'image/png');
+  assert.equal(res.headers.get('Cache-Control'), 'public, max-age=300, must-revalidate');
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), contents);
+
+  // fetch adds "Cache-Control: no-cache" to conditional requests unless told otherwise
+  const headers = { 'If-None-Match': res.headers.get('ETag'), 'Cache-Control': 'max-age=0' };
+  const again = await request(`/media/${image.filename}`, { headers });
+  assert.equal(again.status, 304);
+});
+
+test('media can be fetched in ranges and downloaded under its upload name', async () => {
+  const { image, contents } = await uploadImage('ranges');
+  const part = await request(`/media/${image.filename}`, { headers: { Range: 'bytes=0-7' } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('Content-Range'), `bytes 0-7/${contents.length}`);
+  assert.deepEqual(Buffer.from(await part.arrayBuffer()), contents.subarray(0, 8));
+
+  const download = await request(`/media/${image.filename}?download=1`);
+  assert.equal(download.headers.get('Content-Disposition'), 'attachment; filename="Holiday photo.png"');
+});
+
+test('protected media is never cached by shared caches', async () => {
+  const { image } = await uploadImage('protected', { visibility: 'password', password: 'open sesame' });
+  assert.equal((await createClient(server.url)(`/media/${image.filename}`)).status, 401);
+
+  const res = await request(`/media/${image.filename}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('Cache-Control'), 'private, no-cache');
+});
+
+test('old links at the site root are redirected', async () => {
+  const { image } = await uploadImage('old link');
+  const res = await request(`/${image.filename}`);
+  assert.equal(res.status, 301);
+  assert.equal(res.headers.get('Location'), `/media/${image.filename}`);
+  assert.equal((await request('/media/nothing.png')).status, 404);
+});
@@ -0,0 +1,155 @@
+const { tempDir, HEADS } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const db = require("../db");
+const storage = require("../storage");
+
+const uploadDir = path.join(tempDir, 'uploads');
+fs.mkdirSync(uploadDir);
+
+let counter = 0;
+const fileStore = storage.createFileStore({
+  directory: uploadDir,
+  filename: originalName => `stored-${++counter}${path.extname(originalName)}`
+});
+
+// Writes a file outside the upload directory, as a finished chunked upload is
+function source(contents) {
+  const file = path.join(tempDir, `source-${++counter}`);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+function addImage(file) {
+  return db.images.create({ filename: `image-${++counter}.png`, file: file.filename, originalName: 'a.png', size: file.size });
+}
+
+test('sniff recognises each allowed format by its first bytes', () => {
+  assert.equal(storage.sniff(HEADS.jpeg).mime, 'image/jpeg');
+  assert.equal(storage.sniff(HEADS.png).mime, 'image/png');
+  assert.equal(storage.sniff(HEADS.gif).mime, 'image/gif');
+  assert.equal(storage.sniff(HEADS.webm).mime, 'video/webm');
+  assert.equal(storage.sniff(HEADS.mp4).mime, 'video/mp4');
+  assert.equal(storage.sniff(HEADS.quicktime).mime, 'video/quicktime');
+  assert.equal(storage.sniff(Buffer.from('<?php echo 1; ?>')), null);
+  assert.equal(storage.sniff(Buffer.alloc(0)), null);
+});
+
+test('sniff does not take any Matroska file for WebM', () => {
+  assert.equal(storage.sniff(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81])), null);
+});
+
+test('contentsMatch needs the right kind and an extension of that format', () => {
+  assert.equal(storage.contentsMatch(HEADS.png, 'image', 'photo.PNG'), true);
+  assert.equal(storage.contentsMatch(HEADS.png, 'image', 'photo.jpg'), false);
+  assert.equal(storage.contentsMatch(HEADS.png, 'video', 'photo.png'), false);
+  assert.equal(storage.contentsMatch(HEADS.mp4, 'video', 'clip.mov'), true);
+  assert.equal(storage.contentsMatch(Buffer.from('hello'), 'image', 'hello.png'), false);
+});
+
+test('storeFile refuses contents that do not match and removes the source', async () => {
+  const file = source(Buffer.from('not really a png'));
+  const result = await fileStore.storeFile(file, { kind: 'image', originalName: 'fake.png' });
+
+  assert.match(result.error, /not a valid image/);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('identical files are stored once', async () => {
+  const contents = Buffer.concat([HEADS.png, Buffer.from('same bytes')]);
+  const first = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'a.png' });
+  const second = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'b.png' });
+
+  assert.equal(first.file.deduplicated, false);
+  assert.equal(second.file.deduplicated, true);
+  assert.equal(second.file.filename, first.file.filename);
+  assert.equal(fs.readdirSync(uploadDir).filter(name => name.startsWith('stored-')).length, 1);
+});
+
+test('a stored file is only released once no record uses it', async () => {
+  const contents = Buffer.concat([HEADS.png, Buffer.from('shared by two images')]);
+  const { file } = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'a.png' });
+  const stored = path.join(uploadDir, file.filename);
+  const first = addImage(file);
+  const second = addImage((await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'b.png' })).file);
+
+  db.images.delete(first.filename);
+  fileStore.release(file.filename);
+  assert.equal(fs.existsSync(stored), true);
+  assert.ok(db.storedFiles.byHash(file.sha256));
+
+  db.images.delete(second.filename);
+  fileStore.release(file.filename);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(fs.existsSync(stored), false);
+  assert.equal(db.storedFiles.byHash(file.sha256), undefined);
+});
+
+test('a file whose stored copy went missing is stored again', async () => {
+  const contents = Buffer.concat([HEADS.gif, Buffer.from('lost')]);
+  const first = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'a.gif' });
+  fs.rmSync(path.join(uploadDir, first.file.filename));
+
+  const second = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'a.gif' });
+  assert.equal(second.file.deduplicated, false);
+  assert.notEqual(second.file.filename, first.file.filename);
+  assert.equal(fs.existsSync(path.join(uploadDir, second.file.filename)), true);
+});
+
+test('when the same bytes were stored meanwhile, the file stored first is kept', async () => {
+  const contents = Buffer.concat([HEADS.png, Buffer.from('uploaded twice at once')]);
+  const first = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'a.png' });
+
+  // The second upload looks the hash up before the first one is recorded
+  const byHash = db.storedFiles.byHash;
+  db.storedFiles.byHash = () => {
+    db.storedFiles.byHash = byHash;
+    return undefined;
+  };
+  const second = await fileStore.storeFile(source(contents), { kind: 'image', originalName: 'b.png' });
+
+  assert.equal(second.file.filename, first.file.filename);
+  assert.equal(second.file.deduplicated, true);
+  const copies = fs.readdirSync(uploadDir).filter(name => fs.readFileSync(path.join(uploadDir, name)).equals(contents));
+  assert.deepEqual(copies, [first.file.filename]);
+});
+
+test('storeStream keeps media under the extension its contents call for', async () => {
+  const result = await fileStore.storeStream(Readable.from([HEADS.jpeg, Buffer.from('jpeg data')]), {
+    originalName: 'screenshot.txt', maxSize: 1024, maxTextSize: 1024
+  });
+
+  assert.equal(result.kind, 'image');
+  assert.equal(result.file.originalname, 'screenshot.jpg');
+  assert.equal(result.file.mimetype, 'image/jpeg');
+  assert.equal(fs.existsSync(path.join(uploadDir, result.file.filename)), true);
+});
+
+test('storeStream hands back text without storing it', async () => {
+  const before = fs.readdirSync(uploadDir).length;
+  const result = await fileStore.storeStream(Readable.from([Buffer.from('héllo\n')]), {
+    originalName: '', maxSize: 1024, maxTextSize: 1024
+  });
+
+  assert.deepEqual(result, { kind: 'text', text: 'héllo\n' });
+  assert.equal(fs.readdirSync(uploadDir).length, before);
+});
+
+test('storeStream refuses binary data and text over the limit', async () => {
+  const options = { originalName: '', maxSize: 1024, maxTextSize: 8 };
+  assert.match((await fileStore.storeStream(Readable.from([Buffer.from([0x00, 0x01, 0x02])]), options)).error, /Only images/);
+  assert.match((await fileStore.storeStream(Readable.from([Buffer.from([0xc3, 0x28])]), options)).error, /Only images/);
+  assert.match((await fileStore.storeStream(Readable.from([Buffer.from('more than eight bytes')]), options)).error, /Only images/);
+});
+
+test('storeStream stops at maxSize with a 413 and leaves nothing behind', async () => {
+  const before = fs.readdirSync(uploadDir).sort();
+  await assert.rejects(
+    fileStore.storeStream(Readable.from([HEADS.png, Buffer.alloc(64)]), { originalName: 'big.png', maxSize: 32, maxTextSize: 32 }),
+    err => err.status === 413
+  );
+  assert.deepEqual(fs.readdirSync(uploadDir).sort(), before);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const syntax = require("../syntax");
+
+const PYTHON = [
+  'def greet(name):',
+  '    print(f"Hello {name}")',
+  '    return None',
+  '',
+  'class Greeter(object):',
+  '    def __init__(self):',
+  '        self.count = 0',
+  ''
+].join('\n');
+
+test('languages are detected from the code', () => {
+  assert.equal(syntax.detectLanguage(PYTHON), 'python');
+  assert.equal(syntax.detectLanguage('Just some notes about the meeting.\nNothing else to say.'), 'plaintext');
+});
+
+test('detection on long pastes only looks at their start', () => {
+  const css = 'body { color: red; margin: 0 auto; }\n.card > .title { padding: 1px; }\n';
+  const code = PYTHON.repeat(200) + css.repeat(20000);
+  assert.ok(code.length > 1024 * 1024);
+  assert.equal(syntax.detectLanguage(code), 'python');
+  assert.equal(syntax.detectLanguage('x'.repeat(100 * 1024)), 'plaintext');
+});
+
+test('unknown languages get plain names and .txt files', () => {
+  assert.equal(syntax.isLanguage('python'), true);
+  assert.equal(syntax.isLanguage('auto'), false);
+  assert.equal(syntax.languageName('nope'), 'Plain Text');
+  assert.equal(syntax.extensionFor('rust'), 'rs');
+  assert.equal(syntax.extensionFor('nope'), 'txt');
+});
+
+test('highlighted lines stand on their own and are escaped', () => {
+  const lines = syntax.highlightLines('/* one\ntwo */\nlet x = "<b>";\n', 'javascript');
+  assert.deepEqual(lines, [
+    '<span class="hljs-comment">/* one</span>',
+    '<span class="hljs-comment">two */</span>',
+    '<span class="hljs-keyword">let</span> x = <span class="hljs-string">&quot;&lt;b&gt;&quot;</span>;'
+  ]);
+  assert.deepEqual(syntax.highlightLines('<p>\r\nhi', 'not-a-language'), ['&lt;p&gt;', 'hi']);
+});
@@ -0,0 +1,89 @@
+const { pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let alice;
+let bob;
+
+test.before(async () => {
+  server = await startServer();
+  alice = createClient(server.url);
+  bob = createClient(server.url);
+  await register(alice, 'alice');
+  await register(bob, 'bob');
+});
+
+test.after(() => server.stop());
+
+async function uploadImage(request, fields = {}) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) body.append(name, value);
+  body.append('image', new Blob([await pngImage()], { type: 'image/png' }), 'IMG_0001.png');
+  return (await (await request('/api/v1/images', { method: 'POST', body })).json()).image;
+}
+
+async function createAlbum(request, title) {
+  const res = await request('/albums/new', { method: 'POST', form: { title } });
+  assert.equal(res.status, 302);
+  return res.headers.get('Location').split('/').pop();
+}
+
+test('tags are cleaned up and list everything tagged with them', async () => {
+  const res = await alice('/api/v1/pastes', { method: 'POST', json: { title: 'Tagged', code: 'x', tags: '#Travel, travel  2024,<b>, ' } });
+  const { paste } = await res.json();
+  assert.deepEqual(paste.tags.sort(), ['2024', 'travel']);
+
+  const image = await uploadImage(alice, { tags: 'travel' });
+  const tagged = await (await alice('/api/v1/tags/TRAVEL')).json();
+  assert.deepEqual(tagged.pastes.map(p => p.id), [paste.id]);
+  assert.deepEqual(tagged.images.map(i => i.filename), [image.filename]);
+
+  const page = await alice('/tag/travel');
+  assert.match(await page.text(), /<h2 class="center-content">#travel<\/h2>/);
+  assert.equal((await alice('/tag/nothing-here')).status, 404);
+
+  const edited = await alice(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { tags: ['other'] } });
+  assert.deepEqual((await edited.json()).paste.tags, ['other']);
+});
+
+test('images show their title, or the file name when they have none', async () => {
+  const titled = await uploadImage(alice, { title: 'Sunset <3' });
+  assert.equal(titled.title, 'Sunset <3');
+  assert.equal(titled.originalName, 'IMG_0001.png');
+  assert.match(await (await alice(`/image/${titled.filename}`)).text(), /<title>Sunset &lt;3 \| Gallery<\/title>/);
+
+  const untitled = await uploadImage(alice);
+  assert.equal(untitled.title, 'IMG_0001.png');
+});
+
+test('albums collect a user\'s images and videos in their own order', async () => {
+  const id = await createAlbum(alice, 'Holiday');
+  const first = await uploadImage(alice, { title: 'First' });
+  const second = await uploadImage(alice, { title: 'Second' });
+  for (const image of [first, second]) {
+    const res = await alice('/albums/add', { method: 'POST', form: { type: 'image', key: image.filename, albumId: id } });
+    assert.equal(res.status, 302);
+  }
+
+  const titles = async () => (await (await alice(`/api/v1/albums/${id}`)).json()).album.items.map(i => i.image.title);
+  assert.deepEqual(await titles(), ['First', 'Second']);
+
+  await alice(`/album/${id}/items/move`, { method: 'POST', form: { type: 'image', key: second.filename, direction: '-1' } });
+  assert.deepEqual(await titles(), ['Second', 'First']);
+
+  await alice(`/album/${id}/items/remove`, { method: 'POST', form: { type: 'image', key: first.filename } });
+  assert.deepEqual(await titles(), ['Second']);
+});
+
+test('only the owner changes an album', async () => {
+  const id = await createAlbum(alice, 'Private stuff');
+  const image = await uploadImage(bob);
+
+  assert.equal((await bob('/albums/add', { method: 'POST', form: { type: 'image', key: image.filename, albumId: id } })).status, 400);
+  assert.equal((await bob(`/album/${id}/edit`, { method: 'POST', form: { title: 'Mine now' } })).status, 403);
+  assert.equal((await bob(`/album/${id}/delete`, { method: 'POST' })).status, 403);
+
+  assert.equal((await alice(`/album/${id}/delete`, { method: 'POST' })).status, 302);
+  assert.equal((await alice(`/api/v1/albums/${id}`)).status, 404);
+});
@@ -0,0 +1,166 @@
+const { tempDir, HEADS, startServer, createClient } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const tus = require("../tus");
+
+const MAX_SIZE = 16;
+
+const videoChunks = tus.createTusServer({
+  directory: path.join(tempDir, 'partial'),
+  maxSize: MAX_SIZE,
+  expiresAfter: 60 * 1000,
+  validate: metadata => metadata.filename?.endsWith('.mp4') ? null : 'Only video files are allowed!'
+});
+
+const app = express();
+app.use("/tus", videoChunks.router);
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/tus`;
+});
+
+test.after(() => server.close());
+
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return fetch(url, { method, headers: { 'Tus-Resumable': tus.TUS_VERSION, ...headers }, body });
+}
+
+async function create(length, filename = 'clip.mp4') {
+  const res = await request(base, {
+    method: 'POST',
+    headers: { 'Upload-Length': String(length), 'Upload-Metadata': `filename ${Buffer.from(filename).toString('base64')}` }
+  });
+  assert.equal(res.status, 201);
+  return new URL(res.headers.get('Location'), base).href;
+}
+
+function patch(url, offset, data) {
+  return request(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+    body: data
+  });
+}
+
+test('requests must name the protocol version, except OPTIONS', async () => {
+  const res = await fetch(base, { method: 'POST', headers: { 'Upload-Length': '4' } });
+  assert.equal(res.status, 412);
+  assert.equal(res.headers.get('Tus-Version'), tus.TUS_VERSION);
+
+  const options = await fetch(base, { method: 'OPTIONS' });
+  assert.equal(options.status, 204);
+  assert.equal(options.headers.get('Tus-Max-Size'), String(MAX_SIZE));
+});
+
+test('creation checks the length and the metadata', async () => {
+  assert.equal((await request(base, { method: 'POST' })).status, 400);
+  assert.equal((await request(base, { method: 'POST', headers: { 'Upload-Length': String(MAX_SIZE + 1) } })).status, 413);
+
+  const refused = await request(base, {
+    method: 'POST',
+    headers: { 'Upload-Length': '4', 'Upload-Metadata': `filename ${Buffer.from('notes.txt').toString('base64')}` }
+  });
+  assert.equal(refused.status, 415);
+});
+
+test('chunks append at the offset the server reports', async () => {
+  const url = await create(10);
+  assert.equal((await request(url, { method: 'HEAD' })).headers.get('Upload-Offset'), '0');
+
+  const first = await patch(url, 0, Buffer.from('hello'));
+  assert.equal(first.status, 204);
+  assert.equal(first.headers.get('Upload-Offset'), '5');
+
+  const head = await request(url, { method: 'HEAD' });
+  assert.equal(head.headers.get('Upload-Offset'), '5');
+  assert.equal(head.headers.get('Upload-Length'), '10');
+  assert.equal(head.headers.get('Cache-Control'), 'no-store');
+});
+
+test('a chunk at the wrong offset is refused with 409', async () => {
+  const url = await create(10);
+  await patch(url, 0, Buffer.from('abc'));
+
+  const res = await patch(url, 0, Buffer.from('abc'));
+  assert.equal(res.status, 409);
+  assert.equal((await request(url, { method: 'HEAD' })).headers.get('Upload-Offset'), '3');
+});
+
+test('data past Upload-Length is refused with 413', async () => {
+  const url = await create(4);
+  const res = await patch(url, 0, Buffer.from('too long'));
+  assert.equal(res.status, 413);
+  assert.equal((await request(url, { method: 'HEAD' })).headers.get('Upload-Offset'), '0');
+});
+
+test('chunks need the tus content type', async () => {
+  const url = await create(4);
+  const res = await request(url, { method: 'PATCH', headers: { 'Upload-Offset': '0' }, body: 'data' });
+  assert.equal(res.status, 415);
+});
+
+test('only finished uploads can be claimed, once', async () => {
+  const url = await create(6);
+  const id = url.split('/').pop();
+  await patch(url, 0, Buffer.from('abc'));
+  assert.match(videoChunks.claim(id, null).error, /not finished/);
+
+  await patch(url, 3, Buffer.from('def'));
+  const claimed = videoChunks.claim(id, null);
+  assert.equal(claimed.size, 6);
+  assert.equal(claimed.metadata.filename, 'clip.mp4');
+  assert.equal(fs.readFileSync(claimed.path, 'utf8'), 'abcdef');
+
+  assert.match(videoChunks.claim(id, null).error, /does not exist/);
+  assert.equal((await request(url, { method: 'HEAD' })).status, 404);
+});
+
+test('uploads started by a user can only be claimed by that user', async () => {
+  const url = await create(1);
+  await patch(url, 0, Buffer.from('x'));
+  assert.match(videoChunks.claim(url.split('/').pop(), 42).error, /does not exist/);
+});
+
+test('terminated uploads are gone', async () => {
+  const url = await create(4);
+  assert.equal((await request(url, { method: 'DELETE' })).status, 204);
+  assert.equal((await request(url, { method: 'HEAD' })).status, 404);
+  assert.equal((await patch(url, 0, Buffer.from('data'))).status, 404);
+});
+
+test('a finished chunked upload becomes a video on the upload form', async () => {
+  const gallery = await startServer();
+  try {
+    const tusBase = `${gallery.url}/upload/video/tus`;
+    const contents = Buffer.concat([HEADS.mp4, Buffer.from('mp4 bytes')]);
+    const metadata = [['filename', 'big.mp4'], ['filetype', 'video/mp4']].map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`);
+    const res = await request(tusBase, {
+      method: 'POST',
+      headers: { 'Upload-Length': String(contents.length), 'Upload-Metadata': metadata.join(',') }
+    });
+    const url = new URL(res.headers.get('Location'), tusBase).href;
+    await patch(url, 0, contents);
+
+    const client = createClient(gallery.url);
+    const uploadId = url.split('/').pop();
+    const missingTitle = await client('/upload/video', { method: 'POST', form: { uploadId } });
+    assert.equal(missingTitle.status, 400);
+    assert.equal((await request(url, { method: 'HEAD' })).headers.get('Upload-Offset'), String(contents.length));
+
+    const done = await client('/upload/video', { method: 'POST', form: { title: 'Big one', uploadId } });
+    const [, id] = (await done.text()).match(/href="\/video\/(\d+)"/);
+    const { video } = await (await client(`/api/v1/videos/${id}`)).json();
+    assert.equal(video.size, contents.length);
+    assert.deepEqual(Buffer.from(await (await client(video.file)).arrayBuffer()), contents);
+  } finally {
+    gallery.stop();
+  }
+});
@@ -0,0 +1,82 @@
+const { HEADS, pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let owner;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  owner = createClient(server.url);
+  await register(owner, 'scripter');
+  const page = await (await owner('/settings/upload-tokens', { method: 'POST', form: { name: 'Laptop' } })).text();
+  [, token] = page.match(/<strong>Token:<\/strong> <code>([0-9a-f]+)<\/code>/);
+});
+
+test.after(() => server.stop());
+
+// Uploads as a script would, with no session
+function upload(url, options = {}) {
+  return fetch(server.url + url, {
+    method: 'POST',
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...options.headers }
+  });
+}
+
+test('uploads need a valid token', async () => {
+  const res = await fetch(`${server.url}/upload`, { method: 'POST', body: 'hello' });
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('WWW-Authenticate'), 'Bearer');
+  assert.match(await res.text(), /\/settings\/upload-tokens/);
+  assert.equal((await upload('/upload', { body: 'hello', headers: { Authorization: 'Bearer nope' } })).status, 401);
+});
+
+test('text becomes a paste, with its language taken from the file name', async () => {
+  const res = await upload('/upload/build.py', { method: 'PUT', body: 'print("hi")\n' });
+  assert.equal(res.status, 201);
+  const [url, deleteUrl] = (await res.text()).trim().split('\n');
+  assert.match(url, /\/paste\/[^/]+$/);
+  assert.equal(deleteUrl, `${url}/delete`);
+
+  const { paste } = await (await owner(`/api/v1/pastes/${url.split('/').pop()}`)).json();
+  assert.equal(paste.title, 'build.py');
+  assert.equal(paste.language, 'python');
+  assert.equal(paste.owner, 'scripter');
+});
+
+test('files are recognised by their contents and answered as JSON', async () => {
+  const contents = await pngImage('screenshot');
+  const body = new FormData();
+  body.append('file', new Blob([contents]), 'screenshot');
+  const result = await (await upload('/upload?format=json&title=Shot', { body })).json();
+  assert.equal(result.type, 'image');
+  assert.equal(result.manageToken, undefined);
+  assert.deepEqual(Buffer.from(await (await fetch(result.file)).arrayBuffer()), contents);
+
+  const video = await (await upload('/upload?format=json', { body: Buffer.concat([HEADS.webm, Buffer.from('webm bytes')]) })).json();
+  assert.equal(video.type, 'video');
+
+  const binary = await upload('/upload?format=json', { body: Buffer.from([0x00, 0x01, 0x02]) });
+  assert.equal(binary.status, 400);
+  assert.match((await binary.json()).error.message, /Only images/);
+});
+
+test('delete links ask the owner, logged in, to confirm', async () => {
+  const res = await upload('/upload?format=json', { body: 'to be deleted' });
+  const { deleteUrl } = await res.json();
+  const path = new URL(deleteUrl).pathname;
+
+  const anonymous = await createClient(server.url)(path);
+  assert.equal(anonymous.status, 302);
+  assert.equal(anonymous.headers.get('Location'), `/login?next=${encodeURIComponent(path)}`);
+
+  const stranger = createClient(server.url);
+  await register(stranger, 'stranger');
+  assert.equal((await stranger(path)).status, 403);
+
+  const confirm = await owner(path);
+  assert.equal(confirm.status, 200);
+  assert.match(await confirm.text(), /<form[^>]*method="POST"/);
+});
@@ -0,0 +1,96 @@
+const { pngImage, startServer, createClient, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let owner;
+
+test.before(async () => {
+  server = await startServer();
+  owner = createClient(server.url);
+  await register(owner, 'owner');
+});
+
+test.after(() => server.stop());
+
+async function createPaste(fields) {
+  const res = await owner('/api/v1/pastes', { method: 'POST', json: { title: 'Paste', code: 'hidden code', ...fields } });
+  assert.equal(res.status, 201);
+  return (await res.json()).paste;
+}
+
+test('unlisted uploads are reachable by link only', async () => {
+  const paste = await createPaste({ title: 'Unlisted one', visibility: 'unlisted' });
+  const visitor = createClient(server.url);
+
+  const { pastes } = await (await visitor('/api/v1/pastes')).json();
+  assert.equal(pastes.some(p => p.id === paste.id), false);
+  assert.doesNotMatch(await (await visitor('/pastes')).text(), /Unlisted one/);
+  assert.doesNotMatch(await (await visitor('/user/owner')).text(), /Unlisted one/);
+
+  assert.equal((await visitor(`/paste/${paste.id}`)).status, 200);
+  assert.match(await (await owner('/user/owner')).text(), /Unlisted one/);
+});
+
+test('password-protected uploads need a password', async () => {
+  const res = await owner('/api/v1/pastes', { method: 'POST', json: { title: 'No password', code: 'x', visibility: 'password' } });
+  assert.equal(res.status, 400);
+});
+
+test('password-protected uploads stay locked until unlocked with the form', async () => {
+  const paste = await createPaste({ visibility: 'password', password: 'open sesame' });
+  const visitor = createClient(server.url);
+
+  const page = await visitor(`/paste/${paste.id}`);
+  assert.equal(page.status, 401);
+  const html = await page.text();
+  assert.match(html, /Password Required/);
+  assert.doesNotMatch(html, /hidden code/);
+  assert.equal((await visitor(`/paste/${paste.id}/raw`)).status, 401);
+  assert.equal((await visitor(`/api/v1/pastes/${paste.id}`)).status, 401);
+
+  const wrong = await visitor(`/unlock/paste/${paste.id}`, { method: 'POST', form: { password: 'guess', next: `/paste/${paste.id}` } });
+  assert.equal(wrong.status, 401);
+  assert.match(await wrong.text(), /Incorrect password/);
+
+  const right = await visitor(`/unlock/paste/${paste.id}`, { method: 'POST', form: { password: 'open sesame', next: `/paste/${paste.id}` } });
+  assert.equal(right.status, 302);
+  assert.equal(right.headers.get('Location'), `/paste/${paste.id}`);
+  assert.match(await (await visitor(`/paste/${paste.id}`)).text(), /hidden code/);
+  assert.equal((await visitor(`/api/v1/pastes/${paste.id}`)).status, 200);
+});
+
+test('passwords are not taken from request headers', async () => {
+  const paste = await createPaste({ visibility: 'password', password: 'open sesame' });
+  const res = await createClient(server.url)(`/api/v1/pastes/${paste.id}`, { headers: { 'X-Item-Password': 'open sesame' } });
+  assert.equal(res.status, 401);
+});
+
+test('owners see their protected uploads without unlocking', async () => {
+  const paste = await createPaste({ visibility: 'password', password: 'open sesame' });
+  assert.equal((await owner(`/paste/${paste.id}`)).status, 200);
+});
+
+test('changing the password locks the upload again', async () => {
+  const paste = await createPaste({ visibility: 'password', password: 'first password' });
+  const visitor = createClient(server.url);
+  await visitor(`/unlock/paste/${paste.id}`, { method: 'POST', form: { password: 'first password' } });
+  assert.equal((await visitor(`/api/v1/pastes/${paste.id}`)).status, 200);
+
+  await owner(`/api/v1/pastes/${paste.id}`, { method: 'PATCH', json: { visibility: 'password', password: 'second password' } });
+  assert.equal((await visitor(`/api/v1/pastes/${paste.id}`)).status, 401);
+});
+
+test('files of protected images are locked too', async () => {
+  const body = new FormData();
+  body.append('visibility', 'password');
+  body.append('password', 'open sesame');
+  const contents = await pngImage('locked');
+  body.append('image', new Blob([contents], { type: 'image/png' }), 'cat.png');
+  const { image } = await (await owner('/api/v1/images', { method: 'POST', body })).json();
+
+  const visitor = createClient(server.url);
+  assert.equal((await visitor(`/media/${image.filename}`)).status, 401);
+  await visitor(`/unlock/image/${image.filename}`, { method: 'POST', form: { password: 'open sesame' } });
+  assert.deepEqual(Buffer.from(await (await visitor(`/media/${image.filename}`)).arrayBuffer()), contents);
+});
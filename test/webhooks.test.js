@@ -0,0 +1,99 @@
+const { startServer, createClient, eventually, register } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const auth = require("../auth");
+const db = require("../db");
+const webhooks = require("../webhooks");
+
+let server;
+let admin;
+let receiver;
+let receiverUrl;
+const received = [];
+let answer = 204;
+
+// The receiver records each delivery and answers with `answer`. The server
+// shares this process's database, where the admin account is created before
+// it starts.
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(answer).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  db.users.create({ username: 'hookadmin', passwordHash: auth.hashPassword('password123') });
+  server = await startServer({ DB_FILE: process.env.DB_FILE, ADMIN_USERS: 'hookadmin' });
+  admin = createClient(server.url);
+  await admin('/login', { method: 'POST', form: { username: 'hookadmin', password: 'password123' } });
+});
+
+test.after(() => {
+  server.stop();
+  receiver.close();
+});
+
+async function addWebhook(events) {
+  const form = new URLSearchParams([['url', receiverUrl], ...events.map(event => ['events', event])]);
+  const page = await (await admin('/admin/webhooks', { method: 'POST', form })).text();
+  const [, id] = page.match(/href="\/admin\/webhooks\/(\d+)"/);
+  const [, secret] = page.match(/<strong>Secret:<\/strong> <code>([0-9a-f]+)<\/code>/);
+  return { id, secret };
+}
+
+test('signatures cover the timestamp and the body', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(webhooks.sign('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+  assert.notEqual(webhooks.sign('secret', 1700000001, '{"a":1}'), webhooks.sign('secret', 1700000000, '{"a":1}'));
+});
+
+test('subscribed events are delivered signed, with a timestamp', async () => {
+  const { secret } = await addWebhook(['paste.created']);
+  const before = Math.floor(Date.now() / 1000);
+  const uploader = createClient(server.url);
+  await register(uploader, 'uploader');
+  const { paste } = await (await uploader('/api/v1/pastes', { method: 'POST', json: { title: 'Hooked', code: 'x' } })).json();
+
+  await eventually(() => assert.equal(received.length, 1));
+  const [{ headers, body }] = received;
+  const message = JSON.parse(body);
+  assert.equal(message.event, 'paste.created');
+  assert.equal(message.data.paste.id, paste.id);
+  assert.equal(headers['x-gallery-event'], 'paste.created');
+  assert.equal(headers['x-gallery-delivery'], message.id);
+
+  const timestamp = Number(headers['x-gallery-timestamp']);
+  assert.ok(timestamp >= before && timestamp <= Math.floor(Date.now() / 1000));
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(headers['x-gallery-signature'], expected);
+
+  // Deliveries go out in order, so the delete would arrive before the paste
+  // created after it, had the webhook subscribed to it
+  await uploader(`/api/v1/pastes/${paste.id}`, { method: 'DELETE' });
+  await uploader('/api/v1/pastes', { method: 'POST', json: { title: 'Hooked again', code: 'x' } });
+  await eventually(() => assert.equal(received.length, 2));
+  assert.equal(JSON.parse(received[1].body).data.paste.title, 'Hooked again');
+});
+
+test('failed deliveries are logged and tried again later', async () => {
+  const { id } = await addWebhook(['image.created']);
+  answer = 500;
+  received.length = 0;
+  await admin(`/admin/webhooks/${id}/test`, { method: 'POST' });
+
+  await eventually(() => assert.equal(received.length, 1));
+  assert.equal(JSON.parse(received[0].body).event, 'ping');
+  await eventually(async () => assert.match(await (await admin(`/admin/webhooks/${id}`)).text(), /Answered 500/));
+  await eventually(() => {
+    const job = db.jobs.latest('webhook', `${id}:${JSON.parse(received[0].body).id}`);
+    assert.equal(job.status, 'queued');
+    assert.ok(new Date(job.runAfter) > new Date());
+  });
+});
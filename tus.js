@@ -0,0 +1,196 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const db = require("./db");
+
+// Server side of the tus resumable upload protocol (https://tus.io), version
+// 1.0.0 with the creation, termination and expiration extensions. A client
+// creates an upload, sends its bytes in any number of PATCH requests and,
+// after a dropped connection, asks for the offset to resume from.
+const TUS_VERSION = '1.0.0';
+const EXTENSIONS = 'creation,termination,expiration';
+
+// Upload-Metadata is a comma-separated list of "key base64-value" pairs
+function parseMetadata(header) {
+  const metadata = {};
+  for (const pair of String(header || '').split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+}
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+    .join(',');
+}
+
+function fail(res, status, message) {
+  res.status(status).type('text/plain').send(message);
+}
+
+// `validate(metadata)` returns an error message for uploads that should be
+// refused up front; `limits` are extra middleware for the creation request
+function createTusServer({ directory, maxSize, expiresAfter, validate = () => null, limits = [] }) {
+  // Uploads with a PATCH in progress, so two requests never append at once
+  const active = new Set();
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  const partialPath = id => path.join(directory, id);
+
+  // The offset is however many bytes have reached the disk
+  function offsetOf(id) {
+    try {
+      return fs.statSync(partialPath(id)).size;
+    } catch {
+      return null;
+    }
+  }
+
+  function expires(upload) {
+    return new Date(new Date(upload.updatedAt).getTime() + expiresAfter).toUTCString();
+  }
+
+  function remove(id) {
+    db.chunkedUploads.delete(id);
+    fs.rm(partialPath(id), { force: true }, (err) => {
+      if (err) console.error('Error removing partial upload:', err);
+    });
+  }
+
+  const router = express.Router();
+
+  // Every response carries the protocol version; every request but OPTIONS
+  // must name the one it speaks
+  router.use((req, res, next) => {
+    const override = req.get('X-HTTP-Method-Override');
+    if (override) req.method = override.toUpperCase();
+
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return fail(res, 412, `Tus-Resumable ${TUS_VERSION} is required.`);
+    }
+    next();
+  });
+
+  router.options("/", (req, res) => {
+    res.set({ 'Tus-Version': TUS_VERSION, 'Tus-Extension': EXTENSIONS, 'Tus-Max-Size': String(maxSize) });
+    res.sendStatus(204);
+  });
+
+  router.post("/", ...limits, (req, res) => {
+    const length = Number(req.get('Upload-Length'));
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+
+    if (req.get('Upload-Defer-Length')) return fail(res, 400, 'Deferred upload lengths are not supported.');
+    if (!req.get('Upload-Length') || !Number.isSafeInteger(length) || length < 0) {
+      return fail(res, 400, 'Upload-Length must be a non-negative integer.');
+    }
+    if (length > maxSize) return fail(res, 413, `Uploads are limited to ${maxSize} bytes.`);
+
+    const error = validate(metadata);
+    if (error) return fail(res, 415, error);
+
+    const id = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(partialPath(id), '');
+    const upload = db.chunkedUploads.create({ id, length, metadata, ownerId: req.user?.id ?? null });
+
+    res.set({ Location: `${req.baseUrl}/${id}`, 'Upload-Expires': expires(upload) });
+    res.sendStatus(201);
+  });
+
+  router.head("/:id", (req, res) => {
+    const upload = db.chunkedUploads.get(req.params.id);
+    const offset = upload && offsetOf(upload.id);
+    if (offset === null || offset === undefined) return res.status(404).end();
+
+    res.set({
+      'Upload-Offset': String(offset),
+      'Upload-Length': String(upload.length),
+      'Upload-Metadata': encodeMetadata(upload.metadata),
+      'Upload-Expires': expires(upload),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  });
+
+  // Appends one chunk. A chunk cut off by a dropped connection keeps the bytes
+  // that arrived, and the client resumes from there. Data past Upload-Length
+  // (only possible without a Content-Length) ends the connection.
+  router.patch("/:id", async (req, res) => {
+    const upload = db.chunkedUploads.get(req.params.id);
+    const offset = upload && offsetOf(upload.id);
+
+    if (offset === null || offset === undefined) return fail(res, 404, 'Upload not found.');
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return fail(res, 415, 'Content-Type must be application/offset+octet-stream.');
+    }
+    if (Number(req.get('Upload-Offset')) !== offset) return fail(res, 409, `Upload-Offset must be ${offset}.`);
+    if (offset + Number(req.get('Content-Length') || 0) > upload.length) {
+      return fail(res, 413, 'The data goes past Upload-Length.');
+    }
+    if (active.has(upload.id)) return fail(res, 423, 'This upload is already receiving data.');
+
+    active.add(upload.id);
+    let written = offset;
+    try {
+      await pipeline(req, async function* (chunks) {
+        for await (const chunk of chunks) {
+          written += chunk.length;
+          if (written > upload.length) throw Object.assign(new Error('The data goes past Upload-Length.'), { status: 413 });
+          yield chunk;
+        }
+      }, fs.createWriteStream(partialPath(upload.id), { flags: 'a' }));
+    } catch (err) {
+      if (err.status) return fail(res, err.status, err.message);
+      if (!req.destroyed) console.error('Error writing chunk:', err);
+      return;
+    } finally {
+      active.delete(upload.id);
+      db.chunkedUploads.touch(upload.id);
+    }
+
+    res.set({ 'Upload-Offset': String(offsetOf(upload.id)), 'Upload-Expires': expires(db.chunkedUploads.get(upload.id)) });
+    res.sendStatus(204);
+  });
+
+  router.delete("/:id", (req, res) => {
+    const upload = db.chunkedUploads.get(req.params.id);
+    if (!upload) return res.sendStatus(404);
+    if (active.has(upload.id)) return fail(res, 423, 'This upload is still receiving data.');
+
+    remove(upload.id);
+    res.sendStatus(204);
+  });
+
+  // Hands a finished upload to the caller, who takes over its file. Only the
+  // user who started an upload can claim it (anyone, for anonymous uploads).
+  function claim(id, ownerId) {
+    const upload = id ? db.chunkedUploads.get(String(id)) : null;
+    if (!upload || upload.ownerId !== ownerId) return { error: 'That upload does not exist or has expired.' };
+    if (active.has(upload.id) || offsetOf(upload.id) !== upload.length) return { error: 'That upload is not finished yet.' };
+
+    db.chunkedUploads.delete(upload.id);
+    return { path: partialPath(upload.id), size: upload.length, metadata: upload.metadata };
+  }
+
+  // Unfinished uploads that stopped receiving data are dropped
+  function purgeStale() {
+    const stale = db.chunkedUploads.staleSince(new Date(Date.now() - expiresAfter).toISOString())
+      .filter(id => !active.has(id));
+    for (const id of stale) remove(id);
+    return stale.length;
+  }
+
+  return { router, claim, purgeStale };
+}
+
+module.exports = {
+  TUS_VERSION,
+  createTusServer
+};
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const db = require("./db");
+
+// Outgoing webhooks. Each event is POSTed as JSON to the webhooks subscribed
+// to it, from a background queue so a slow receiver never holds up the
+// request that caused the event.
+
+// Events a webhook can subscribe to, with labels for the admin form
+const EVENTS = {
+  'video.created': 'Video uploaded',
+  'image.created': 'Image uploaded',
+  'paste.created': 'Paste created',
+  'comment.created': 'Comment posted',
+  'video.deleted': 'Video deleted',
+  'image.deleted': 'Image deleted',
+  'paste.deleted': 'Paste deleted'
+};
+
+// A receiver gets this long to answer each attempt
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+function createSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Receivers verify a delivery by computing the HMAC-SHA256 of
+// "<X-Gallery-Timestamp>.<raw body>" with the webhook's secret and comparing
+// it to X-Gallery-Signature. The timestamp, in Unix seconds, is set afresh on
+// every attempt, so receivers can refuse old deliveries played back to them.
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Posts one delivery and logs the attempt. Anything but a 2xx answer throws,
+// so the queue tries again later.
+async function deliver(job) {
+  const { webhookId, message } = job.payload;
+  const webhook = db.webhooks.get(webhookId);
+  if (!webhook || !webhook.active) return;
+
+  const body = JSON.stringify(message);
+  const started = Date.now();
+  const timestamp = Math.floor(started / 1000);
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Gallery-Webhooks/1.0',
+        'X-Gallery-Event': message.event,
+        'X-Gallery-Delivery': message.id,
+        'X-Gallery-Timestamp': String(timestamp),
+        'X-Gallery-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+    await response.body?.cancel();
+    statusCode = response.status;
+    if (!response.ok) error = `Answered ${statusCode}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No answer within ${DELIVERY_TIMEOUT / 1000}s` : err.cause?.message || err.message;
+  }
+
+  db.webhooks.logDelivery({
+    webhookId,
+    deliveryId: message.id,
+    event: message.event,
+    attempt: job.attempts,
+    statusCode,
+    error,
+    durationMs: Date.now() - started
+  });
+  if (error) throw new Error(error);
+}
+
+// Registers delivery with `queue`. Failed deliveries are retried five times,
+// waiting 30 seconds, 2, 8 and 32 minutes, then about two hours.
+function createDispatcher(queue) {
+  queue.register('webhook', deliver, { attempts: 6, retryDelay: n => 30 * 1000 * 4 ** (n - 1) });
+
+  // Queues `event` for every webhook subscribed to it, or only for
+  // `webhookId`. Retries of a delivery keep its id.
+  function emit(event, data, { webhookId = null } = {}) {
+    const message = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+    const targets = webhookId ? [db.webhooks.get(webhookId)].filter(Boolean) : db.webhooks.subscribedTo(event);
+    for (const webhook of targets) {
+      queue.enqueue('webhook', `${webhook.id}:${message.id}`, { webhookId: webhook.id, message });
+    }
+    return targets.length;
+  }
+
+  return { emit };
+}
+
+module.exports = {
+  EVENTS,
+  createSecret,
+  sign,
+  createDispatcher
+};